@@ -0,0 +1,224 @@
+// ============================================================================
+// Audit Log Viewer
+// ============================================================================
+
+import { AUDIT_ACTIONS, AUDIT_INITIATORS, LOCAL_STORAGE_KEYS, getSettingWithDefault } from '../../js/constants/index.js';
+import { AuditLogStorage } from '../../js/storage/index.js';
+import { CsvExporter } from '../../js/utils/index.js';
+import { ThemeManager } from '../../modal/js/managers/ThemeManager.js';
+
+// Conversations listed before an entry's list is collapsed
+const VISIBLE_CONVERSATIONS = 3;
+
+const ACTION_LABELS = {
+  [AUDIT_ACTIONS.DELETE]: 'Delete',
+  [AUDIT_ACTIONS.RESTORE]: 'Restore',
+  [AUDIT_ACTIONS.ARCHIVE]: 'Archive',
+  [AUDIT_ACTIONS.UNARCHIVE]: 'Unarchive',
+  [AUDIT_ACTIONS.RENAME]: 'Rename',
+  [AUDIT_ACTIONS.PURGE]: 'Remove from recycle bin',
+  [AUDIT_ACTIONS.TAG]: 'Tag'
+};
+
+const INITIATOR_LABELS = {
+  [AUDIT_INITIATORS.MANUAL]: 'You (manual)',
+  [AUDIT_INITIATORS.RULE]: 'Retention rule',
+  [AUDIT_INITIATORS.JOB]: 'You (bulk job)'
+};
+
+/**
+ * Shows the audit log kept by the service worker, with filters and CSV/JSON export
+ * Exports contain the filtered entries only; the CSV has one row per conversation of an entry
+ */
+class AuditLogViewer {
+  constructor() {
+    this.entries = [];
+    this.actionSelect = document.getElementById('audit-action');
+    this.initiatorSelect = document.getElementById('audit-initiator');
+    this.fromInput = document.getElementById('audit-from');
+    this.toInput = document.getElementById('audit-to');
+    this.searchInput = document.getElementById('audit-search');
+    this.tableBody = document.getElementById('audit-entries');
+    this.countElement = document.getElementById('audit-count');
+    this.emptyElement = document.getElementById('audit-empty');
+    this.csvButton = document.getElementById('audit-export-csv');
+    this.jsonButton = document.getElementById('audit-export-json');
+  }
+
+  async initialize() {
+    this.addOptions(this.actionSelect, ACTION_LABELS);
+    this.addOptions(this.initiatorSelect, INITIATOR_LABELS);
+
+    [this.actionSelect, this.initiatorSelect, this.fromInput, this.toInput].forEach(input => {
+      input.addEventListener('change', () => this.render());
+    });
+    this.searchInput.addEventListener('input', () => this.render());
+    this.csvButton.addEventListener('click', () => this.exportCsv());
+    this.jsonButton.addEventListener('click', () => this.exportJson());
+
+    // Actions taken while the page is open show up right away
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[LOCAL_STORAGE_KEYS.AUDIT_LOG]) {
+        this.entries = changes[LOCAL_STORAGE_KEYS.AUDIT_LOG].newValue || [];
+        this.render();
+      }
+    });
+
+    this.entries = await AuditLogStorage.getEntries();
+    this.render();
+  }
+
+  /**
+   * @param {HTMLSelectElement} select - Select to fill
+   * @param {Object} labels - Option labels keyed by value
+   * @private
+   */
+  addOptions(select, labels) {
+    Object.entries(labels).forEach(([value, label]) => {
+      select.add(new Option(label, value));
+    });
+  }
+
+  /**
+   * @returns {Array<Object>} Entries matching the filters, most recent first
+   * @private
+   */
+  getFilteredEntries() {
+    const action = this.actionSelect.value;
+    const initiator = this.initiatorSelect.value;
+    // Date inputs are local days; "to" includes the whole day
+    const from = this.fromInput.value ? new Date(`${this.fromInput.value}T00:00`).getTime() : -Infinity;
+    const to = this.toInput.value ? new Date(`${this.toInput.value}T00:00`).getTime() + 24 * 60 * 60 * 1000 : Infinity;
+    const query = this.searchInput.value.trim().toLowerCase();
+
+    return this.entries.filter(entry => {
+      if (action && entry.action !== action) return false;
+      if (initiator && entry.initiator !== initiator) return false;
+      if (entry.timestamp < from || entry.timestamp >= to) return false;
+      if (!query) return true;
+
+      return entry.conversations.some(conversation =>
+        conversation.id.toLowerCase().includes(query) ||
+        conversation.title.toLowerCase().includes(query) ||
+        (conversation.previousTitle || '').toLowerCase().includes(query)
+      );
+    });
+  }
+
+  render() {
+    const entries = this.getFilteredEntries();
+
+    this.tableBody.innerHTML = entries.map(entry => this.renderEntry(entry)).join('');
+    this.countElement.textContent = entries.length === this.entries.length
+      ? `${entries.length} entries`
+      : `${entries.length} of ${this.entries.length} entries`;
+    this.emptyElement.textContent = this.entries.length === 0
+      ? 'Nothing recorded yet'
+      : 'No entry matches the filters';
+    this.emptyElement.style.display = entries.length === 0 ? '' : 'none';
+    this.csvButton.disabled = entries.length === 0;
+    this.jsonButton.disabled = entries.length === 0;
+  }
+
+  /**
+   * @param {Object} entry - Audit entry
+   * @returns {string} Table row HTML
+   * @private
+   */
+  renderEntry(entry) {
+    const conversations = entry.conversations.map(conversation => `
+      <li class="audit-conversation ${this.escapeHtml(conversation.status)}">
+        <span>${this.escapeHtml(this.describeConversation(conversation))}</span>
+        <span class="audit-conversation-id">${this.escapeHtml(conversation.id)}</span>
+        ${conversation.status === 'succeeded' ? '' : `<span>${this.escapeHtml(conversation.error || conversation.status)}</span>`}
+      </li>
+    `).join('');
+    const failedCount = entry.conversations.filter(conversation => conversation.status !== 'succeeded').length;
+
+    return `
+      <tr>
+        <td class="audit-when">${this.escapeHtml(new Date(entry.timestamp).toLocaleString())}</td>
+        <td>
+          ${this.escapeHtml(ACTION_LABELS[entry.action] || entry.action)}
+          ${entry.details ? `<div class="audit-details">${this.escapeHtml(entry.details)}</div>` : ''}
+        </td>
+        <td>${this.escapeHtml(INITIATOR_LABELS[entry.initiator] || entry.initiator)}</td>
+        <td><span class="audit-outcome ${this.escapeHtml(entry.outcome)}">${this.escapeHtml(entry.outcome)}</span></td>
+        <td>
+          <details class="audit-conversations" ${entry.conversations.length <= VISIBLE_CONVERSATIONS ? 'open' : ''}>
+            <summary>${entry.conversations.length} conversation(s)${failedCount > 0 ? `, ${failedCount} not done` : ''}</summary>
+            <ul>${conversations}</ul>
+          </details>
+        </td>
+      </tr>
+    `;
+  }
+
+  /**
+   * @param {Object} conversation - Conversation of an entry
+   * @returns {string} Its title, with the old title for renames
+   * @private
+   */
+  describeConversation(conversation) {
+    if (conversation.previousTitle !== undefined) {
+      return `${conversation.previousTitle} → ${conversation.title}`;
+    }
+    return conversation.title || conversation.id;
+  }
+
+  exportCsv() {
+    const rows = this.getFilteredEntries().flatMap(entry =>
+      entry.conversations.map(conversation => ({ entry, conversation }))
+    );
+
+    CsvExporter.download([
+      { header: 'Time', getValue: ({ entry }) => new Date(entry.timestamp) },
+      { header: 'Action', getValue: ({ entry }) => entry.action },
+      { header: 'Details', getValue: ({ entry }) => entry.details },
+      { header: 'Initiator', getValue: ({ entry }) => entry.initiator },
+      { header: 'Outcome', getValue: ({ entry }) => entry.outcome },
+      { header: 'Conversation ID', getValue: ({ conversation }) => conversation.id },
+      { header: 'Title', getValue: ({ conversation }) => conversation.title },
+      { header: 'Previous title', getValue: ({ conversation }) => conversation.previousTitle },
+      { header: 'Status', getValue: ({ conversation }) => conversation.status },
+      { header: 'Error', getValue: ({ conversation }) => conversation.error },
+      { header: 'Entry ID', getValue: ({ entry }) => entry.id }
+    ], rows, `chatgpt-audit-log-${this.getDateStamp()}.csv`);
+  }
+
+  exportJson() {
+    const blob = new Blob([JSON.stringify(this.getFilteredEntries(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `chatgpt-audit-log-${this.getDateStamp()}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  getDateStamp() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  /**
+   * @param {string} text - Text to escape
+   * @returns {string} HTML-safe text (also safe inside quoted attributes)
+   * @private
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+}
+
+async function initialize() {
+  const result = await chrome.storage.sync.get(['settings']);
+  new ThemeManager(getSettingWithDefault(result.settings?.values, 'theme'));
+
+  await new AuditLogViewer().initialize();
+}
+
+document.addEventListener('DOMContentLoaded', initialize);
@@ -3,6 +3,10 @@
  * Handles extension lifecycle and inter-script communication
  */
 
+import { RecycleBinStorage, BulkJobStorage, TagStorage, RetentionReportStorage, AuditLogStorage } from '../js/storage/index.js';
+import { BULK_JOB_TYPES, BULK_JOB_STATUS, BULK_JOB_MESSAGES, RETENTION_ACTIONS, RETENTION_MESSAGES, AUDIT_ACTIONS, AUDIT_INITIATORS, AUDIT_OUTCOMES, AUDIT_MESSAGES, RECYCLE_BIN_MESSAGES } from '../js/constants/index.js';
+import { BulkActionExecutor, chatGPTClient, RetentionRule } from '../js/utils/index.js';
+
 // ============================================================================
 // Constants
 // ============================================================================
@@ -23,7 +27,39 @@ const DEFAULT_SETTINGS = {
   batchSize: 50,
   isCustomBatchSize: false,
   preventDelete: true,
-  preventArchive: true
+  preventArchive: true,
+  undoWindow: 10,
+  recycleBinRetentionDays: 30,
+  newWindowHours: 24,
+  updatedWindowHours: 24,
+  retentionRules: [],
+  keyboardShortcuts: {}
+};
+
+// Alarm used to expire recycle bin entries
+const RECYCLE_BIN_ALARM = 'purgeRecycleBin';
+const RECYCLE_BIN_PURGE_INTERVAL_MINUTES = 60;
+
+// Alarm that wakes the service worker while bulk jobs run, so an interrupted job resumes
+const BULK_JOB_ALARM = 'resumeBulkJobs';
+const BULK_JOB_ALARM_INTERVAL_MINUTES = 0.5;
+
+// Alarm that runs the retention rules
+const RETENTION_ALARM = 'runRetentionRules';
+const RETENTION_INTERVAL_MINUTES = 6 * 60;
+const RETENTION_PAGE_SIZE = 100;
+
+// Results are checkpointed every few items; PATCHes are idempotent, so
+// redoing the items after the last checkpoint on resume is harmless
+const BULK_JOB_CHECKPOINT_INTERVAL = 10;
+
+// PATCH body and notification wording per bulk job type
+const BULK_JOB_DEFINITIONS = {
+  [BULK_JOB_TYPES.DELETE]: { pastTense: 'Deleted', getBody: () => ({ is_visible: false }) },
+  [BULK_JOB_TYPES.RESTORE]: { pastTense: 'Restored', getBody: () => ({ is_visible: true }) },
+  [BULK_JOB_TYPES.ARCHIVE]: { pastTense: 'Archived', getBody: () => ({ is_archived: true }) },
+  [BULK_JOB_TYPES.UNARCHIVE]: { pastTense: 'Unarchived', getBody: () => ({ is_archived: false }) },
+  [BULK_JOB_TYPES.RENAME]: { pastTense: 'Renamed', getBody: item => ({ title: item.title }) }
 };
 
 // Batch size configuration (matching popup constants)
@@ -275,6 +311,14 @@ class ExtensionLifecycle {
 
 class MessageHandler {
   static handleMessage(request, sender, sendResponse) {
+    // A message can be what woke the worker up; answer once storage is initialized
+    BackgroundScript.ready.then(() => this.dispatchMessage(request, sender, sendResponse));
+    
+    // Return true to indicate async response
+    return true;
+  }
+
+  static dispatchMessage(request, sender, sendResponse) {
     console.log('Background received message:', request);
     
     switch (request.action) {
@@ -293,12 +337,36 @@ class MessageHandler {
       case 'saveSettings':
         this.handleSaveSettings(request, sendResponse);
         break;
+      case BULK_JOB_MESSAGES.START:
+        this.handleStartBulkJob(request, sendResponse);
+        break;
+      case BULK_JOB_MESSAGES.CANCEL:
+        this.handleCancelBulkJob(request, sendResponse);
+        break;
+      case BULK_JOB_MESSAGES.GET:
+        this.handleGetBulkJobs(sendResponse);
+        break;
+      case RETENTION_MESSAGES.RUN:
+        this.handleRunRetentionRules(request, sendResponse);
+        break;
+      case RETENTION_MESSAGES.PREVIEW:
+        this.handlePreviewRetentionRules(sendResponse);
+        break;
+      case RETENTION_MESSAGES.GET_REPORTS:
+        this.handleGetRetentionReports(sendResponse);
+        break;
+      case AUDIT_MESSAGES.ADD:
+        this.handleAddAuditEntry(request, sendResponse);
+        break;
+      case AUDIT_MESSAGES.GET:
+        this.handleGetAuditLog(sendResponse);
+        break;
+      case RECYCLE_BIN_MESSAGES.REMOVE:
+        this.handleRemoveRecycleBinEntries(request, sendResponse);
+        break;
       default:
         sendResponse({ error: 'Unknown action' });
     }
-    
-    // Return true to indicate async response
-    return true;
   }
 
   static handlePing(sendResponse) {
@@ -360,6 +428,87 @@ class MessageHandler {
       sendResponse({ error: 'Failed to save settings' });
     }
   }
+
+  static async handleStartBulkJob(request, sendResponse) {
+    try {
+      await BulkJobRunner.submitJob(request.job);
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({ error: `Failed to start bulk job: ${error.message}` });
+    }
+  }
+
+  static async handleCancelBulkJob(request, sendResponse) {
+    try {
+      await BulkJobRunner.cancelJob(request.jobId);
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({ error: 'Failed to cancel bulk job' });
+    }
+  }
+
+  static async handleGetBulkJobs(sendResponse) {
+    try {
+      const jobs = await BulkJobStorage.getJobs();
+      sendResponse({ success: true, jobs });
+    } catch (error) {
+      sendResponse({ error: 'Failed to get bulk jobs' });
+    }
+  }
+
+  static async handleRunRetentionRules(request, sendResponse) {
+    try {
+      const report = await RetentionRunner.run('manual', request.conversationIds || null);
+      sendResponse({ success: true, report });
+    } catch (error) {
+      sendResponse({ error: 'Failed to run retention rules' });
+    }
+  }
+
+  static async handlePreviewRetentionRules(sendResponse) {
+    try {
+      const items = await RetentionRunner.preview();
+      sendResponse({ success: true, items });
+    } catch (error) {
+      sendResponse({ error: `Failed to preview retention rules: ${error.message}` });
+    }
+  }
+
+  static async handleGetRetentionReports(sendResponse) {
+    try {
+      const reports = await RetentionReportStorage.getReports();
+      sendResponse({ success: true, reports });
+    } catch (error) {
+      sendResponse({ error: 'Failed to get retention reports' });
+    }
+  }
+
+  static async handleAddAuditEntry(request, sendResponse) {
+    try {
+      await AuditLogger.recordManual(request.entry);
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({ error: `Failed to add audit entry: ${error.message}` });
+    }
+  }
+
+  static async handleGetAuditLog(sendResponse) {
+    try {
+      const entries = await AuditLogStorage.getEntries();
+      sendResponse({ success: true, entries });
+    } catch (error) {
+      sendResponse({ error: 'Failed to get audit log' });
+    }
+  }
+
+  static async handleRemoveRecycleBinEntries(request, sendResponse) {
+    try {
+      await RecycleBinStorage.removeEntries(request.conversationIds);
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({ error: `Failed to remove recycle bin entries: ${error.message}` });
+    }
+  }
 }
 
 
@@ -522,24 +671,641 @@ class PopupRefreshManager {
   }
 }
 
+// ============================================================================
+// Recycle Bin Expiry
+// ============================================================================
+
+class RecycleBinCleaner {
+  static initialize() {
+    // Alarms persist across service worker restarts, only create it once
+    chrome.alarms.get(RECYCLE_BIN_ALARM, (alarm) => {
+      if (!alarm) {
+        chrome.alarms.create(RECYCLE_BIN_ALARM, { periodInMinutes: RECYCLE_BIN_PURGE_INTERVAL_MINUTES });
+      }
+    });
+    
+    chrome.alarms.onAlarm.addListener(this.handleAlarm.bind(this));
+    
+    // Catch up on anything that expired while the browser was closed
+    BackgroundScript.ready.then(() => this.purgeExpiredEntries());
+  }
+
+  static async handleAlarm(alarm) {
+    if (alarm.name === RECYCLE_BIN_ALARM) {
+      await BackgroundScript.ready;
+      this.purgeExpiredEntries();
+    }
+  }
+
+  static async purgeExpiredEntries() {
+    try {
+      const settings = await BackgroundStorageHelper.getSettings();
+      const retentionDays = settings.recycleBinRetentionDays ?? DEFAULT_SETTINGS.recycleBinRetentionDays;
+      const removed = await RecycleBinStorage.purgeExpired(retentionDays);
+      
+      if (removed > 0) {
+        console.log(`Recycle bin: removed ${removed} expired entries`);
+      }
+    } catch (error) {
+      console.error('Failed to purge recycle bin:', error);
+    }
+  }
+}
+
+// ============================================================================
+// Bulk Jobs
+// ============================================================================
+
+class BulkJobRunner {
+  static initialize() {
+    this.executor = new BulkActionExecutor();
+    this.abortControllers = new Map();
+    this.processing = null;
+    
+    chrome.alarms.onAlarm.addListener(this.handleAlarm.bind(this));
+    chrome.action.setBadgeBackgroundColor({ color: '#10a37f' });
+    
+    BackgroundScript.ready.then(() => this.processQueue());
+  }
+
+  static async handleAlarm(alarm) {
+    if (alarm.name === BULK_JOB_ALARM) {
+      await BackgroundScript.ready;
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Queues a job submitted by the modal (or by a retention run)
+   * @param {Object} job - Job to run
+   * @param {string} job.id - Job ID
+   * @param {string} job.type - One of BULK_JOB_TYPES
+   * @param {Array<Object>} job.items - Items carry at least an id (renames also a title and previousTitle)
+   * @param {string} job.initiator - One of AUDIT_INITIATORS, recorded in the audit log
+   * @param {string} job.details - Context recorded in the audit log
+   */
+  static async submitJob({ id, type, items, initiator = AUDIT_INITIATORS.JOB, details = '' }) {
+    if (!BULK_JOB_DEFINITIONS[type]) {
+      throw new Error(`Unknown bulk job type: ${type}`);
+    }
+    
+    await BulkJobStorage.saveJob({
+      id,
+      type,
+      items,
+      initiator,
+      details,
+      results: items.map(() => null),
+      status: BULK_JOB_STATUS.QUEUED,
+      createdAt: Date.now(),
+      finishedAt: null
+    });
+    
+    this.processQueue();
+  }
+
+  /**
+   * Cancels a running job, or a queued one before it starts
+   * @param {string} jobId - Job ID
+   */
+  static async cancelJob(jobId) {
+    const controller = this.abortControllers.get(jobId);
+    if (controller) {
+      controller.abort();
+      return;
+    }
+    
+    const job = await BulkJobStorage.getJob(jobId);
+    if (job && job.status === BULK_JOB_STATUS.QUEUED) {
+      job.results = job.results.map(result => result || { status: 'cancelled' });
+      await this.finishJob(job, BULK_JOB_STATUS.CANCELLED);
+    }
+  }
+
+  /**
+   * Runs pending jobs one after another; calls made while a run is going on join it
+   */
+  static processQueue() {
+    if (this.processing) return this.processing;
+    
+    this.processing = (async () => {
+      chrome.alarms.create(BULK_JOB_ALARM, { periodInMinutes: BULK_JOB_ALARM_INTERVAL_MINUTES });
+      
+      let [job] = await BulkJobStorage.getPendingJobs();
+      while (job) {
+        await this.runJob(job);
+        [job] = await BulkJobStorage.getPendingJobs();
+      }
+    })()
+      .catch(error => console.error('Failed to process bulk jobs:', error))
+      .finally(() => {
+        this.processing = null;
+        chrome.alarms.clear(BULK_JOB_ALARM);
+        chrome.action.setBadgeText({ text: '' });
+      });
+    
+    return this.processing;
+  }
+
+  /**
+   * Processes the items of a job that have no result yet
+   * @param {Object} job - The job (from storage)
+   */
+  static async runJob(job) {
+    const definition = BULK_JOB_DEFINITIONS[job.type];
+    const controller = new AbortController();
+    this.abortControllers.set(job.id, controller);
+    
+    job.status = BULK_JOB_STATUS.RUNNING;
+    await BulkJobStorage.saveJob(job);
+    
+    const pendingIndexes = job.results
+      .map((result, index) => result ? null : index)
+      .filter(index => index !== null);
+    let done = job.items.length - pendingIndexes.length;
+    this.reportProgress(job, done);
+    
+    try {
+      // Fail fast (e.g., signed out) instead of failing every item
+      await chatGPTClient.getAccessToken();
+      
+      await this.executor.run(pendingIndexes, (index, signal) => {
+        const item = job.items[index];
+        return chatGPTClient.patchConversation(item.id, definition.getBody(item), signal);
+      }, {
+        signal: controller.signal,
+        onProgress: (_done, _total, result) => {
+          job.results[result.item] = this.serializeResult(result);
+          this.reportProgress(job, ++done);
+          
+          if (done % BULK_JOB_CHECKPOINT_INTERVAL === 0) {
+            // Already logged; a failed checkpoint only means more items rerun after a restart
+            BulkJobStorage.saveJob(job).catch(() => {});
+          }
+        }
+      });
+    } catch (error) {
+      // Not signed in or session fetch failed: nothing left can succeed
+      console.error(`Bulk job ${job.id} failed:`, error);
+      job.results = job.results.map(result => result || { status: 'failed', error: { message: error.message, status: 0 } });
+    } finally {
+      this.abortControllers.delete(job.id);
+    }
+    
+    await this.applySideEffects(job);
+    await this.finishJob(job, controller.signal.aborted ? BULK_JOB_STATUS.CANCELLED : BULK_JOB_STATUS.COMPLETED);
+  }
+
+  /**
+   * Converts an executor result to something storage and messaging can carry (errors don't clone)
+   * @param {Object} result - Executor result
+   * @returns {{status: string, error?: {message: string, status: number}}} Stored result
+   */
+  static serializeResult(result) {
+    if (!result.error) {
+      return { status: result.status };
+    }
+    return { status: result.status, error: { message: result.error.message, status: result.error.status || 0 } };
+  }
+
+  /**
+   * Keeps the recycle bin in step with deletes and restores, even when the modal is closed
+   * @param {Object} job - The finished job
+   */
+  static async applySideEffects(job) {
+    const succeededItems = job.items.filter((item, index) => job.results[index]?.status === 'succeeded');
+    if (succeededItems.length === 0) return;
+    
+    try {
+      if (job.type === BULK_JOB_TYPES.DELETE) {
+        await RecycleBinStorage.addSummaries(succeededItems);
+      } else if (job.type === BULK_JOB_TYPES.RESTORE) {
+        await RecycleBinStorage.removeEntries(succeededItems.map(item => item.id));
+      }
+    } catch (error) {
+      console.error('Failed to update recycle bin:', error);
+    }
+  }
+
+  static async finishJob(job, status) {
+    job.status = status;
+    job.finishedAt = Date.now();
+    
+    // Report the outcome even if storing it failed, the modal is waiting for it
+    try {
+      await BulkJobStorage.saveJob(job);
+      await AuditLogger.recordJob(job);
+    } catch (error) {
+      console.error(`Failed to record bulk job ${job.id}:`, error);
+    }
+    
+    this.broadcast({ action: BULK_JOB_MESSAGES.FINISHED, job });
+    this.showCompletionNotification(job);
+  }
+
+  static reportProgress(job, done) {
+    const total = job.items.length;
+    const percent = total > 0 ? Math.floor((done / total) * 100) : 100;
+    chrome.action.setBadgeText({ text: `${percent}%` });
+    
+    this.broadcast({ action: BULK_JOB_MESSAGES.PROGRESS, jobId: job.id, done, total });
+  }
+
+  static broadcast(message) {
+    chrome.runtime.sendMessage(message).catch(() => {
+      // No modal open, which is fine
+    });
+  }
+
+  static showCompletionNotification(job) {
+    const counts = { succeeded: 0, failed: 0, cancelled: 0 };
+    job.results.forEach(result => counts[result.status]++);
+    
+    const details = [
+      counts.failed > 0 ? `${counts.failed} failed` : '',
+      counts.cancelled > 0 ? `${counts.cancelled} cancelled` : ''
+    ].filter(Boolean).join(', ');
+    
+    chrome.notifications.create(`bulkJob-${job.id}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon.svg',
+      title: EXTENSION_NAME,
+      message: `${BULK_JOB_DEFINITIONS[job.type].pastTense} ${counts.succeeded} of ${job.items.length} conversation(s)${details ? ` (${details})` : ''}`
+    });
+  }
+}
+
+// ============================================================================
+// Audit Log
+// ============================================================================
+
+class AuditLogger {
+  /**
+   * Records a finished bulk job, one conversation per item
+   * @param {Object} job - The finished job
+   */
+  static async recordJob(job) {
+    const conversations = job.items.map((item, index) => {
+      const result = job.results[index] || { status: 'cancelled' };
+      return {
+        id: item.id,
+        title: item.title || '',
+        ...(item.previousTitle !== undefined && { previousTitle: item.previousTitle }),
+        status: result.status,
+        ...(result.error && { error: result.error.message })
+      };
+    });
+    
+    await this.record({
+      id: job.id,
+      timestamp: job.finishedAt,
+      action: job.type,
+      initiator: job.initiator || AUDIT_INITIATORS.JOB,
+      details: job.details || '',
+      outcome: this.getOutcome(conversations, job.status === BULK_JOB_STATUS.CANCELLED),
+      conversations
+    });
+  }
+
+  /**
+   * Records a change made directly by the modal (recycle bin purge, tags)
+   * @param {{action: string, details: string, conversations: Array<Object>}} entry - What was done;
+   *   conversations are { id, title, status, error? }
+   */
+  static async recordManual({ action, details = '', conversations }) {
+    if (!Object.values(AUDIT_ACTIONS).includes(action)) {
+      throw new Error(`Unknown audit action: ${action}`);
+    }
+    if (!Array.isArray(conversations) || conversations.length === 0) {
+      throw new Error('No conversation to record');
+    }
+    
+    await this.record({
+      id: crypto.randomUUID(),
+      timestamp: Date.now(),
+      action,
+      initiator: AUDIT_INITIATORS.MANUAL,
+      details,
+      outcome: this.getOutcome(conversations, false),
+      conversations: conversations.map(({ id, title, status, error }) => ({
+        id,
+        title: title || '',
+        status,
+        ...(error && { error })
+      }))
+    });
+  }
+
+  static getOutcome(conversations, cancelled) {
+    if (cancelled) return AUDIT_OUTCOMES.CANCELLED;
+    
+    const succeeded = conversations.filter(conversation => conversation.status === 'succeeded').length;
+    if (succeeded === conversations.length) return AUDIT_OUTCOMES.SUCCEEDED;
+    return succeeded === 0 ? AUDIT_OUTCOMES.FAILED : AUDIT_OUTCOMES.PARTIAL;
+  }
+
+  static async record(entry) {
+    // An empty job (e.g. cancelled before it started with nothing in it) did nothing worth logging
+    if (entry.conversations.length === 0) return;
+    await AuditLogStorage.addEntry(entry);
+  }
+}
+
+// ============================================================================
+// Retention Rules
+// ============================================================================
+
+class RetentionRunner {
+  static initialize() {
+    this.running = null;
+    
+    // Alarms persist across service worker restarts, only create it once
+    chrome.alarms.get(RETENTION_ALARM, (alarm) => {
+      if (!alarm) {
+        chrome.alarms.create(RETENTION_ALARM, { periodInMinutes: RETENTION_INTERVAL_MINUTES });
+      }
+    });
+    
+    chrome.alarms.onAlarm.addListener(this.handleAlarm.bind(this));
+  }
+
+  static async handleAlarm(alarm) {
+    if (alarm.name === RETENTION_ALARM) {
+      await BackgroundScript.ready;
+      this.run('schedule').catch(error => console.error('Failed to run retention rules:', error));
+    }
+  }
+
+  /**
+   * Runs the enabled rules once; calls made while a run is going on join it, unless they
+   * carry confirmed conversations, which are queued to run next
+   * Matching conversations are archived or deleted through bulk jobs, unless the
+   * preventArchive/preventDelete settings block the action
+   * @param {string} trigger - "schedule" or "manual"
+   * @param {Array<string>|null} conversationIds - Only act on these conversations (as confirmed in a preview)
+   * @returns {Promise<Object|null>} The run report, null when no rule is enabled
+   */
+  static run(trigger, conversationIds = null) {
+    if (this.running && !conversationIds) {
+      return this.running;
+    }
+    
+    // Conversations confirmed in a preview are acted on by their own run, after the current one
+    const run = (this.running || Promise.resolve())
+      .catch(() => {})
+      .then(() => this.runRules(trigger, conversationIds))
+      .finally(() => {
+        if (this.running === run) {
+          this.running = null;
+        }
+      });
+    this.running = run;
+    return run;
+  }
+
+  /**
+   * Lists what a run would do without doing it
+   * @returns {Promise<Array<Object>|null>} Matched conversations (id, title, create_time, update_time,
+   *   tags, action, rule, blocked), null when no rule is enabled
+   */
+  static async preview() {
+    const settings = await BackgroundStorageHelper.getSettings();
+    const rules = this.getEnabledRules(settings);
+    if (rules.length === 0) return null;
+    
+    const blockedActions = this.getBlockedActions(settings);
+    const matches = await this.findMatches(rules);
+    return matches.map(({ summary, ruleIndex, tags }) => ({
+      id: summary.id,
+      title: summary.title || '',
+      create_time: summary.create_time,
+      update_time: summary.update_time,
+      tags,
+      action: rules[ruleIndex].action,
+      rule: RetentionRule.describe(rules[ruleIndex]),
+      blocked: blockedActions[rules[ruleIndex].action]
+    }));
+  }
+
+  static getEnabledRules(settings) {
+    return (settings.retentionRules || []).filter(rule => rule.enabled);
+  }
+
+  static getBlockedActions(settings) {
+    return {
+      [RETENTION_ACTIONS.ARCHIVE]: settings.preventArchive ?? DEFAULT_SETTINGS.preventArchive,
+      [RETENTION_ACTIONS.DELETE]: settings.preventDelete ?? DEFAULT_SETTINGS.preventDelete
+    };
+  }
+
+  static async runRules(trigger, conversationIds) {
+    const settings = await BackgroundStorageHelper.getSettings();
+    const rules = this.getEnabledRules(settings);
+    if (rules.length === 0) return null;
+    
+    const report = {
+      id: crypto.randomUUID(),
+      trigger,
+      startedAt: Date.now(),
+      finishedAt: null,
+      error: null,
+      rules: rules.map(rule => ({
+        ruleId: rule.id,
+        description: RetentionRule.describe(rule),
+        action: rule.action,
+        matched: 0,
+        succeeded: 0,
+        failed: 0,
+        blocked: 0
+      })),
+      items: []
+    };
+    
+    try {
+      const confirmedIds = conversationIds ? new Set(conversationIds) : null;
+      const matches = (await this.findMatches(rules))
+        .filter(({ summary }) => !confirmedIds || confirmedIds.has(summary.id));
+      const blockedActions = this.getBlockedActions(settings);
+      
+      for (const { summary, ruleIndex } of matches) {
+        const rule = rules[ruleIndex];
+        report.rules[ruleIndex].matched++;
+        report.items.push({
+          id: summary.id,
+          title: summary.title || '',
+          ruleId: rule.id,
+          action: rule.action,
+          status: blockedActions[rule.action] ? 'blocked' : 'pending'
+        });
+        if (blockedActions[rule.action]) {
+          report.rules[ruleIndex].blocked++;
+        }
+      }
+      
+      await this.applyAction(report, matches, RETENTION_ACTIONS.ARCHIVE, BULK_JOB_TYPES.ARCHIVE);
+      await this.applyAction(report, matches, RETENTION_ACTIONS.DELETE, BULK_JOB_TYPES.DELETE);
+    } catch (error) {
+      console.error('Retention run failed:', error);
+      report.error = error.message;
+    }
+    
+    report.finishedAt = Date.now();
+    await RetentionReportStorage.addReport(report);
+    this.showReportNotification(report);
+    return report;
+  }
+
+  /**
+   * Lists the conversations and picks the first enabled rule matching each one
+   * @param {Array<Object>} rules - Enabled rules, in order
+   * @returns {Promise<Array<{summary: Object, ruleIndex: number, tags: Array<string>}>>} Matched conversations
+   */
+  static async findMatches(rules) {
+    const evaluators = rules.map(rule => new RetentionRule(rule));
+    const tagsById = await TagStorage.getTagsById();
+    const now = Date.now();
+    
+    const lists = [{ archived: false, summaries: await this.listAllConversations(false) }];
+    if (RetentionRule.needsArchived(rules)) {
+      lists.push({ archived: true, summaries: await this.listAllConversations(true) });
+    }
+    
+    const matches = [];
+    for (const { archived, summaries } of lists) {
+      for (const summary of summaries) {
+        const context = { archived, tags: tagsById[summary.id] || [], now };
+        const ruleIndex = evaluators.findIndex(evaluator => evaluator.matches(summary, context));
+        if (ruleIndex !== -1) {
+          matches.push({ summary, ruleIndex, tags: context.tags });
+        }
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * @param {boolean} archived - List archived conversations instead of the default feed
+   * @returns {Promise<Array<Object>>} Every raw conversation summary
+   */
+  static async listAllConversations(archived) {
+    const summaries = [];
+    let total = Infinity;
+    
+    while (summaries.length < total) {
+      const page = await chatGPTClient.listConversations({ offset: summaries.length, limit: RETENTION_PAGE_SIZE, archived });
+      const items = page.items || [];
+      summaries.push(...items);
+      total = page.total ?? 0;
+      if (items.length < RETENTION_PAGE_SIZE) break;
+    }
+    return summaries;
+  }
+
+  /**
+   * Runs one action over the matched conversations as a bulk job and records the outcome
+   * @param {Object} report - Report being built
+   * @param {Array<{summary: Object, ruleIndex: number}>} matches - Matched conversations
+   * @param {string} action - One of RETENTION_ACTIONS
+   * @param {string} jobType - Bulk job type of the action
+   */
+  static async applyAction(report, matches, action, jobType) {
+    const pendingIndexes = report.items
+      .map((item, index) => (item.action === action && item.status === 'pending' ? index : null))
+      .filter(index => index !== null);
+    if (pendingIndexes.length === 0) return;
+    
+    const jobId = crypto.randomUUID();
+    await BulkJobRunner.submitJob({
+      id: jobId,
+      type: jobType,
+      initiator: AUDIT_INITIATORS.RULE,
+      details: `Retention run (${report.trigger})`,
+      items: pendingIndexes.map(index => {
+        const { summary } = matches[index];
+        return { id: summary.id, title: summary.title, create_time: summary.create_time, update_time: summary.update_time };
+      })
+    });
+    await BulkJobRunner.processQueue();
+    
+    const job = await BulkJobStorage.getJob(jobId);
+    pendingIndexes.forEach((index, position) => {
+      const result = job?.results[position];
+      const item = report.items[index];
+      item.status = result?.status || 'failed';
+      if (result?.error) {
+        item.error = result.error.message;
+      }
+      
+      const ruleReport = report.rules[matches[index].ruleIndex];
+      if (item.status === 'succeeded') {
+        ruleReport.succeeded++;
+      } else {
+        ruleReport.failed++;
+      }
+    });
+  }
+
+  static showReportNotification(report) {
+    const totals = { succeeded: 0, failed: 0, blocked: 0 };
+    report.rules.forEach(rule => {
+      totals.succeeded += rule.succeeded;
+      totals.failed += rule.failed;
+      totals.blocked += rule.blocked;
+    });
+    
+    // Quiet runs (nothing matched) don't need a notification
+    if (!report.error && totals.succeeded + totals.failed + totals.blocked === 0) return;
+    
+    const details = [
+      totals.failed > 0 ? `${totals.failed} failed` : '',
+      totals.blocked > 0 ? `${totals.blocked} blocked by settings` : ''
+    ].filter(Boolean).join(', ');
+    
+    chrome.notifications.create(`retention-${report.id}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon.svg',
+      title: `${EXTENSION_NAME} - Retention rules`,
+      message: report.error
+        ? `Retention run failed: ${report.error}`
+        : `Cleaned up ${totals.succeeded} conversation(s)${details ? ` (${details})` : ''}`
+    });
+  }
+}
+
 // ============================================================================
 // Initialization
 // ============================================================================
 
 class BackgroundScript {
-  static async initialize() {
+  static ready = null; // Settles once storage is initialized; event handlers wait for it
+
+  /**
+   * Adds every event listener synchronously: when an event (an alarm, a message) wakes the
+   * service worker up, Chrome only delivers it to listeners added in the script's first turn
+   */
+  static initialize() {
+    // Initialize storage using the background storage helper
+    this.ready = BackgroundStorageHelper.initializeStorage()
+      .catch(error => ErrorHandler.handleError(error, 'BackgroundStorageHelper.initializeStorage'));
+    
     try {
-      // Initialize storage using the background storage helper
-      await BackgroundStorageHelper.initializeStorage();
-      
       // Initialize extension lifecycle
       ExtensionLifecycle.initialize();
       
       // Initialize popup refresh manager
       PopupRefreshManager.initialize();
       
+      // Expire old recycle bin entries
+      RecycleBinCleaner.initialize();
+      
+      // Resume bulk jobs interrupted by a service worker restart
+      BulkJobRunner.initialize();
+      
+      // Run the retention rules on a schedule
+      RetentionRunner.initialize();
+      
       // Setup message listener
-      chrome.runtime.onMessage.addListener(MessageHandler.handleMessage);
+      chrome.runtime.onMessage.addListener(MessageHandler.handleMessage.bind(MessageHandler));
       
       console.log('Background script initialized successfully');
     } catch (error) {
@@ -0,0 +1,8 @@
+/**
+ * ChatGPT endpoints used by the extension
+ */
+export const CHATGPT_API = {
+  ORIGIN: 'https://chatgpt.com',
+  BASE_URL: 'https://chatgpt.com/backend-api',
+  SESSION_URL: 'https://chatgpt.com/api/auth/session'
+};
@@ -0,0 +1,35 @@
+import { BULK_JOB_TYPES } from './bulkJobs.js';
+
+/**
+ * Actions recorded in the audit log: every bulk job type, plus local-only changes
+ */
+export const AUDIT_ACTIONS = {
+  ...BULK_JOB_TYPES,
+  PURGE: 'purge', // Removed from the recycle bin
+  TAG: 'tag'
+};
+
+/**
+ * Who started an action: a direct change in the manager, a retention rule,
+ * or a bulk job submitted from the manager and run by the service worker
+ */
+export const AUDIT_INITIATORS = {
+  MANUAL: 'manual',
+  RULE: 'rule',
+  JOB: 'job'
+};
+
+export const AUDIT_OUTCOMES = {
+  SUCCEEDED: 'succeeded',
+  PARTIAL: 'partial',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Runtime message actions handled by the worker, the only writer of the log
+ */
+export const AUDIT_MESSAGES = {
+  ADD: 'addAuditEntry',
+  GET: 'getAuditLog'
+};
@@ -0,0 +1,29 @@
+/**
+ * Bulk jobs run in the background service worker so they outlive the modal
+ * The modal submits a job and follows it through the messages below
+ */
+export const BULK_JOB_TYPES = {
+  DELETE: 'delete',
+  RESTORE: 'restore',
+  ARCHIVE: 'archive',
+  UNARCHIVE: 'unarchive',
+  RENAME: 'rename'
+};
+
+export const BULK_JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Runtime message actions; START/CANCEL/GET are sent to the worker, PROGRESS/FINISHED are broadcast by it
+ */
+export const BULK_JOB_MESSAGES = {
+  START: 'startBulkJob',
+  CANCEL: 'cancelBulkJob',
+  GET: 'getBulkJobs',
+  PROGRESS: 'bulkJobProgress',
+  FINISHED: 'bulkJobFinished'
+};
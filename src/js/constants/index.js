@@ -1 +1,7 @@
 export { DEFAULT_SETTINGS, getSettingWithDefault } from './settings.js';
+export { LOCAL_STORAGE_KEYS, RECYCLE_BIN_MESSAGES, INDEXED_DB } from './storage.js';
+export { BULK_JOB_TYPES, BULK_JOB_STATUS, BULK_JOB_MESSAGES } from './bulkJobs.js';
+export { CHATGPT_API } from './api.js';
+export { RETENTION_ACTIONS, RETENTION_STATUSES, RETENTION_AGE_FIELDS, RETENTION_MESSAGES } from './retention.js';
+export { AUDIT_ACTIONS, AUDIT_INITIATORS, AUDIT_OUTCOMES, AUDIT_MESSAGES } from './audit.js';
+export { KEYBOARD_SHORTCUTS, BINDABLE_KEY_NAMES } from './keyboard.js';
@@ -0,0 +1,24 @@
+/**
+ * Keyboard shortcuts of the conversations modal, with their default keys
+ * Keys are KeyboardEvent.key values, with letters in lower case and "Space" for the space bar.
+ * The settings only store the actions whose keys were changed (keyboardShortcuts).
+ */
+export const KEYBOARD_SHORTCUTS = {
+  moveDown: { label: 'Next conversation (Shift extends the selection)', keys: ['ArrowDown', 'j'] },
+  moveUp: { label: 'Previous conversation (Shift extends the selection)', keys: ['ArrowUp', 'k'] },
+  toggleSelection: { label: 'Select or deselect', keys: ['Space'] },
+  focusSearch: { label: 'Search', keys: ['/'] },
+  archive: { label: 'Archive (unarchive in Archived)', keys: ['a'] },
+  delete: { label: 'Delete (remove in Recently deleted)', keys: ['Delete'] },
+  open: { label: 'Open in ChatGPT', keys: ['o'] },
+  showHelp: { label: 'Show shortcuts', keys: ['?'] }
+};
+
+/**
+ * Named keys that can be bound, besides single characters
+ */
+export const BINDABLE_KEY_NAMES = [
+  'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+  'Home', 'End', 'PageUp', 'PageDown',
+  'Enter', 'Space', 'Delete', 'Backspace', 'Insert'
+];
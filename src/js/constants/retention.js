@@ -0,0 +1,34 @@
+/**
+ * Retention rules are stored in the settings and run by the background service worker
+ * A rule is { id, enabled, action, olderThanDays, ageField, titlePattern, tag, status }
+ */
+export const RETENTION_ACTIONS = {
+  ARCHIVE: 'archive',
+  DELETE: 'delete'
+};
+
+/**
+ * Which conversations a rule looks at
+ */
+export const RETENTION_STATUSES = {
+  ANY: 'any',
+  ACTIVE: 'active',
+  ARCHIVED: 'archived'
+};
+
+/**
+ * Which date the age of a conversation is counted from
+ */
+export const RETENTION_AGE_FIELDS = {
+  CREATED: 'created',
+  MODIFIED: 'modified'
+};
+
+/**
+ * Runtime message actions handled by the worker
+ */
+export const RETENTION_MESSAGES = {
+  RUN: 'runRetentionRules',
+  PREVIEW: 'previewRetentionRules',
+  GET_REPORTS: 'getRetentionReports'
+};
@@ -7,7 +7,13 @@ export const DEFAULT_SETTINGS = {
   batchSize: 50,
   isCustomBatchSize: false,
   preventDelete: true,
-  preventArchive: true
+  preventArchive: true,
+  undoWindow: 10,
+  recycleBinRetentionDays: 30,
+  newWindowHours: 24,
+  updatedWindowHours: 24,
+  retentionRules: [],
+  keyboardShortcuts: {}
 };
 
 /**
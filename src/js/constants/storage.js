@@ -0,0 +1,32 @@
+/**
+ * Keys of the data kept in chrome.storage.local
+ * Settings live in chrome.storage.sync; larger per-conversation data lives here
+ */
+export const LOCAL_STORAGE_KEYS = {
+  RECYCLE_BIN: 'recycleBin',
+  TAGS: 'conversationTags',
+  BULK_JOBS: 'bulkJobs',
+  RETENTION_REPORTS: 'retentionReports',
+  AUDIT_LOG: 'auditLog',
+  SAVED_SELECTIONS: 'savedSelections'
+};
+
+/**
+ * Runtime message actions handled by the worker, the only writer of the recycle bin
+ */
+export const RECYCLE_BIN_MESSAGES = {
+  REMOVE: 'removeRecycleBinEntries'
+};
+
+/**
+ * IndexedDB database used for data too large for chrome.storage (e.g., message text)
+ * Bump VERSION when adding an object store
+ */
+export const INDEXED_DB = {
+  NAME: 'chatgptConversationsManager',
+  VERSION: 2,
+  STORES: {
+    SEARCH_INDEX: 'searchIndex',
+    CONVERSATION_CACHE: 'conversationCache'
+  }
+};
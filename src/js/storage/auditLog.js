@@ -0,0 +1,61 @@
+// ============================================================================
+// Audit Log Storage
+// ============================================================================
+
+import { LOCAL_STORAGE_KEYS } from '../constants/index.js';
+
+// Oldest entries are dropped beyond this size: chrome.storage.local holds 10 MB in all,
+// shared with bulk jobs and the recycle bin
+const MAX_SIZE_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Persists what the extension did in chrome.storage.local
+ * An entry is { id, timestamp, action, initiator, outcome, details, conversations } where
+ * conversations are { id, title, previousTitle?, status, error? }. Only the service worker
+ * writes the log (other pages send it entries); writes are queued so they don't overwrite each other.
+ */
+export class AuditLogStorage {
+  static writeQueue = Promise.resolve();
+
+  /**
+   * Gets the entries, most recent first
+   * @returns {Promise<Array<Object>>} Entries
+   */
+  static async getEntries() {
+    const result = await chrome.storage.local.get(LOCAL_STORAGE_KEYS.AUDIT_LOG);
+    return result[LOCAL_STORAGE_KEYS.AUDIT_LOG] || [];
+  }
+
+  /**
+   * Adds an entry, dropping the oldest ones beyond the size limit
+   * @param {Object} entry - The entry
+   * @returns {Promise<void>} Settles once written; rejects if the write failed
+   */
+  static addEntry(entry) {
+    const write = this.writeQueue.then(async () => {
+      const entries = await this.getEntries();
+      entries.unshift(entry);
+      await chrome.storage.local.set({ [LOCAL_STORAGE_KEYS.AUDIT_LOG]: this.trimToSize(entries) });
+    });
+    
+    // A failed write must not block the ones queued after it
+    this.writeQueue = write.catch(error => console.error('Failed to save audit entry:', error));
+    return write;
+  }
+
+  /**
+   * @param {Array<Object>} entries - Entries, most recent first
+   * @returns {Array<Object>} The most recent entries that fit in MAX_SIZE_BYTES (at least one)
+   * @private
+   */
+  static trimToSize(entries) {
+    const encoder = new TextEncoder();
+    let size = 0;
+    
+    const count = entries.findIndex((entry, index) => {
+      size += encoder.encode(JSON.stringify(entry)).length;
+      return index > 0 && size > MAX_SIZE_BYTES;
+    });
+    return count === -1 ? entries : entries.slice(0, count);
+  }
+}
@@ -0,0 +1,82 @@
+// ============================================================================
+// Bulk Job Storage
+// ============================================================================
+
+import { LOCAL_STORAGE_KEYS, BULK_JOB_STATUS } from '../constants/index.js';
+
+// Finished jobs kept around so a reopened modal can still show their outcome
+const MAX_FINISHED_JOBS = 20;
+
+/**
+ * Persists bulk jobs in chrome.storage.local so they can resume after a service worker restart
+ * A job is { id, type, items, results, status, createdAt, finishedAt } where results[i] is null
+ * until items[i] has been processed. Only the service worker writes jobs; writes are queued
+ * so concurrent checkpoints don't overwrite each other.
+ */
+export class BulkJobStorage {
+  static writeQueue = Promise.resolve();
+
+  /**
+   * Gets all jobs, oldest first
+   * @returns {Promise<Array<Object>>} Jobs
+   */
+  static async getJobs() {
+    const jobs = await this.getJobsById();
+    return Object.values(jobs).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Gets the jobs that are queued or were interrupted while running
+   * @returns {Promise<Array<Object>>} Unfinished jobs, oldest first
+   */
+  static async getPendingJobs() {
+    const jobs = await this.getJobs();
+    return jobs.filter(job => job.status === BULK_JOB_STATUS.QUEUED || job.status === BULK_JOB_STATUS.RUNNING);
+  }
+
+  /**
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} The job, or null if unknown
+   */
+  static async getJob(jobId) {
+    const jobs = await this.getJobsById();
+    return jobs[jobId] || null;
+  }
+
+  /**
+   * Saves a job, dropping the oldest finished jobs beyond the limit
+   * @param {Object} job - The job
+   * @returns {Promise<void>} Settles once written; rejects if the write failed (e.g., quota exceeded)
+   */
+  static saveJob(job) {
+    // Snapshot now: the caller keeps mutating the job while the write waits its turn
+    const snapshot = structuredClone(job);
+    
+    const write = this.writeQueue.then(async () => {
+      const jobs = await this.getJobsById();
+      jobs[snapshot.id] = snapshot;
+      
+      const finishedJobs = Object.values(jobs)
+        .filter(entry => entry.status === BULK_JOB_STATUS.COMPLETED || entry.status === BULK_JOB_STATUS.CANCELLED)
+        .sort((a, b) => b.createdAt - a.createdAt);
+      for (const entry of finishedJobs.slice(MAX_FINISHED_JOBS)) {
+        delete jobs[entry.id];
+      }
+      
+      await chrome.storage.local.set({ [LOCAL_STORAGE_KEYS.BULK_JOBS]: jobs });
+    });
+    
+    // A failed write must not block the ones queued after it
+    this.writeQueue = write.catch(error => console.error('Failed to save bulk job:', error));
+    return write;
+  }
+
+  /**
+   * @returns {Promise<Object>} Jobs keyed by ID
+   * @private
+   */
+  static async getJobsById() {
+    const result = await chrome.storage.local.get(LOCAL_STORAGE_KEYS.BULK_JOBS);
+    return result[LOCAL_STORAGE_KEYS.BULK_JOBS] || {};
+  }
+}
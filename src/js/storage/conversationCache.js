@@ -0,0 +1,50 @@
+// ============================================================================
+// Conversation Cache Storage
+// ============================================================================
+
+import { INDEXED_DB } from '../constants/index.js';
+import { runStoreRequest } from './database.js';
+
+const STORE = INDEXED_DB.STORES.CONVERSATION_CACHE;
+
+/**
+ * Persists the conversation list so the modal can show it before the network answers
+ * One record per account and view: { id: "<accountId>:<view>", conversations, synced_at },
+ * where conversations are raw summaries from the list endpoint, most recently updated first
+ */
+export class ConversationCacheStorage {
+  /**
+   * Gets the cached list of an account's view
+   * @param {string} accountId - ChatGPT account ID
+   * @param {string} view - View (active, archived)
+   * @returns {Promise<Array<Object>|null>} Cached summaries, or null if never synced
+   */
+  static async getConversations(accountId, view) {
+    const record = await runStoreRequest(STORE, 'readonly', store => store.get(this.getKey(accountId, view)));
+    return record ? record.conversations : null;
+  }
+
+  /**
+   * Replaces the cached list of an account's view
+   * @param {string} accountId - ChatGPT account ID
+   * @param {string} view - View (active, archived)
+   * @param {Array<Object>} conversations - Raw summaries, most recently updated first
+   */
+  static async saveConversations(accountId, view, conversations) {
+    await runStoreRequest(STORE, 'readwrite', store => store.put({
+      id: this.getKey(accountId, view),
+      conversations,
+      synced_at: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * @param {string} accountId - ChatGPT account ID
+   * @param {string} view - View
+   * @returns {string} Record key
+   * @private
+   */
+  static getKey(accountId, view) {
+    return `${accountId}:${view}`;
+  }
+}
@@ -0,0 +1,55 @@
+// ============================================================================
+// IndexedDB Helper
+// ============================================================================
+
+import { INDEXED_DB } from '../constants/index.js';
+
+let databasePromise = null;
+
+/**
+ * Opens the extension's IndexedDB database, creating missing object stores on upgrade
+ * The connection is shared by every caller in the same context
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(INDEXED_DB.NAME, INDEXED_DB.VERSION);
+      
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        for (const storeName of Object.values(INDEXED_DB.STORES)) {
+          if (!database.objectStoreNames.contains(storeName)) {
+            database.createObjectStore(storeName, { keyPath: 'id' });
+          }
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  
+  return databasePromise;
+}
+
+/**
+ * Runs a request against an object store and resolves with its result
+ * @param {string} storeName - Object store name
+ * @param {string} mode - Transaction mode (readonly, readwrite)
+ * @param {Function} createRequest - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+export async function runStoreRequest(storeName, mode, createRequest) {
+  const database = await openDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = createRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
@@ -0,0 +1,13 @@
+// ============================================================================
+// Shared Storage Index
+// ============================================================================
+
+export { RecycleBinStorage } from './recycleBin.js';
+export { SearchIndexStorage } from './searchIndex.js';
+export { ConversationCacheStorage } from './conversationCache.js';
+export { TagStorage } from './tags.js';
+export { BulkJobStorage } from './bulkJobs.js';
+export { RetentionReportStorage } from './retentionReports.js';
+export { AuditLogStorage } from './auditLog.js';
+export { SavedSelectionStorage } from './savedSelections.js';
+export { openDatabase, runStoreRequest } from './database.js';
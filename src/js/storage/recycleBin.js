@@ -0,0 +1,120 @@
+// ============================================================================
+// Recycle Bin Storage
+// ============================================================================
+
+import { LOCAL_STORAGE_KEYS } from '../constants/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Records conversations deleted through the extension so they can be restored later
+ * Entries are stored in chrome.storage.local keyed by conversation ID and use the
+ * same field names as the ChatGPT API, plus the time of deletion. Only the service worker
+ * writes the bin (other pages send it RECYCLE_BIN_MESSAGES); its writes are queued so
+ * they don't overwrite each other.
+ */
+export class RecycleBinStorage {
+  static writeQueue = Promise.resolve();
+
+  /**
+   * Gets all recycle bin entries, most recently deleted first
+   * @returns {Promise<Array<Object>>} Entries ({ id, title, create_time, update_time, deleted_at })
+   */
+  static async getEntries() {
+    const entries = await this.getEntriesById();
+    return Object.values(entries).sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+  }
+
+  /**
+   * Records deleted conversations
+   * Summaries use the API field names, as carried by background bulk jobs
+   * @param {Array<{id: string, title?: string, create_time?: string, update_time?: string}>} summaries - The deleted conversations
+   */
+  static addSummaries(summaries) {
+    return this.updateEntries(entries => {
+      const deletedAt = new Date().toISOString();
+      
+      for (const summary of summaries) {
+        entries[summary.id] = {
+          id: summary.id,
+          title: summary.title || '',
+          create_time: summary.create_time || deletedAt,
+          update_time: summary.update_time || summary.create_time || deletedAt,
+          deleted_at: deletedAt
+        };
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Removes entries (after a restore, an undo or a purge)
+   * @param {Array<string>} conversationIds - IDs of the entries to remove
+   */
+  static removeEntries(conversationIds) {
+    return this.updateEntries(entries => {
+      for (const id of conversationIds) {
+        delete entries[id];
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Removes entries deleted longer ago than the retention period
+   * @param {number} retentionDays - Number of days entries are kept
+   * @returns {Promise<number>} Number of entries removed
+   */
+  static async purgeExpired(retentionDays) {
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    let removed = 0;
+    
+    await this.updateEntries(entries => {
+      for (const [id, entry] of Object.entries(entries)) {
+        if (new Date(entry.deleted_at).getTime() < cutoff) {
+          delete entries[id];
+          removed++;
+        }
+      }
+      return removed > 0;
+    });
+    
+    return removed;
+  }
+
+  /**
+   * Reads, changes and writes the entries after the writes queued before
+   * @param {Function} update - Changes the entries in place, returns false when nothing changed
+   * @returns {Promise<void>} Settles once written; rejects if the write failed
+   * @private
+   */
+  static updateEntries(update) {
+    const write = this.writeQueue.then(async () => {
+      const entries = await this.getEntriesById();
+      if (update(entries)) {
+        await this.saveEntries(entries);
+      }
+    });
+    
+    // A failed write must not block the ones queued after it
+    this.writeQueue = write.catch(error => console.error('Failed to save recycle bin:', error));
+    return write;
+  }
+
+  /**
+   * @returns {Promise<Object>} Entries keyed by conversation ID
+   * @private
+   */
+  static async getEntriesById() {
+    const result = await chrome.storage.local.get(LOCAL_STORAGE_KEYS.RECYCLE_BIN);
+    return result[LOCAL_STORAGE_KEYS.RECYCLE_BIN] || {};
+  }
+
+  /**
+   * @param {Object} entries - Entries keyed by conversation ID
+   * @private
+   */
+  static async saveEntries(entries) {
+    await chrome.storage.local.set({ [LOCAL_STORAGE_KEYS.RECYCLE_BIN]: entries });
+  }
+}
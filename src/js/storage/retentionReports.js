@@ -0,0 +1,34 @@
+// ============================================================================
+// Retention Report Storage
+// ============================================================================
+
+import { LOCAL_STORAGE_KEYS } from '../constants/index.js';
+
+// Runs kept for review in the settings
+const MAX_REPORTS = 10;
+
+/**
+ * Keeps the reports of the latest retention rule runs in chrome.storage.local
+ * A report is { id, trigger, startedAt, finishedAt, error, rules, items } where rules holds
+ * per-rule counts and items lists every conversation a rule matched and what happened to it
+ */
+export class RetentionReportStorage {
+  /**
+   * Gets the kept reports, most recent first
+   * @returns {Promise<Array<Object>>} Reports
+   */
+  static async getReports() {
+    const result = await chrome.storage.local.get(LOCAL_STORAGE_KEYS.RETENTION_REPORTS);
+    return result[LOCAL_STORAGE_KEYS.RETENTION_REPORTS] || [];
+  }
+
+  /**
+   * Adds a report, dropping the oldest beyond the limit
+   * @param {Object} report - The report
+   */
+  static async addReport(report) {
+    const reports = await this.getReports();
+    reports.unshift(report);
+    await chrome.storage.local.set({ [LOCAL_STORAGE_KEYS.RETENTION_REPORTS]: reports.slice(0, MAX_REPORTS) });
+  }
+}
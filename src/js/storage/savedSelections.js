@@ -0,0 +1,57 @@
+// ============================================================================
+// Saved Selection Storage
+// ============================================================================
+
+import { LOCAL_STORAGE_KEYS } from '../constants/index.js';
+
+// Saving beyond this many asks for one to be removed first
+const MAX_SELECTIONS = 50;
+
+/**
+ * Stores named selections of conversations in chrome.storage.local
+ * A selection is { name, view, savedAt, conversations } where conversations are list summaries,
+ * so a restored selection can be shown and acted on before its conversations are loaded again.
+ * Names are unique; saving under an existing name replaces that selection.
+ */
+export class SavedSelectionStorage {
+  /**
+   * Gets the saved selections, sorted by name
+   * @returns {Promise<Array<Object>>} Selections
+   */
+  static async getSelections() {
+    const result = await chrome.storage.local.get(LOCAL_STORAGE_KEYS.SAVED_SELECTIONS);
+    const selections = result[LOCAL_STORAGE_KEYS.SAVED_SELECTIONS] || [];
+    return selections.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Saves a selection, replacing the one with the same name
+   * @param {Object} selection - { name, view, conversations }
+   * @throws {Error} If the limit is reached and the name is new
+   */
+  static async saveSelection({ name, view, conversations }) {
+    const selections = (await this.getSelections()).filter(selection => selection.name !== name);
+    if (selections.length >= MAX_SELECTIONS) {
+      throw new Error(`At most ${MAX_SELECTIONS} selections can be saved`);
+    }
+
+    selections.push({ name, view, savedAt: Date.now(), conversations });
+    await this.saveSelections(selections);
+  }
+
+  /**
+   * @param {string} name - Name of the selection to remove
+   */
+  static async deleteSelection(name) {
+    const selections = await this.getSelections();
+    await this.saveSelections(selections.filter(selection => selection.name !== name));
+  }
+
+  /**
+   * @param {Array<Object>} selections - Every saved selection
+   * @private
+   */
+  static async saveSelections(selections) {
+    await chrome.storage.local.set({ [LOCAL_STORAGE_KEYS.SAVED_SELECTIONS]: selections });
+  }
+}
@@ -0,0 +1,57 @@
+// ============================================================================
+// Search Index Storage
+// ============================================================================
+
+import { INDEXED_DB } from '../constants/index.js';
+import { runStoreRequest } from './database.js';
+
+const STORE = INDEXED_DB.STORES.SEARCH_INDEX;
+
+/**
+ * Persists the text of conversations for full-text search
+ * Entries use the same field names as the ChatGPT API list endpoint plus the
+ * model, the number of messages on the current branch and their concatenated text:
+ * { id, title, create_time, update_time, is_archived, default_model_slug, message_count, text }
+ */
+export class SearchIndexStorage {
+  /**
+   * Gets all indexed entries
+   * @returns {Promise<Array<Object>>} Indexed entries
+   */
+  static async getEntries() {
+    return runStoreRequest(STORE, 'readonly', store => store.getAll());
+  }
+
+  /**
+   * Gets the update time each conversation was indexed at
+   * @returns {Promise<Map<string, string>>} Map of conversation ID to indexed update_time
+   */
+  static async getIndexedVersions() {
+    const entries = await this.getEntries();
+    return new Map(entries.map(entry => [entry.id, entry.update_time]));
+  }
+
+  /**
+   * Adds or replaces an entry
+   * @param {Object} entry - Entry to store
+   */
+  static async putEntry(entry) {
+    await runStoreRequest(STORE, 'readwrite', store => store.put(entry));
+  }
+
+  /**
+   * Removes entries
+   * @param {Array<string>} conversationIds - IDs of the entries to remove
+   */
+  static async removeEntries(conversationIds) {
+    if (conversationIds.length === 0) return;
+    
+    await runStoreRequest(STORE, 'readwrite', store => {
+      let request = null;
+      for (const id of conversationIds) {
+        request = store.delete(id);
+      }
+      return request;
+    });
+  }
+}
@@ -0,0 +1,72 @@
+// ============================================================================
+// Tag Storage
+// ============================================================================
+
+import { LOCAL_STORAGE_KEYS } from '../constants/index.js';
+
+/**
+ * Stores local tags for conversations (ChatGPT itself has no tagging)
+ * Tags are kept in chrome.storage.local as { conversationId: [tag, ...] }
+ */
+export class TagStorage {
+  /**
+   * Gets the tags of every tagged conversation
+   * @returns {Promise<Object<string, Array<string>>>} Tags keyed by conversation ID
+   */
+  static async getTagsById() {
+    const result = await chrome.storage.local.get(LOCAL_STORAGE_KEYS.TAGS);
+    return result[LOCAL_STORAGE_KEYS.TAGS] || {};
+  }
+
+  /**
+   * Gets every tag in use, sorted alphabetically
+   * @param {Object<string, Array<string>>} tagsById - Tags keyed by conversation ID
+   * @returns {Array<string>} Distinct tag names
+   */
+  static getTagNames(tagsById) {
+    const names = new Set(Object.values(tagsById).flat());
+    return Array.from(names).sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Adds and removes tags on conversations in one write
+   * @param {Array<string>} conversationIds - Conversations to update
+   * @param {Array<string>} tagsToAdd - Tags to assign
+   * @param {Array<string>} tagsToRemove - Tags to unassign
+   */
+  static async updateTags(conversationIds, tagsToAdd = [], tagsToRemove = []) {
+    const tagsById = await this.getTagsById();
+    
+    for (const id of conversationIds) {
+      const tags = new Set(tagsById[id] || []);
+      tagsToAdd.forEach(tag => tags.add(tag));
+      tagsToRemove.forEach(tag => tags.delete(tag));
+      
+      if (tags.size > 0) {
+        tagsById[id] = Array.from(tags).sort((a, b) => a.localeCompare(b));
+      } else {
+        delete tagsById[id];
+      }
+    }
+    
+    await this.saveTags(tagsById);
+  }
+
+  /**
+   * Forgets the tags of conversations that no longer exist
+   * @param {Array<string>} conversationIds - Conversations to forget
+   */
+  static async removeConversations(conversationIds) {
+    const tagsById = await this.getTagsById();
+    conversationIds.forEach(id => delete tagsById[id]);
+    await this.saveTags(tagsById);
+  }
+
+  /**
+   * @param {Object<string, Array<string>>} tagsById - Tags keyed by conversation ID
+   * @private
+   */
+  static async saveTags(tagsById) {
+    await chrome.storage.local.set({ [LOCAL_STORAGE_KEYS.TAGS]: tagsById });
+  }
+}
@@ -0,0 +1,190 @@
+// ============================================================================
+// Bulk Action Executor
+// ============================================================================
+
+/**
+ * Error for a failed HTTP request, carrying what the executor needs to decide on a retry
+ */
+export class RequestError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status (0 for network failures)
+   * @param {number|null} retryAfter - Milliseconds to wait as requested by the server
+   */
+  constructor(message, status = 0, retryAfter = null) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+
+  /**
+   * Rate limiting, server errors and network failures are worth retrying
+   * @returns {boolean} True if the request may succeed when retried
+   */
+  get isRetryable() {
+    return this.status === 0 || this.status === 429 || this.status >= 500;
+  }
+
+  /**
+   * Creates an error from a non-OK response, reading the Retry-After header
+   * @param {Response} response - The failed response
+   * @param {string} message - Error message
+   * @returns {RequestError} The error
+   */
+  static fromResponse(response, message = `Request failed: ${response.status}`) {
+    return new RequestError(message, response.status, RequestError.parseRetryAfter(response.headers.get('Retry-After')));
+  }
+
+  /**
+   * @param {string|null} value - Retry-After header (seconds or HTTP date)
+   * @returns {number|null} Delay in milliseconds
+   * @private
+   */
+  static parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+/**
+ * Runs a task over many items with bounded concurrency
+ * Retryable failures back off exponentially (or as long as Retry-After asks); a 429 pauses
+ * every worker, not just the one that hit it. Never throws for a single item: each item
+ * ends up succeeded, failed or cancelled.
+ */
+export class BulkActionExecutor {
+  /**
+   * @param {Object} options - Executor options
+   * @param {number} options.concurrency - Maximum tasks in flight
+   * @param {number} options.maxRetries - Retries per item after the first attempt
+   * @param {number} options.baseDelay - First backoff delay in milliseconds
+   * @param {number} options.maxDelay - Upper bound of the exponential backoff in milliseconds
+   */
+  constructor({ concurrency = 4, maxRetries = 4, baseDelay = 1000, maxDelay = 30000 } = {}) {
+    this.concurrency = concurrency;
+    this.maxRetries = maxRetries;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Runs the task for every item
+   * @param {Array} items - Items to process
+   * @param {Function} task - async (item, signal) => value; throw a RequestError to allow retries
+   * @param {Object} options - Run options
+   * @param {Function} options.onProgress - Called with (done, total, result) after each item
+   * @param {AbortSignal|null} options.signal - Cancels the items not finished yet
+   * @returns {Promise<Array<{item: *, status: string, value?: *, error?: Error, attempts: number}>>}
+   *   One result per item, in the order of the items
+   */
+  async run(items, task, { onProgress = () => {}, signal = null } = {}) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let done = 0;
+
+    const worker = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        const item = items[index];
+
+        results[index] = signal?.aborted
+          ? { item, status: 'cancelled', attempts: 0 }
+          : await this.runWithRetry(item, task, signal);
+
+        onProgress(++done, items.length, results[index]);
+      }
+    };
+
+    const workerCount = Math.min(this.concurrency, items.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return results;
+  }
+
+  /**
+   * @param {*} item - Item to process
+   * @param {Function} task - The task
+   * @param {AbortSignal|null} signal - Cancellation signal
+   * @returns {Promise<Object>} Result of the item
+   * @private
+   */
+  async runWithRetry(item, task, signal) {
+    for (let attempt = 1; ; attempt++) {
+      await this.wait(this.pausedUntil - Date.now(), signal);
+      if (signal?.aborted) {
+        return { item, status: 'cancelled', attempts: attempt - 1 };
+      }
+
+      try {
+        const value = await task(item, signal);
+        return { item, status: 'succeeded', value, attempts: attempt };
+      } catch (error) {
+        if (signal?.aborted) {
+          return { item, status: 'cancelled', error, attempts: attempt };
+        }
+
+        // fetch rejects with a TypeError when the network fails
+        const isRetryable = error instanceof RequestError ? error.isRetryable : error instanceof TypeError;
+        if (!isRetryable || attempt > this.maxRetries) {
+          return { item, status: 'failed', error, attempts: attempt };
+        }
+
+        const delay = this.getDelay(attempt, error);
+        if (error.status === 429) {
+          this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        }
+        await this.wait(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {Error} error - The failure
+   * @returns {number} Delay before the next attempt in milliseconds
+   * @private
+   */
+  getDelay(attempt, error) {
+    if (error.retryAfter != null) {
+      return error.retryAfter;
+    }
+
+    const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+    // Jitter so concurrent workers don't retry in lockstep
+    return delay / 2 + Math.random() * delay / 2;
+  }
+
+  /**
+   * Waits for the given time, or until the signal aborts
+   * @param {number} ms - Time to wait in milliseconds
+   * @param {AbortSignal|null} signal - Cancellation signal
+   * @returns {Promise<void>}
+   * @private
+   */
+  wait(ms, signal) {
+    if (ms <= 0 || signal?.aborted) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const onAbort = () => {
+        clearTimeout(timeout);
+        resolve();
+      };
+      const timeout = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
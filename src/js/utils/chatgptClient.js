@@ -0,0 +1,281 @@
+// ============================================================================
+// ChatGPT API Client
+// ============================================================================
+
+import { CHATGPT_API } from '../constants/index.js';
+import { BulkActionExecutor, RequestError } from './bulkExecutor.js';
+
+// Refresh the token a little before it expires so in-flight requests don't race the expiry
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+// Used when neither the token nor the session says when it expires
+const DEFAULT_TOKEN_LIFETIME_MS = 10 * 60 * 1000;
+
+/**
+ * Single entry point to the ChatGPT backend API
+ * Caches the session access token until it expires and refreshes it once on a 401.
+ * Failed requests throw a RequestError, so callers can hand them to a BulkActionExecutor.
+ */
+export class ChatGPTClient {
+  /**
+   * @param {string} baseUrl - Backend API base URL
+   * @param {string} sessionUrl - Session endpoint returning the access token
+   * @param {Function} fetchFunction - fetch implementation (injectable for tests)
+   */
+  constructor(baseUrl = CHATGPT_API.BASE_URL, sessionUrl = CHATGPT_API.SESSION_URL, fetchFunction = (...args) => fetch(...args)) {
+    this.baseUrl = baseUrl;
+    this.sessionUrl = sessionUrl;
+    this.fetchFunction = fetchFunction;
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+    this.tokenPromise = null;
+    this.accountId = null;
+  }
+
+  // ============================================================================
+  // Session
+  // ============================================================================
+
+  /**
+   * Gets the current session (user, account and access token)
+   * @returns {Promise<Object>} Session data (empty when signed out)
+   * @throws {RequestError} If the session endpoint fails
+   */
+  async getSession() {
+    const response = await this.fetchFunction(this.sessionUrl, {
+      method: 'GET',
+      credentials: 'include'
+    });
+    
+    if (!response.ok) {
+      throw RequestError.fromResponse(response, `Failed to get session: ${response.status}`);
+    }
+    
+    return await response.json();
+  }
+
+  /**
+   * Gets an access token, reusing the cached one until it expires
+   * @param {boolean} forceRefresh - Ignore the cached token
+   * @returns {Promise<string>} Access token
+   * @throws {RequestError} If the user is signed out (status 401)
+   */
+  async getAccessToken(forceRefresh = false) {
+    if (!forceRefresh && this.accessToken && Date.now() < this.tokenExpiresAt - TOKEN_EXPIRY_MARGIN_MS) {
+      return this.accessToken;
+    }
+    
+    // Concurrent callers share the same session request
+    if (!this.tokenPromise) {
+      this.tokenPromise = this.refreshAccessToken().finally(() => {
+        this.tokenPromise = null;
+      });
+    }
+    
+    return this.tokenPromise;
+  }
+
+  /**
+   * Gets the ID of the signed-in account (used to scope local caches)
+   * @returns {Promise<string>} Account ID, falling back to the user ID for personal accounts
+   */
+  async getAccountId() {
+    await this.getAccessToken();
+    return this.accountId;
+  }
+
+  /**
+   * Forgets the cached token (e.g., after the server rejected it)
+   */
+  invalidateToken() {
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  /**
+   * @returns {Promise<string>} Fresh access token
+   * @private
+   */
+  async refreshAccessToken() {
+    const session = await this.getSession();
+    if (!session.accessToken) {
+      this.invalidateToken();
+      throw new RequestError('Not signed in to ChatGPT', 401);
+    }
+    
+    this.accessToken = session.accessToken;
+    this.tokenExpiresAt = this.getTokenExpiry(session);
+    this.accountId = session.account?.id || session.user?.id || null;
+    return this.accessToken;
+  }
+
+  /**
+   * Reads the expiry from the token's JWT payload, falling back to the session expiry
+   * @param {Object} session - Session data
+   * @returns {number} Expiry timestamp in milliseconds
+   * @private
+   */
+  getTokenExpiry(session) {
+    try {
+      const payload = session.accessToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      const { exp } = JSON.parse(atob(payload));
+      if (exp) return exp * 1000;
+    } catch (error) {
+      // Not a JWT we can read
+    }
+    
+    const sessionExpiry = Date.parse(session.expires);
+    return Number.isNaN(sessionExpiry) ? Date.now() + DEFAULT_TOKEN_LIFETIME_MS : sessionExpiry;
+  }
+
+  // ============================================================================
+  // Requests
+  // ============================================================================
+
+  /**
+   * Sends an authenticated request, retrying once with a fresh token on a 401
+   * @param {string} path - Path relative to the base URL (e.g., "/conversations?offset=0")
+   * @param {Object} options - Request options
+   * @param {string} options.method - HTTP method
+   * @param {Object} options.body - JSON body
+   * @param {AbortSignal|null} options.signal - Cancels the request
+   * @returns {Promise<Object|null>} Parsed JSON response (null when empty)
+   * @throws {RequestError} If the response is not OK
+   */
+  async request(path, { method = 'GET', body = undefined, signal = null } = {}) {
+    let response = await this.send(path, method, body, signal, await this.getAccessToken());
+    
+    if (response.status === 401) {
+      this.invalidateToken();
+      response = await this.send(path, method, body, signal, await this.getAccessToken(true));
+    }
+    
+    if (!response.ok) {
+      throw RequestError.fromResponse(response, `${method} ${path} failed: ${response.status}`);
+    }
+    
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  /**
+   * @returns {Promise<Response>} Raw response
+   * @private
+   */
+  send(path, method, body, signal, accessToken) {
+    return this.fetchFunction(`${this.baseUrl}${path}`, {
+      method,
+      headers: {
+        'Authorization': 'Bearer ' + accessToken,
+        'Content-Type': 'application/json'
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal
+    });
+  }
+
+  // ============================================================================
+  // Conversations
+  // ============================================================================
+
+  /**
+   * Lists a page of conversations
+   * @param {Object} options - Page options
+   * @param {number} options.offset - Offset for pagination
+   * @param {number} options.limit - Page size
+   * @param {boolean} options.archived - List archived conversations instead of the default feed
+   * @param {string} options.order - Sort order ("updated" lists the most recently updated first)
+   * @param {AbortSignal|null} signal - Cancels the request
+   * @returns {Promise<{items: Array<Object>, total: number}>} Page of raw conversation summaries
+   */
+  listConversations({ offset = 0, limit = 28, archived = false, order = 'updated' } = {}, signal = null) {
+    const params = new URLSearchParams({ offset, limit, order });
+    if (archived) {
+      params.set('is_archived', true);
+    }
+    return this.request(`/conversations?${params.toString()}`, { signal });
+  }
+
+  /**
+   * Searches conversations server-side
+   * @param {string} query - Search query
+   * @param {string|null} cursor - Cursor of the next page (null for the first page)
+   * @param {AbortSignal|null} signal - Cancels the request
+   * @returns {Promise<{items: Array<Object>, cursor: string|null}>} Page of message hits
+   */
+  searchConversations(query, cursor = null, signal = null) {
+    const params = new URLSearchParams({ query });
+    if (cursor) {
+      params.set('cursor', cursor);
+    }
+    return this.request(`/conversations/search?${params.toString()}`, { signal });
+  }
+
+  /**
+   * Gets a conversation including its full message tree
+   * @param {string} conversationId - Conversation ID
+   * @param {AbortSignal|null} signal - Cancels the request
+   * @returns {Promise<Object>} Raw conversation data
+   */
+  getConversation(conversationId, signal = null) {
+    return this.request(`/conversation/${conversationId}`, { signal });
+  }
+
+  /**
+   * Updates a conversation (title, is_archived, is_visible...)
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} body - PATCH body
+   * @param {AbortSignal|null} signal - Cancels the request
+   * @returns {Promise<Object|null>} API response
+   */
+  patchConversation(conversationId, body, signal = null) {
+    return this.request(`/conversation/${conversationId}`, { method: 'PATCH', body, signal });
+  }
+
+  /**
+   * Updates many conversations with bounded concurrency and rate-limit backoff
+   * @param {Array<Object>} items - Items to update, each with an id
+   * @param {Function} getBody - Returns the PATCH body of an item
+   * @param {Object} options - Passed to BulkActionExecutor.run (onProgress, signal)
+   * @param {BulkActionExecutor} executor - Executor to run on (share one to share rate-limit pauses)
+   * @returns {Promise<Array<Object>>} Executor results, one per item
+   */
+  bulkPatchConversations(items, getBody, options = {}, executor = new BulkActionExecutor()) {
+    return executor.run(items, (item, signal) => this.patchConversation(item.id, getBody(item), signal), options);
+  }
+
+  /**
+   * Creates a public share link for the current branch of a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<string>} Share URL
+   */
+  async shareConversation(conversationId) {
+    const conversation = await this.getConversation(conversationId);
+    const share = await this.request('/share/create', {
+      method: 'POST',
+      body: {
+        conversation_id: conversationId,
+        current_node_id: conversation.current_node,
+        is_anonymous: true
+      }
+    });
+    
+    await this.request(`/share/${share.share_id}`, {
+      method: 'PATCH',
+      body: {
+        share_id: share.share_id,
+        title: conversation.title,
+        is_public: true,
+        is_visible: true,
+        is_anonymous: true,
+        highlighted_message_id: null
+      }
+    });
+    
+    return share.share_url;
+  }
+}
+
+/**
+ * Client shared by a page (modal, popup or worker) so the token cache is shared too
+ */
+export const chatGPTClient = new ChatGPTClient();
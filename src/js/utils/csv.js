@@ -0,0 +1,57 @@
+// ============================================================================
+// CSV Export
+// ============================================================================
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Builds CSV files (RFC 4180, with a header row) and downloads them from extension pages
+ * Columns are { header, getValue(row) }; values are converted to strings, dates to ISO 8601
+ */
+export class CsvExporter {
+  /**
+   * @param {Array<{header: string, getValue: Function}>} columns - Columns, in order
+   * @param {Array<Object>} rows - Rows passed to getValue
+   * @returns {string} CSV text
+   */
+  static toCsv(columns, rows) {
+    const lines = [
+      columns.map(column => this.formatCell(column.header)),
+      ...rows.map(row => columns.map(column => this.formatCell(column.getValue(row))))
+    ];
+    return lines.map(cells => cells.join(',')).join('\r\n');
+  }
+
+  /**
+   * Builds a CSV file and triggers a browser download
+   * @param {Array<{header: string, getValue: Function}>} columns - Columns, in order
+   * @param {Array<Object>} rows - Rows passed to getValue
+   * @param {string} filename - Download file name
+   */
+  static download(columns, rows, filename) {
+    // The byte order mark makes spreadsheet apps read the file as UTF-8
+    const blob = new Blob(['\uFEFF', this.toCsv(columns, rows)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * @param {*} value - Cell value
+   * @returns {string} Quoted cell; text that would run as a formula is prefixed with an apostrophe
+   * @private
+   */
+  static formatCell(value) {
+    let text = value instanceof Date ? value.toISOString() : value == null ? '' : String(value);
+    if (FORMULA_PREFIXES.some(prefix => text.startsWith(prefix))) {
+      text = `'${text}`;
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+}
@@ -3,3 +3,8 @@
 // ============================================================================
 
 export { ComponentLoader } from './components.js';
+export { ChatGPTClient, chatGPTClient } from './chatgptClient.js';
+export { BulkActionExecutor, RequestError } from './bulkExecutor.js';
+export { RetentionRule } from './retentionRules.js';
+export { CsvExporter } from './csv.js';
+export { KeyboardShortcuts } from './keyboardShortcuts.js';
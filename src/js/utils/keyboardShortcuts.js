@@ -0,0 +1,96 @@
+// ============================================================================
+// Keyboard Shortcuts
+// ============================================================================
+
+import { KEYBOARD_SHORTCUTS, BINDABLE_KEY_NAMES } from '../constants/index.js';
+
+/**
+ * Reads, writes and checks the key bindings of the modal shortcuts
+ * Bindings map each action of KEYBOARD_SHORTCUTS to its keys; the settings only keep
+ * the actions whose keys differ from the defaults, so new defaults reach existing users.
+ */
+export class KeyboardShortcuts {
+  /**
+   * @param {Object} overrides - Changed keys per action (keyboardShortcuts setting)
+   * @returns {Object<string, Array<string>>} Keys of every action
+   */
+  static getBindings(overrides = {}) {
+    return Object.fromEntries(Object.entries(KEYBOARD_SHORTCUTS).map(([action, shortcut]) => [
+      action,
+      Array.isArray(overrides?.[action]) ? overrides[action] : shortcut.keys
+    ]));
+  }
+
+  /**
+   * @param {Object<string, Array<string>>} bindings - Keys of every action
+   * @returns {Object} The actions whose keys differ from the defaults
+   */
+  static getOverrides(bindings) {
+    return Object.fromEntries(Object.entries(bindings).filter(([action, keys]) =>
+      this.formatKeys(keys) !== this.formatKeys(KEYBOARD_SHORTCUTS[action].keys)
+    ));
+  }
+
+  /**
+   * @param {KeyboardEvent} event - Key event
+   * @returns {string} The key in binding form (lower case letters, "Space")
+   */
+  static getKeyName(event) {
+    return this.normalizeKey(event.key);
+  }
+
+  /**
+   * Parses a comma-separated list of keys as typed in the settings
+   * @param {string} text - e.g. "ArrowDown, j"
+   * @returns {Array<string>} Keys in binding form; unknown names are kept so validate() can report them
+   */
+  static parseKeys(text) {
+    return text.split(',')
+      .map(key => key.trim())
+      .filter(Boolean)
+      .map(key => {
+        const named = BINDABLE_KEY_NAMES.find(name => name.toLowerCase() === key.toLowerCase());
+        return named || this.normalizeKey(key);
+      });
+  }
+
+  /**
+   * @param {Array<string>} keys - Keys in binding form
+   * @returns {string} Comma-separated list, as shown in the settings
+   */
+  static formatKeys(keys) {
+    return keys.join(', ');
+  }
+
+  /**
+   * Checks bindings before saving them
+   * @param {Object<string, Array<string>>} bindings - Keys of every action
+   * @returns {string|null} What is wrong with the bindings, null if they are valid
+   */
+  static validate(bindings) {
+    const actionsByKey = new Map();
+
+    for (const [action, keys] of Object.entries(bindings)) {
+      for (const key of keys) {
+        if (key.length !== 1 && !BINDABLE_KEY_NAMES.includes(key)) {
+          return `Unknown key "${key}" (use a single character or ${BINDABLE_KEY_NAMES.join(', ')})`;
+        }
+        if (actionsByKey.has(key)) {
+          return `"${key}" is used for both "${KEYBOARD_SHORTCUTS[actionsByKey.get(key)].label}" and "${KEYBOARD_SHORTCUTS[action].label}"`;
+        }
+        actionsByKey.set(key, action);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} key - KeyboardEvent.key value or typed key
+   * @returns {string} Key in binding form
+   * @private
+   */
+  static normalizeKey(key) {
+    if (key === ' ') return 'Space';
+    return key.length === 1 ? key.toLowerCase() : key;
+  }
+}
@@ -0,0 +1,110 @@
+// ============================================================================
+// Retention Rules
+// ============================================================================
+
+import { RETENTION_ACTIONS, RETENTION_STATUSES, RETENTION_AGE_FIELDS } from '../constants/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A retention rule: conversations older than a number of days that match the optional
+ * title pattern, tag and status are archived or deleted
+ * Rules are plain objects in the settings; this class validates, describes and evaluates them.
+ * Archive rules never match archived conversations (there is nothing left to do).
+ */
+export class RetentionRule {
+  /**
+   * @param {Object} rule - Stored rule
+   * @param {string} rule.id - Unique ID
+   * @param {boolean} rule.enabled - Disabled rules are kept but never run
+   * @param {string} rule.action - One of RETENTION_ACTIONS
+   * @param {number} rule.olderThanDays - Minimum age in days
+   * @param {string} rule.ageField - One of RETENTION_AGE_FIELDS
+   * @param {string} rule.titlePattern - Case-insensitive regular expression, empty for any title
+   * @param {string} rule.tag - Local tag the conversation must have, empty for any
+   * @param {string} rule.status - One of RETENTION_STATUSES
+   */
+  constructor(rule) {
+    this.rule = rule;
+    this.titleRegex = rule.titlePattern ? new RegExp(rule.titlePattern, 'i') : null;
+  }
+
+  /**
+   * Checks a stored rule before saving it
+   * @param {Object} rule - Rule to check
+   * @returns {string|null} What is wrong with the rule, null if it is valid
+   */
+  static validate(rule) {
+    if (!Object.values(RETENTION_ACTIONS).includes(rule.action)) {
+      return 'Unknown action';
+    }
+    if (!Object.values(RETENTION_STATUSES).includes(rule.status)) {
+      return 'Unknown status';
+    }
+    if (!Object.values(RETENTION_AGE_FIELDS).includes(rule.ageField)) {
+      return 'Unknown date';
+    }
+    if (!Number.isInteger(rule.olderThanDays) || rule.olderThanDays < 1) {
+      return 'Age must be a whole number of days (1 or more)';
+    }
+    if (rule.action === RETENTION_ACTIONS.ARCHIVE && rule.status === RETENTION_STATUSES.ARCHIVED) {
+      return 'Archived conversations cannot be archived again';
+    }
+
+    try {
+      new RegExp(rule.titlePattern || '', 'i');
+    } catch (error) {
+      return `Invalid title pattern: ${error.message}`;
+    }
+    return null;
+  }
+
+  /**
+   * Whether any enabled rule looks at archived conversations
+   * @param {Array<Object>} rules - Stored rules
+   * @returns {boolean} True if archived conversations must be listed
+   */
+  static needsArchived(rules) {
+    return rules.some(rule => rule.enabled && rule.status !== RETENTION_STATUSES.ACTIVE && rule.action !== RETENTION_ACTIONS.ARCHIVE);
+  }
+
+  /**
+   * @param {Object} rule - Stored rule
+   * @returns {string} Human readable summary, e.g. "Delete active conversations created over 7 days ago titled /^new chat$/"
+   */
+  static describe(rule) {
+    const action = rule.action === RETENTION_ACTIONS.DELETE ? 'Delete' : 'Archive';
+    const status = rule.status === RETENTION_STATUSES.ANY ? '' : `${rule.status} `;
+    const age = `${rule.ageField === RETENTION_AGE_FIELDS.MODIFIED ? 'not modified for' : 'created over'} ${rule.olderThanDays} day(s)${rule.ageField === RETENTION_AGE_FIELDS.MODIFIED ? '' : ' ago'}`;
+    const title = rule.titlePattern ? ` titled /${rule.titlePattern}/` : '';
+    const tag = rule.tag ? ` tagged #${rule.tag}` : '';
+    return `${action} ${status}conversations ${age}${title}${tag}`;
+  }
+
+  /**
+   * Tests a conversation against the rule
+   * @param {Object} summary - Raw conversation summary (id, title, create_time, update_time)
+   * @param {Object} context - Evaluation context
+   * @param {boolean} context.archived - Whether the conversation is archived
+   * @param {Array<string>} context.tags - Local tags of the conversation
+   * @param {number} context.now - Current time in milliseconds
+   * @returns {boolean} True if the rule applies to the conversation
+   */
+  matches(summary, { archived, tags, now }) {
+    const { rule } = this;
+    if (!rule.enabled) return false;
+
+    if (archived && (rule.status === RETENTION_STATUSES.ACTIVE || rule.action === RETENTION_ACTIONS.ARCHIVE)) return false;
+    if (!archived && rule.status === RETENTION_STATUSES.ARCHIVED) return false;
+
+    const date = rule.ageField === RETENTION_AGE_FIELDS.MODIFIED
+      ? summary.update_time || summary.create_time
+      : summary.create_time;
+    if (!date || now - new Date(date).getTime() < rule.olderThanDays * DAY_MS) return false;
+
+    if (this.titleRegex && !this.titleRegex.test(summary.title || '')) return false;
+    if (rule.tag && !tags.includes(rule.tag)) return false;
+
+    return true;
+  }
+}
@@ -1,3 +1,33 @@
+import { TagStorage } from '../../../js/storage/index.js';
+import { BULK_JOB_TYPES, AUDIT_ACTIONS, AUDIT_MESSAGES, RECYCLE_BIN_MESSAGES } from '../../../js/constants/index.js';
+import { chatGPTClient, CsvExporter } from '../../../js/utils/index.js';
+import { ConversationExporter } from '../utils/exporter.js';
+import { TitleRenamer } from '../utils/titleRenamer.js';
+import { BulkJobClient } from '../utils/bulkJobClient.js';
+import { VirtualList } from '../utils/virtualList.js';
+import { ConversationFilter, FILTER_MODES } from '../utils/conversationFilter.js';
+import { ConversationSort, SORT_DIRECTIONS } from '../utils/conversationSort.js';
+
+// Sort selector labels per sort key
+const SORT_LABELS = {
+  created: 'Created Date',
+  modified: 'Modified Date',
+  name: 'Name',
+  messages: 'Message Count',
+  model: 'Model',
+  titleLength: 'Title Length',
+  sinceUpdate: 'Time Since Update'
+};
+
+// Progress labels per bulk job type
+const BULK_JOB_LABELS = {
+  [BULK_JOB_TYPES.DELETE]: 'Deleting',
+  [BULK_JOB_TYPES.RESTORE]: 'Restoring',
+  [BULK_JOB_TYPES.ARCHIVE]: 'Archiving',
+  [BULK_JOB_TYPES.UNARCHIVE]: 'Unarchiving',
+  [BULK_JOB_TYPES.RENAME]: 'Renaming'
+};
+
 /**
  * Manages the action bar functionality including search, sort, filter, and actions
  * Handles delete/archive buttons, sort/filter controls, select toggle, and search
@@ -9,12 +39,18 @@ export class ActionsManager {
    * @param {boolean} preventArchive - Whether archive action is prevented
    * @param {ToastManager} toastManager - The toast manager instance
    * @param {ConversationsManager} conversationsManager - The conversations manager instance
+   * @param {number} undoWindow - Seconds during which delete/archive can be undone (0 disables undo)
+   * @param {ProgressManager} progressManager - Shows progress and results of bulk jobs
+   * @param {ChatGPTClient} client - Client used for API requests made from the modal (e.g., export)
    */
-  constructor(preventDelete = false, preventArchive = false, toastManager = null, conversationsManager = null) {
+  constructor(preventDelete = false, preventArchive = false, toastManager = null, conversationsManager = null, undoWindow = 0, progressManager = null, client = chatGPTClient) {
     this.preventDelete = preventDelete;
     this.preventArchive = preventArchive;
     this.toastManager = toastManager;
     this.conversationsManager = conversationsManager;
+    this.undoWindow = undoWindow;
+    this.progressManager = progressManager;
+    this.bulkJobClient = new BulkJobClient();
     
     // Find DOM elements
     this.selectToggleButton = document.getElementById('select-toggle-btn');
@@ -23,8 +59,21 @@ export class ActionsManager {
     this.selectCount = document.getElementById('select-count');
     this.deleteButton = document.getElementById('delete-btn');
     this.archiveButton = document.getElementById('archive-btn');
+    this.unarchiveButton = document.getElementById('unarchive-btn');
+    this.restoreButton = document.getElementById('restore-btn');
+    this.purgeButton = document.getElementById('purge-btn');
+    this.renameButton = document.getElementById('rename-btn');
+    this.tagsButton = document.getElementById('tags-btn');
+    this.tagFilterOptions = document.getElementById('filter-tag-options');
+    this.rangeFilterOptions = document.getElementById('filter-range-options');
+    this.exportSelector = document.getElementById('export-selector');
+    this.exportButton = document.getElementById('export-btn');
+    this.viewTabs = document.querySelectorAll('.view-tab[data-view]');
     this.searchInputElement = document.getElementById('search-input');
     this.clearButtonElement = document.getElementById('clear-search-btn');
+    this.searchModeSelector = document.getElementById('search-mode-selector');
+    this.searchIndexStatus = document.getElementById('search-index-status');
+    this.searchQueryError = document.getElementById('search-query-error');
     
     // Selector elements
     this.sortSelector = document.getElementById('sort-selector');
@@ -34,10 +83,14 @@ export class ActionsManager {
     
     this.searchQuery = '';
     this.searchTimeout = null;
+    this.searchMode = 'title';
     this.currentSort = 'created';
-    this.sortDirection = 'asc';
-    this.filterMode = 'inclusive';
+    this.sortDirection = ConversationSort.getDefaultDirection('created');
+    this.filterMode = FILTER_MODES.ANY;
     this.activeFilters = new Set();
+    this.currentView = 'active';
+    this.exporter = new ConversationExporter(client);
+    this.isExporting = false;
     
     this.setupEventListeners();
     this.setupSelectorListeners();
@@ -73,6 +126,55 @@ export class ActionsManager {
         this.handleArchive();
       });
     }
+    
+    if (this.unarchiveButton) {
+      this.unarchiveButton.addEventListener('click', () => {
+        this.handleUnarchive();
+      });
+    }
+    
+    if (this.restoreButton) {
+      this.restoreButton.addEventListener('click', () => {
+        this.handleRestore();
+      });
+    }
+    
+    if (this.purgeButton) {
+      this.purgeButton.addEventListener('click', () => {
+        this.handlePurge();
+      });
+    }
+    
+    if (this.renameButton) {
+      this.renameButton.addEventListener('click', () => {
+        this.handleRename();
+      });
+    }
+    
+    if (this.tagsButton) {
+      this.tagsButton.addEventListener('click', () => {
+        this.handleTags();
+      });
+    }
+    
+    if (this.exportButton) {
+      this.exportButton.addEventListener('click', () => {
+        this.toggleExportSelector();
+      });
+      
+      const formatOptions = this.exportSelector.querySelectorAll('.selector-option[data-export-format]');
+      formatOptions.forEach(option => {
+        option.addEventListener('click', () => {
+          this.handleExport(option.dataset.exportFormat);
+        });
+      });
+    }
+    
+    this.viewTabs.forEach(tab => {
+      tab.addEventListener('click', () => {
+        this.handleViewChange(tab.dataset.view);
+      });
+    });
   }
 
   /**
@@ -91,6 +193,22 @@ export class ActionsManager {
         this.clearSearch();
       });
     }
+
+    if (this.searchModeSelector) {
+      const trigger = this.searchModeSelector.querySelector('.selector-trigger');
+      if (trigger) {
+        trigger.addEventListener('click', () => {
+          this.toggleSearchModeSelector();
+        });
+      }
+
+      const modeOptions = this.searchModeSelector.querySelectorAll('.selector-option[data-search-mode]');
+      modeOptions.forEach(option => {
+        option.addEventListener('click', () => {
+          this.handleSearchModeChange(option.dataset.searchMode);
+        });
+      });
+    }
   }
 
   /**
@@ -115,6 +233,13 @@ export class ActionsManager {
           this.handleSortChange(sortValue);
         });
       });
+
+      const tieBreakerSelect = this.sortSelector.querySelector('#sort-tie-breaker');
+      if (tieBreakerSelect) {
+        tieBreakerSelect.addEventListener('change', () => {
+          this.conversationsManager?.setSortTieBreaker(tieBreakerSelect.value || null);
+        });
+      }
     }
 
     // Sort direction icon button
@@ -143,6 +268,23 @@ export class ActionsManager {
         });
       });
 
+      // Date range filters, rebuilt as they are added and removed
+      if (this.rangeFilterOptions) {
+        this.rangeFilterOptions.addEventListener('click', (event) => {
+          const option = event.target.closest('.selector-option[data-filter]');
+          if (option) {
+            this.handleFilterToggle(option.dataset.filter);
+          }
+        });
+      }
+
+      const addRangeButton = this.filterSelector.querySelector('#filter-range-add');
+      if (addRangeButton) {
+        addRangeButton.addEventListener('click', () => {
+          this.handleAddDateRange();
+        });
+      }
+
       // Reset filters option
       const resetOption = this.filterSelector.querySelector('.selector-option[data-action="reset-filters"]');
       if (resetOption) {
@@ -164,6 +306,8 @@ export class ActionsManager {
     document.addEventListener('click', (e) => {
       if (!e.target.closest('.sort-selector') && 
           !e.target.closest('.filter-selector') && 
+          !e.target.closest('.export-selector') && 
+          !e.target.closest('.search-mode-selector') && 
           !e.target.closest('.conversation-menu-btn') &&
           !e.target.closest('.context-menu')) {
         this.closeAllSelectors();
@@ -187,13 +331,43 @@ export class ActionsManager {
   }
 
   /**
-   * Handles delete button click
+   * Handles view tab click
+   * @param {string} view - The view to switch to (active, archived, deleted)
    * @private
    */
-  async handleDelete() {
+  async handleViewChange(view) {
+    if (!this.conversationsManager || view === this.currentView) return;
+    
+    this.currentView = view;
+    this.updateViewTabs();
+    this.updateViewButtons();
+    this.closeAllSelectors();
+    
+    await this.conversationsManager.setView(view);
+  }
+
+  /**
+   * Gets the conversation IDs an action applies to
+   * @param {Array<string>|null} conversationIds - Explicit IDs (e.g., from the context menu)
+   * @returns {Array<string>} The explicit IDs, or the current selection
+   * @private
+   */
+  getTargetIds(conversationIds) {
+    if (conversationIds) {
+      return conversationIds;
+    }
+    
+    return Array.from(this.conversationsManager.selectedConversations);
+  }
+
+  /**
+   * Handles delete button click
+   * @param {Array<string>|null} conversationIds - Conversations to delete (defaults to the selection)
+   */
+  async handleDelete(conversationIds = null) {
     if (!this.conversationsManager) return;
     
-    const selectedIds = Array.from(this.conversationsManager.selectedConversations);
+    const selectedIds = this.getTargetIds(conversationIds);
     if (selectedIds.length === 0) return;
     
     // Check if delete prevention is enabled
@@ -202,27 +376,26 @@ export class ActionsManager {
       return;
     }
     
-    const confirmed = await this.showConfirmationModal(
-      'Delete Conversations',
-      `Are you sure you want to delete ${selectedIds.length} conversation(s)? This action cannot be undone.`,
-      'Delete',
-      'Cancel',
-      'danger'
-    );
+    const confirmedIds = await this.confirmWithPreview(selectedIds, {
+      title: 'Delete Conversations',
+      message: 'These conversations will be deleted. You can restore them from Recently deleted.',
+      confirmText: 'Delete',
+      type: 'danger'
+    });
     
-    if (confirmed) {
-      await this.deleteConversations(selectedIds);
+    if (confirmedIds) {
+      await this.deleteConversations(confirmedIds);
     }
   }
 
   /**
    * Handles archive button click
-   * @private
+   * @param {Array<string>|null} conversationIds - Conversations to archive (defaults to the selection)
    */
-  async handleArchive() {
+  async handleArchive(conversationIds = null) {
     if (!this.conversationsManager) return;
     
-    const selectedIds = Array.from(this.conversationsManager.selectedConversations);
+    const selectedIds = this.getTargetIds(conversationIds);
     if (selectedIds.length === 0) return;
     
     // Check if archive prevention is enabled
@@ -231,16 +404,456 @@ export class ActionsManager {
       return;
     }
     
-    const confirmed = await this.showConfirmationModal(
-      'Archive Conversations',
-      `Are you sure you want to archive ${selectedIds.length} conversation(s)?`,
-      'Archive',
-      'Cancel',
-      'warning'
-    );
+    const confirmedIds = await this.confirmWithPreview(selectedIds, {
+      title: 'Archive Conversations',
+      message: 'These conversations will be archived.',
+      confirmText: 'Archive',
+      type: 'warning'
+    });
+    
+    if (confirmedIds) {
+      await this.archiveConversations(confirmedIds);
+    }
+  }
+
+  /**
+   * Handles unarchive button click
+   * @param {Array<string>|null} conversationIds - Conversations to unarchive (defaults to the selection)
+   */
+  async handleUnarchive(conversationIds = null) {
+    if (!this.conversationsManager) return;
+    
+    const selectedIds = this.getTargetIds(conversationIds);
+    if (selectedIds.length === 0) return;
+    
+    const confirmedIds = await this.confirmWithPreview(selectedIds, {
+      title: 'Unarchive Conversations',
+      message: 'These conversations will be moved back to the conversation list.',
+      confirmText: 'Unarchive',
+      type: 'warning'
+    });
+    
+    if (confirmedIds) {
+      await this.unarchiveConversations(confirmedIds);
+    }
+  }
+
+  /**
+   * Handles restore button click (recycle bin view)
+   * @param {Array<string>|null} conversationIds - Conversations to restore (defaults to the selection)
+   */
+  async handleRestore(conversationIds = null) {
+    if (!this.conversationsManager) return;
+    
+    const selectedIds = this.getTargetIds(conversationIds);
+    if (selectedIds.length === 0) return;
+    
+    const confirmedIds = await this.confirmWithPreview(selectedIds, {
+      title: 'Restore Conversations',
+      message: 'These conversations will show up in ChatGPT again.',
+      confirmText: 'Restore',
+      type: 'warning'
+    });
+    
+    if (confirmedIds) {
+      await this.restoreDeletedConversations(confirmedIds);
+    }
+  }
+
+  /**
+   * Handles remove from bin button click (recycle bin view)
+   * @param {Array<string>|null} conversationIds - Entries to remove (defaults to the selection)
+   */
+  async handlePurge(conversationIds = null) {
+    if (!this.conversationsManager) return;
+    
+    const selectedIds = this.getTargetIds(conversationIds);
+    if (selectedIds.length === 0) return;
+    
+    const confirmedIds = await this.confirmWithPreview(selectedIds, {
+      title: 'Remove from Recycle Bin',
+      message: 'These conversations stay deleted and can no longer be restored from here.',
+      confirmText: 'Remove',
+      type: 'danger'
+    });
+    
+    if (confirmedIds) {
+      await this.purgeDeletedConversations(confirmedIds);
+    }
+  }
+
+  /**
+   * Handles rename button click: opens the bulk rename dialog for the selection
+   * @param {Array<string>|null} conversationIds - Conversations to rename (defaults to the selection)
+   */
+  async handleRename(conversationIds = null) {
+    if (!this.conversationsManager) return;
+    
+    const conversations = this.conversationsManager.getConversationsByIds(this.getTargetIds(conversationIds));
+    if (conversations.length === 0) return;
+    
+    const renames = await this.showRenameDialog(conversations);
+    if (renames && renames.length > 0) {
+      await this.renameConversations(renames);
+    }
+  }
+
+  /**
+   * Renames conversations via API and updates the list
+   * @param {Array<{id: string, title: string, previousTitle: string}>} renames - New title per conversation
+   */
+  async renameConversations(renames) {
+    try {
+      const results = await this.runBulkJob(BULK_JOB_LABELS[BULK_JOB_TYPES.RENAME], BULK_JOB_TYPES.RENAME, renames);
+      const renamed = this.getSucceededItems(results);
+      
+      if (renamed.length > 0) {
+        this.toastManager.success(`Successfully renamed ${renamed.length} conversation(s)`);
+        
+        if (this.conversationsManager) {
+          this.conversationsManager.updateConversationTitles(renamed);
+        }
+      }
+      
+      await this.reportBulkResults(
+        'Renaming Results',
+        results,
+        failedRenames => this.renameConversations(failedRenames),
+        ({ id, title }) => `${this.getConversationTitle(id)} → ${title}`
+      );
+    } catch (error) {
+      console.error('Failed to rename conversations:', error);
+      this.toastManager.error('Failed to rename conversations');
+    }
+  }
+
+  /**
+   * Shows the bulk rename dialog with a live preview of the new titles
+   * Changed rows can be unchecked to leave them out, and the preview exported as CSV
+   * @param {Array<Conversation>} conversations - Conversations to rename, in selection order
+   * @returns {Promise<Array<{id: string, title: string, previousTitle: string}>|null>} Changed titles, or null if cancelled
+   * @private
+   */
+  async showRenameDialog(conversations) {
+    return new Promise((resolve) => {
+      const modalHTML = `
+        <div class="confirm-modal rename-dialog-overlay">
+          <div class="confirm-modal-content rename-dialog">
+            <h3>Rename ${conversations.length} Conversation(s)</h3>
+            <div class="rename-fields">
+              <label>Find <input type="text" class="rename-input" data-field="find" autocomplete="off"></label>
+              <label>Replace with <input type="text" class="rename-input" data-field="replace" autocomplete="off"></label>
+              <label class="rename-checkbox"><input type="checkbox" data-field="useRegex"> Regular expression</label>
+              <label>Prefix <input type="text" class="rename-input" data-field="prefix" autocomplete="off"></label>
+              <label>Suffix <input type="text" class="rename-input" data-field="suffix" autocomplete="off"></label>
+            </div>
+            <p class="rename-hint">Placeholders: {date} (created date), {index} (position in the selection)</p>
+            <div class="rename-error" style="display: none;"></div>
+            <div class="rename-preview"></div>
+            <div class="confirm-modal-actions">
+              <button class="action-btn secondary" id="rename-export">Export CSV</button>
+              <button class="action-btn secondary" id="rename-cancel">Cancel</button>
+              <button class="action-btn archive-primary" id="rename-ok" disabled>Rename</button>
+            </div>
+          </div>
+        </div>
+      `;
+      
+      document.body.insertAdjacentHTML('beforeend', modalHTML);
+      
+      const modal = document.querySelector('.rename-dialog-overlay');
+      const preview = modal.querySelector('.rename-preview');
+      const errorElement = modal.querySelector('.rename-error');
+      const cancelBtn = modal.querySelector('#rename-cancel');
+      const confirmBtn = modal.querySelector('#rename-ok');
+      const excludedIds = new Set();
+      let rows = [];
+      let renames = [];
+      
+      const updatePreview = () => {
+        const options = {};
+        modal.querySelectorAll('[data-field]').forEach(input => {
+          options[input.dataset.field] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        
+        try {
+          const renamer = new TitleRenamer(options);
+          rows = conversations.map((conversation, index) => ({
+            conversation,
+            title: renamer.rename(conversation, index + 1)
+          }));
+          renames = rows
+            .filter(row => row.title !== row.conversation.title && !excludedIds.has(row.conversation.id))
+            .map(row => ({ id: row.conversation.id, title: row.title, previousTitle: row.conversation.title }));
+          
+          errorElement.style.display = 'none';
+          preview.innerHTML = rows.map(row => `
+            <div class="rename-preview-row ${row.title !== row.conversation.title ? 'changed' : ''}">
+              <input type="checkbox" data-id="${this.escapeHtml(row.conversation.id)}"
+                ${excludedIds.has(row.conversation.id) ? '' : 'checked'} ${row.title !== row.conversation.title ? '' : 'disabled'}>
+              <span class="rename-preview-old">${this.escapeHtml(row.conversation.title)}</span>
+              <span class="rename-preview-arrow">→</span>
+              <span class="rename-preview-new">${this.escapeHtml(row.title)}</span>
+            </div>
+          `).join('');
+        } catch (error) {
+          rows = [];
+          renames = [];
+          errorElement.textContent = `Invalid regular expression: ${error.message}`;
+          errorElement.style.display = 'block';
+        }
+        
+        confirmBtn.disabled = renames.length === 0;
+        confirmBtn.textContent = renames.length > 0 ? `Rename ${renames.length}` : 'Rename';
+      };
+      
+      const close = (result) => {
+        modal.remove();
+        resolve(result);
+      };
+      
+      modal.querySelectorAll('[data-field]').forEach(input => {
+        input.addEventListener('input', updatePreview);
+      });
+      preview.addEventListener('change', (event) => {
+        const id = event.target.dataset.id;
+        if (!id) return;
+        if (event.target.checked) {
+          excludedIds.delete(id);
+        } else {
+          excludedIds.add(id);
+        }
+        updatePreview();
+      });
+      modal.querySelector('#rename-export').addEventListener('click', () => {
+        const stamp = new Date().toISOString().slice(0, 10);
+        CsvExporter.download([
+          { header: 'Current title', getValue: row => row.conversation.title },
+          { header: 'New title', getValue: row => row.title },
+          { header: 'Created', getValue: row => row.conversation.date },
+          { header: 'Tags', getValue: row => this.conversationsManager.getTags(row.conversation.id).join(', ') },
+          { header: 'ID', getValue: row => row.conversation.id },
+          { header: 'Included', getValue: row => row.title !== row.conversation.title && !excludedIds.has(row.conversation.id) ? 'yes' : 'no' }
+        ], rows, `chatgpt-rename-preview-${stamp}.csv`);
+      });
+      cancelBtn.addEventListener('click', () => close(null));
+      confirmBtn.addEventListener('click', () => close(renames));
+      modal.addEventListener('click', (event) => {
+        if (event.target === modal) {
+          close(null);
+        }
+      });
+      modal.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+          // Keep the manager open, only close the dialog
+          event.stopPropagation();
+          close(null);
+        }
+      });
+      
+      updatePreview();
+      modal.querySelector('[data-field="find"]').focus();
+    });
+  }
+
+  /**
+   * @param {string} text - Text to escape
+   * @returns {string} HTML-safe text (also safe inside quoted attributes)
+   * @private
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    // Quotes too, the result is also used in attribute values
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Handles tags button click: opens the tag dialog for the selection
+   * @param {Array<string>|null} conversationIds - Conversations to tag (defaults to the selection)
+   */
+  async handleTags(conversationIds = null) {
+    if (!this.conversationsManager) return;
+    
+    const selectedIds = this.getTargetIds(conversationIds);
+    if (selectedIds.length === 0) return;
+    
+    const changes = await this.showTagDialog(selectedIds);
+    if (!changes || (changes.add.length === 0 && changes.remove.length === 0)) return;
+    
+    const details = [
+      ...changes.add.map(tag => `+#${tag}`),
+      ...changes.remove.map(tag => `-#${tag}`)
+    ].join(' ');
+    
+    try {
+      await TagStorage.updateTags(selectedIds, changes.add, changes.remove);
+      this.recordAudit(AUDIT_ACTIONS.TAG, selectedIds, details);
+      await this.conversationsManager.onTagsChanged();
+      this.toastManager.success(`Updated tags of ${selectedIds.length} conversation(s)`);
+    } catch (error) {
+      console.error('Failed to update tags:', error);
+      this.recordAudit(AUDIT_ACTIONS.TAG, selectedIds, details, error);
+      this.toastManager.error('Failed to update tags');
+    }
+  }
+
+  /**
+   * Shows the tag dialog; existing tags are checked when every target conversation has them
+   * and indeterminate when only some do (left untouched unless clicked)
+   * @param {Array<string>} conversationIds - Conversations being tagged
+   * @returns {Promise<{add: Array<string>, remove: Array<string>}|null>} Tag changes, or null if cancelled
+   * @private
+   */
+  async showTagDialog(conversationIds) {
+    const tagNames = this.conversationsManager.getTagNames();
+    const countByTag = new Map(tagNames.map(tag => [tag, 0]));
+    for (const id of conversationIds) {
+      this.conversationsManager.getTags(id).forEach(tag => countByTag.set(tag, countByTag.get(tag) + 1));
+    }
+    
+    return new Promise((resolve) => {
+      const tagListHTML = tagNames.length > 0
+        ? tagNames.map(tag => `
+            <label><input type="checkbox" data-tag="${this.escapeHtml(tag)}"> ${this.escapeHtml(tag)}</label>
+          `).join('')
+        : '<span class="tag-dialog-empty">No tags yet</span>';
+      
+      const modalHTML = `
+        <div class="confirm-modal tag-dialog-overlay">
+          <div class="confirm-modal-content">
+            <h3>Tags for ${conversationIds.length} Conversation(s)</h3>
+            <div class="tag-dialog-list">${tagListHTML}</div>
+            <div class="tag-dialog-new">
+              <input type="text" class="rename-input" id="tag-dialog-input" placeholder="New tags, separated by commas" autocomplete="off">
+            </div>
+            <div class="confirm-modal-actions">
+              <button class="action-btn secondary" id="tag-dialog-cancel">Cancel</button>
+              <button class="action-btn archive-primary" id="tag-dialog-ok">Apply</button>
+            </div>
+          </div>
+        </div>
+      `;
+      
+      document.body.insertAdjacentHTML('beforeend', modalHTML);
+      
+      const modal = document.querySelector('.tag-dialog-overlay');
+      const input = modal.querySelector('#tag-dialog-input');
+      const checkboxes = Array.from(modal.querySelectorAll('input[data-tag]'));
+      
+      checkboxes.forEach(checkbox => {
+        const count = countByTag.get(checkbox.dataset.tag);
+        checkbox.checked = count === conversationIds.length;
+        checkbox.indeterminate = count > 0 && count < conversationIds.length;
+      });
+      
+      const close = (result) => {
+        modal.remove();
+        resolve(result);
+      };
+      
+      const apply = () => {
+        const add = new Set(input.value.split(',').map(tag => tag.trim()).filter(Boolean));
+        const remove = new Set();
+        
+        for (const checkbox of checkboxes) {
+          if (checkbox.indeterminate) continue;
+          const tag = checkbox.dataset.tag;
+          const count = countByTag.get(tag);
+          if (checkbox.checked && count < conversationIds.length) {
+            add.add(tag);
+          } else if (!checkbox.checked && count > 0) {
+            remove.add(tag);
+          }
+        }
+        
+        close({ add: Array.from(add), remove: Array.from(remove) });
+      };
+      
+      modal.querySelector('#tag-dialog-cancel').addEventListener('click', () => close(null));
+      modal.querySelector('#tag-dialog-ok').addEventListener('click', apply);
+      input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+          apply();
+        }
+      });
+      modal.addEventListener('click', (event) => {
+        if (event.target === modal) {
+          close(null);
+        }
+      });
+      modal.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+          // Keep the manager open, only close the dialog
+          event.stopPropagation();
+          close(null);
+        }
+      });
+      
+      input.focus();
+    });
+  }
+
+  /**
+   * Rebuilds the tag options of the filter selector
+   * Filters on tags that no longer exist are dropped
+   * @param {Array<string>} tagNames - Every tag in use
+   */
+  updateTagFilterOptions(tagNames) {
+    if (!this.tagFilterOptions) return;
+    
+    this.tagFilterOptions.innerHTML = tagNames.map(tag => `
+      <div class="selector-option multi-select" data-filter="tag:${this.escapeHtml(tag)}">
+        #${this.escapeHtml(tag)}
+      </div>
+    `).join('');
+    
+    this.tagFilterOptions.querySelectorAll('.selector-option[data-filter]').forEach(option => {
+      option.addEventListener('click', () => {
+        this.handleFilterToggle(option.dataset.filter);
+      });
+    });
+    
+    const staleFilters = Array.from(this.activeFilters).filter(filter => {
+      const base = ConversationFilter.getBase(filter);
+      return base.startsWith('tag:') && !tagNames.includes(base.slice('tag:'.length));
+    });
     
-    if (confirmed) {
-      await this.archiveConversations(selectedIds);
+    if (staleFilters.length > 0) {
+      staleFilters.forEach(filter => this.activeFilters.delete(filter));
+      if (this.conversationsManager) {
+        this.conversationsManager.setActiveFilters(Array.from(this.activeFilters));
+      }
+    }
+    
+    this.updateFilterSelector();
+  }
+
+  /**
+   * Handles export format selection
+   * @param {string} format - Export format (markdown, json, html)
+   * @param {Array<string>|null} conversationIds - Conversations to export (defaults to the selection)
+   */
+  async handleExport(format, conversationIds = null) {
+    this.closeAllSelectors();
+    if (!this.conversationsManager || this.isExporting) return;
+    
+    const selectedIds = this.getTargetIds(conversationIds);
+    if (selectedIds.length === 0) return;
+    
+    this.isExporting = true;
+    this.updateActionButtons();
+    this.toastManager.info(`Exporting ${selectedIds.length} conversation(s)...`);
+    
+    try {
+      const count = await this.exporter.exportConversations(selectedIds, format);
+      this.toastManager.success(`Successfully exported ${count} conversation(s)`);
+    } catch (error) {
+      console.error('Failed to export conversations:', error);
+      this.toastManager.error('Failed to export conversations');
+    } finally {
+      this.isExporting = false;
+      this.updateActionButtons();
     }
   }
 
@@ -271,6 +884,24 @@ export class ActionsManager {
     if (this.archiveButton) {
       this.archiveButton.disabled = true;
     }
+    if (this.unarchiveButton) {
+      this.unarchiveButton.disabled = true;
+    }
+    if (this.restoreButton) {
+      this.restoreButton.disabled = true;
+    }
+    if (this.purgeButton) {
+      this.purgeButton.disabled = true;
+    }
+    if (this.renameButton) {
+      this.renameButton.disabled = true;
+    }
+    if (this.tagsButton) {
+      this.tagsButton.disabled = true;
+    }
+    if (this.exportButton) {
+      this.exportButton.disabled = true;
+    }
     
     // Disable search input
     if (this.searchInputElement) {
@@ -358,164 +989,569 @@ export class ActionsManager {
     if (this.archiveButton) {
       this.archiveButton.disabled = !hasSelection;
     }
+    
+    if (this.unarchiveButton) {
+      this.unarchiveButton.disabled = !hasSelection;
+    }
+    
+    if (this.restoreButton) {
+      this.restoreButton.disabled = !hasSelection;
+    }
+    
+    if (this.purgeButton) {
+      this.purgeButton.disabled = !hasSelection;
+    }
+    
+    if (this.renameButton) {
+      this.renameButton.disabled = !hasSelection;
+    }
+    
+    if (this.tagsButton) {
+      this.tagsButton.disabled = !hasSelection;
+    }
+    
+    if (this.exportButton) {
+      this.exportButton.disabled = !hasSelection || this.isExporting;
+    }
   }
 
   /**
-   * Deletes conversations via API
-   * @param {Array<string>} conversationIds - Array of conversation IDs to delete
+   * Shows only the action buttons that apply to the current view
+   * Buttons declare the views they belong to in their data-views attribute
    * @private
    */
-  async deleteConversations(conversationIds) {
+  updateViewButtons() {
+    document.querySelectorAll('.action-btn[data-views]').forEach(button => {
+      const views = button.dataset.views.split(' ');
+      button.style.display = views.includes(this.currentView) ? '' : 'none';
+    });
+  }
+
+  /**
+   * Updates the active state of the view tabs
+   * @private
+   */
+  updateViewTabs() {
+    this.viewTabs.forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.view === this.currentView);
+    });
+  }
+
+  /**
+   * Runs a bulk job in the background service worker while showing its progress
+   * The job keeps running if the modal is closed
+   * @param {string} label - Progress label (e.g., "Deleting")
+   * @param {string} type - One of BULK_JOB_TYPES
+   * @param {Array<Object>} items - Items to process, each with at least an id
+   * @returns {Promise<Array<Object>>} Job results, one per item
+   * @private
+   */
+  async runBulkJob(label, type, items) {
+    const signal = this.progressManager ? this.progressManager.start(label, items.length) : null;
+    
     try {
-      for (const id of conversationIds) {
-        const response = await fetch(`https://chatgpt.com/backend-api/conversation/${id}`, {
-          method: 'PATCH',
-          headers: {
-            'Authorization': 'Bearer ' + await this.getAccessToken(),
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ is_visible: false })
+      return await this.bulkJobClient.run(type, items, {
+        signal,
+        onProgress: (done, total) => this.progressManager?.update(done, total)
+      });
+    } finally {
+      this.progressManager?.finish();
+    }
+  }
+
+  /**
+   * Shows the progress of jobs started before the modal was (re)opened and updates the list when they finish
+   */
+  async resumeBulkJobs() {
+    try {
+      const jobs = await this.bulkJobClient.getActiveJobs();
+      
+      for (const job of jobs) {
+        const label = BULK_JOB_LABELS[job.type];
+        const signal = this.progressManager ? this.progressManager.start(label, job.items.length) : null;
+        
+        const results = await this.bulkJobClient.watch(job.id, {
+          signal,
+          onProgress: (done, total) => this.progressManager?.update(done, total)
         });
+        this.progressManager?.finish();
         
-        if (!response.ok) {
-          throw new Error(`Failed to delete conversation ${id}: ${response.status}`);
+        const succeededItems = this.getSucceededItems(results);
+        if (this.conversationsManager && succeededItems.length > 0) {
+          if (job.type === BULK_JOB_TYPES.RENAME) {
+            this.conversationsManager.updateConversationTitles(succeededItems);
+          } else {
+            this.conversationsManager.removeConversations(succeededItems.map(item => item.id));
+          }
         }
+        this.toastManager.success(`${label} finished: ${succeededItems.length} of ${job.items.length} conversation(s)`);
       }
+    } catch (error) {
+      console.error('Failed to resume bulk jobs:', error);
+    }
+  }
+
+  /**
+   * Builds job items carrying what the worker needs besides the ID (e.g., the recycle bin entry of a delete)
+   * @param {Array<string>} conversationIds - Conversation IDs
+   * @returns {Array<{id: string, title?: string, create_time?: string, update_time?: string}>} Job items
+   * @private
+   */
+  getJobItems(conversationIds) {
+    const conversations = new Map(
+      (this.conversationsManager?.getConversationsByIds(conversationIds) || [])
+        .map(conversation => [conversation.id, conversation])
+    );
+    
+    return conversationIds.map(id => {
+      const conversation = conversations.get(id);
+      if (!conversation) return { id };
       
-      this.toastManager.success(`Successfully deleted ${conversationIds.length} conversation(s)`);
+      return {
+        id,
+        title: conversation.title,
+        create_time: conversation.date.toISOString(),
+        update_time: conversation.updateTime.toISOString()
+      };
+    });
+  }
+
+  /**
+   * Gets the items that succeeded
+   * @param {Array<Object>} results - Job results
+   * @returns {Array} Items of the succeeded results
+   * @private
+   */
+  getSucceededItems(results) {
+    return results.filter(result => result.status === 'succeeded').map(result => result.item);
+  }
+
+  /**
+   * Shows the result summary when some items did not succeed, and retries the failed ones on request
+   * @param {string} title - Summary title
+   * @param {Array<Object>} results - Job results
+   * @param {Function} onRetry - Called with the failed items
+   * @param {Function} describeItem - Returns a display name for an item (defaults to the conversation title)
+   * @private
+   */
+  async reportBulkResults(title, results, onRetry, describeItem = item => this.getConversationTitle(item.id)) {
+    if (!this.progressManager || results.every(result => result.status === 'succeeded')) return;
+    
+    const retry = await this.progressManager.showSummary(title, results, describeItem);
+    if (retry) {
+      const failedItems = results.filter(result => result.status === 'failed').map(result => result.item);
+      await onRetry(failedItems);
+    }
+  }
+
+  /**
+   * @param {string} conversationId - Conversation ID
+   * @returns {string} Title of the conversation if loaded, otherwise its ID
+   * @private
+   */
+  getConversationTitle(conversationId) {
+    const [conversation] = this.conversationsManager?.getConversationsByIds([conversationId]) || [];
+    return conversation ? conversation.title : conversationId;
+  }
+
+  /**
+   * Applies a reversible bulk job to conversations, removes them from the current view
+   * and offers to undo it for the configured undo window
+   * @param {Array<string>} conversationIds - Array of conversation IDs to update
+   * @param {string} type - Job type applying the action
+   * @param {string} undoType - Job type reverting the action
+   * @param {{verb: string, pastTense: string}} labels - Wording used in toasts (e.g., delete/deleted)
+   * @private
+   */
+  async applyReversibleUpdate(conversationIds, type, undoType, labels) {
+    try {
+      const view = this.conversationsManager?.getView();
+      const results = await this.runBulkJob(BULK_JOB_LABELS[type], type, this.getJobItems(conversationIds));
+      const updatedIds = this.getSucceededItems(results).map(item => item.id);
       
-      // Remove deleted conversations from the list
-      if (this.conversationsManager) {
-        this.conversationsManager.conversations.forEach(conversation => {
-          if (conversationIds.includes(conversation.id)) {
-            this.conversationsManager.conversations.delete(conversation.id);
-            this.conversationsManager.selectedConversations.delete(conversation.id);
-          }
-        });
+      if (updatedIds.length > 0) {
+        // Keep the conversations so undo can put them back
+        const removedConversations = this.conversationsManager
+          ? this.conversationsManager.getConversationsByIds(updatedIds)
+          : [];
         
-        this.conversationsManager.renderConversations();
-        this.updateActionButtons();
+        if (this.conversationsManager) {
+          this.conversationsManager.removeConversations(updatedIds);
+        }
+        
+        const message = `Successfully ${labels.pastTense} ${updatedIds.length} conversation(s)`;
+        if (this.undoWindow > 0) {
+          this.toastManager.undo(message, () => {
+            this.undoUpdate(updatedIds, undoType, removedConversations, view, labels);
+          }, this.undoWindow * 1000);
+        } else {
+          this.toastManager.success(message);
+        }
+      }
+      
+      await this.reportBulkResults(
+        `${BULK_JOB_LABELS[type]} Results`,
+        results,
+        failedItems => this.applyReversibleUpdate(failedItems.map(item => item.id), type, undoType, labels)
+      );
+    } catch (error) {
+      console.error(`Failed to ${labels.verb} conversations:`, error);
+      this.toastManager.error(`Failed to ${labels.verb} conversations`);
+    }
+  }
+
+  /**
+   * Reverts an action and reinserts the conversations in their sorted position
+   * @param {Array<string>} conversationIds - Array of conversation IDs to revert
+   * @param {string} undoType - Job type reverting the action
+   * @param {Array<Object>} conversations - The conversations removed by the action
+   * @param {string} view - The view the action was taken from
+   * @param {{verb: string, pastTense: string}} labels - Wording used in toasts
+   * @private
+   */
+  async undoUpdate(conversationIds, undoType, conversations, view, labels) {
+    try {
+      const results = await this.runBulkJob('Undoing', undoType, this.getJobItems(conversationIds));
+      const revertedIds = new Set(this.getSucceededItems(results).map(item => item.id));
+      const revertedConversations = conversations.filter(conversation => revertedIds.has(conversation.id));
+      
+      // Only reinsert if the user is still looking at the view they came from
+      if (this.conversationsManager && this.conversationsManager.getView() === view) {
+        this.conversationsManager.restoreConversations(revertedConversations);
       }
       
+      if (revertedIds.size === conversationIds.length) {
+        this.toastManager.success(`Restored ${revertedIds.size} ${labels.pastTense} conversation(s)`);
+      } else {
+        this.toastManager.error(`Failed to undo ${labels.verb} for ${conversationIds.length - revertedIds.size} conversation(s)`);
+      }
     } catch (error) {
-      console.error('Error deleting conversations:', error);
-      this.toastManager.error('Failed to delete conversations');
+      console.error('Error undoing action:', error);
+      this.toastManager.error(`Failed to undo ${labels.verb}`);
     }
   }
 
+  /**
+   * Deletes conversations via API; the worker records them in the recycle bin
+   * @param {Array<string>} conversationIds - Array of conversation IDs to delete
+   * @private
+   */
+  async deleteConversations(conversationIds) {
+    await this.applyReversibleUpdate(
+      conversationIds,
+      BULK_JOB_TYPES.DELETE,
+      BULK_JOB_TYPES.RESTORE,
+      { verb: 'delete', pastTense: 'deleted' }
+    );
+  }
+
   /**
    * Archives conversations via API
+   * Archived conversations move to the archived view
    * @param {Array<string>} conversationIds - Array of conversation IDs to archive
    * @private
    */
   async archiveConversations(conversationIds) {
+    await this.applyReversibleUpdate(
+      conversationIds,
+      BULK_JOB_TYPES.ARCHIVE,
+      BULK_JOB_TYPES.UNARCHIVE,
+      { verb: 'archive', pastTense: 'archived' }
+    );
+  }
+
+  /**
+   * Unarchives conversations via API
+   * Unarchived conversations move back to the default feed
+   * @param {Array<string>} conversationIds - Array of conversation IDs to unarchive
+   * @private
+   */
+  async unarchiveConversations(conversationIds) {
+    await this.applyReversibleUpdate(
+      conversationIds,
+      BULK_JOB_TYPES.UNARCHIVE,
+      BULK_JOB_TYPES.ARCHIVE,
+      { verb: 'unarchive', pastTense: 'unarchived' }
+    );
+  }
+
+  /**
+   * Makes deleted conversations visible again; the worker removes them from the recycle bin
+   * @param {Array<string>} conversationIds - Array of conversation IDs to restore
+   * @private
+   */
+  async restoreDeletedConversations(conversationIds) {
     try {
-      for (const id of conversationIds) {
-        const response = await fetch(`https://chatgpt.com/backend-api/conversation/${id}`, {
-          method: 'PATCH',
-          headers: {
-            'Authorization': 'Bearer ' + await this.getAccessToken(),
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ is_archived: true })
-        });
+      const results = await this.runBulkJob(
+        BULK_JOB_LABELS[BULK_JOB_TYPES.RESTORE],
+        BULK_JOB_TYPES.RESTORE,
+        conversationIds.map(id => ({ id }))
+      );
+      const restoredIds = this.getSucceededItems(results).map(item => item.id);
+      
+      if (restoredIds.length > 0) {
+        this.toastManager.success(`Successfully restored ${restoredIds.length} conversation(s)`);
         
-        if (!response.ok) {
-          throw new Error(`Failed to archive conversation ${id}: ${response.status}`);
+        if (this.conversationsManager) {
+          this.conversationsManager.removeConversations(restoredIds);
         }
       }
       
-      this.toastManager.success(`Successfully archived ${conversationIds.length} conversation(s)`);
+      await this.reportBulkResults(
+        'Restoring Results',
+        results,
+        failedItems => this.restoreDeletedConversations(failedItems.map(item => item.id))
+      );
+    } catch (error) {
+      console.error('Failed to restore conversations:', error);
+      this.toastManager.error('Failed to restore conversations');
+    }
+  }
+
+  /**
+   * Removes entries from the recycle bin without restoring them
+   * @param {Array<string>} conversationIds - Array of conversation IDs to remove from the bin
+   * @private
+   */
+  async purgeDeletedConversations(conversationIds) {
+    try {
+      // The worker writes the bin, its own writes (deletes, expiry) would race with one made here
+      const response = await chrome.runtime.sendMessage({ action: RECYCLE_BIN_MESSAGES.REMOVE, conversationIds });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to remove recycle bin entries');
+      }
+      await TagStorage.removeConversations(conversationIds);
+      
+      this.recordAudit(AUDIT_ACTIONS.PURGE, conversationIds);
+      this.toastManager.success(`Removed ${conversationIds.length} conversation(s) from the recycle bin`);
       
-      // Update conversation status in the list
       if (this.conversationsManager) {
-        this.conversationsManager.conversations.forEach(conversation => {
-          if (conversationIds.includes(conversation.id)) {
-            conversation.status = 'archived';
-            this.conversationsManager.selectedConversations.delete(conversation.id);
-          }
-        });
-        
-        this.conversationsManager.renderConversations();
-        this.updateActionButtons();
+        this.conversationsManager.removeConversations(conversationIds);
       }
-      
     } catch (error) {
-      console.error('Error archiving conversations:', error);
-      this.toastManager.error('Failed to archive conversations');
+      console.error('Failed to purge recycle bin entries:', error);
+      this.recordAudit(AUDIT_ACTIONS.PURGE, conversationIds, '', error);
+      this.toastManager.error('Failed to remove conversations from the recycle bin');
     }
   }
 
   /**
-   * Gets access token for API requests
-   * @returns {Promise<string>} Access token
+   * Records a change made here rather than by a bulk job in the audit log (kept by the worker)
+   * Logging never blocks or fails the change itself
+   * @param {string} action - One of AUDIT_ACTIONS
+   * @param {Array<string>} conversationIds - Conversations changed
+   * @param {string} details - Context shown in the log (e.g., tags added)
+   * @param {Error|null} error - Why the change failed, null if it succeeded
    * @private
    */
-  async getAccessToken() {
-    try {
-      const response = await fetch('https://chatgpt.com/api/auth/session');
-      const data = await response.json();
-      return data.accessToken;
-    } catch (error) {
-      console.error('Failed to get access token:', error);
-      throw error;
+  recordAudit(action, conversationIds, details = '', error = null) {
+    const conversations = conversationIds.map(id => ({
+      id,
+      title: this.getConversationTitle(id),
+      status: error ? 'failed' : 'succeeded',
+      ...(error && { error: error.message })
+    }));
+    
+    chrome.runtime.sendMessage({ action: AUDIT_MESSAGES.ADD, entry: { action, details, conversations } })
+      .then(response => {
+        if (!response?.success) {
+          throw new Error(response?.error || 'Failed to record audit entry');
+        }
+      })
+      .catch(recordError => {
+        console.error('Failed to record audit entry:', recordError);
+        this.toastManager.warning('The change was made but could not be recorded in the audit log');
+      });
+  }
+
+  /**
+   * Asks to confirm a bulk action after previewing every conversation it affects
+   * @param {Array<string>} conversationIds - Conversations the action applies to
+   * @param {Object} options - Dialog wording
+   * @param {string} options.title - Dialog title
+   * @param {string} options.message - What the action does
+   * @param {string} options.confirmText - Confirm button text
+   * @param {string} options.type - "danger" or "warning"
+   * @returns {Promise<Array<string>|null>} IDs left checked, or null if cancelled
+   * @private
+   */
+  async confirmWithPreview(conversationIds, { title, message, confirmText, type }) {
+    const conversations = new Map(
+      this.conversationsManager.getConversationsByIds(conversationIds).map(conversation => [conversation.id, conversation])
+    );
+    // Unknown conversations (not loaded) still show up, by ID
+    const items = conversationIds.map(id => conversations.get(id) || { id, title: id, date: null, updateTime: null });
+    
+    const checkedItems = await this.showPreviewModal({
+      title,
+      message,
+      columns: this.getPreviewColumns(),
+      items,
+      confirmText,
+      type
+    });
+    return checkedItems ? checkedItems.map(item => item.id) : null;
+  }
+
+  /**
+   * Columns shown in the preview of a bulk action and in its CSV export
+   * @returns {Array<{header: string, getValue: Function, exportOnly?: boolean}>} Columns
+   * @private
+   */
+  getPreviewColumns() {
+    const columns = [
+      { header: 'Title', getValue: conversation => conversation.title },
+      { header: 'Created', getValue: conversation => conversation.date },
+      { header: 'Modified', getValue: conversation => conversation.updateTime }
+    ];
+    if (this.currentView === 'deleted') {
+      columns.push({ header: 'Deleted', getValue: conversation => conversation.deletedAt || null });
     }
+    columns.push(
+      { header: 'Tags', getValue: conversation => this.conversationsManager.getTags(conversation.id).join(', ') },
+      { header: 'ID', getValue: conversation => conversation.id, exportOnly: true }
+    );
+    return columns;
   }
 
   /**
-   * Shows a confirmation modal
-   * @param {string} title - Modal title
-   * @param {string} message - Modal message
-   * @param {string} confirmText - Confirm button text
-   * @param {string} cancelText - Cancel button text
-   * @param {string} type - Modal type (danger, warning, etc.)
-   * @returns {Promise<boolean>} True if confirmed, false if cancelled
+   * Shows a scrollable preview of the items a bulk action affects
+   * Items can be unchecked individually and the list can be exported as CSV before confirming.
+   * Only the rows in view are rendered, so previews of thousands of conversations stay responsive.
+   * @param {Object} options - Dialog options
+   * @param {string} options.title - Dialog title
+   * @param {string} options.message - What the action does
+   * @param {Array<{header: string, getValue: Function, exportOnly?: boolean}>} options.columns - Columns, in order
+   * @param {Array<Object>} options.items - Items, each with an id
+   * @param {string} options.confirmText - Confirm button text
+   * @param {string} options.type - "danger" or "warning"
+   * @returns {Promise<Array<Object>|null>} Items left checked, or null if cancelled
    * @private
    */
-  async showConfirmationModal(title, message, confirmText, cancelText, type = 'warning') {
+  async showPreviewModal({ title, message, columns, items, confirmText, type = 'warning' }) {
+    const visibleColumns = columns.filter(column => !column.exportOnly);
+    const excludedIds = new Set();
+    
+    // Header and rows share the grid, the header stays outside the scrolling rows
+    const gridStyle = `grid-template-columns: 20px repeat(${visibleColumns.length}, minmax(0, 1fr));`;
+    const renderRow = item => `
+      <div class="preview-row" style="${gridStyle}" data-id="${this.escapeHtml(item.id)}">
+        <input type="checkbox" data-id="${this.escapeHtml(item.id)}" ${excludedIds.has(item.id) ? '' : 'checked'}>
+        ${visibleColumns.map(column => {
+          const value = this.escapeHtml(this.formatPreviewValue(column.getValue(item)));
+          return `<span class="preview-cell" title="${value}">${value}</span>`;
+        }).join('')}
+      </div>
+    `;
+    
     return new Promise((resolve) => {
-      // Create modal HTML
       const modalHTML = `
-        <div class="confirmation-modal-overlay">
-          <div class="confirmation-modal">
-            <h3>${title}</h3>
-            <p>${message}</p>
-            <div class="confirmation-buttons">
-              <button class="btn btn-secondary" id="confirm-cancel">${cancelText}</button>
-              <button class="btn btn-${type}" id="confirm-ok">${confirmText}</button>
+        <div class="confirm-modal preview-dialog-overlay">
+          <div class="confirm-modal-content preview-dialog">
+            <h3>${this.escapeHtml(title)}</h3>
+            <p>${this.escapeHtml(message)}</p>
+            <div class="preview-toolbar">
+              <label><input type="checkbox" id="preview-toggle-all" checked> All</label>
+              <span class="preview-count"></span>
+              <button class="action-btn secondary" id="preview-export">Export CSV</button>
+            </div>
+            <div class="preview-table">
+              <div class="preview-header" style="${gridStyle}">
+                <span></span>${visibleColumns.map(column => `<span class="preview-cell">${this.escapeHtml(column.header)}</span>`).join('')}
+              </div>
+              <div class="preview-rows"></div>
+            </div>
+            <div class="confirm-modal-actions">
+              <button class="action-btn secondary" id="preview-cancel">Cancel</button>
+              <button class="action-btn ${type === 'danger' ? 'danger-primary' : 'archive-primary'}" id="preview-ok"></button>
             </div>
           </div>
         </div>
       `;
       
-      // Add modal to body
       document.body.insertAdjacentHTML('beforeend', modalHTML);
       
-      const modal = document.querySelector('.confirmation-modal-overlay');
-      const cancelBtn = document.getElementById('confirm-cancel');
-      const confirmBtn = document.getElementById('confirm-ok');
+      const modal = document.querySelector('.preview-dialog-overlay');
+      const toggleAll = modal.querySelector('#preview-toggle-all');
+      const count = modal.querySelector('.preview-count');
+      const confirmBtn = modal.querySelector('#preview-ok');
+      const rows = modal.querySelector('.preview-rows');
+      const getCheckedItems = () => items.filter(item => !excludedIds.has(item.id));
       
-      // Handle button clicks
-      cancelBtn.addEventListener('click', () => {
-        modal.remove();
-        resolve(false);
-      });
+      const update = () => {
+        const checkedCount = items.length - excludedIds.size;
+        count.textContent = `${checkedCount} of ${items.length} selected`;
+        toggleAll.checked = excludedIds.size === 0;
+        toggleAll.indeterminate = excludedIds.size > 0 && checkedCount > 0;
+        confirmBtn.disabled = checkedCount === 0;
+        confirmBtn.textContent = `${confirmText} ${checkedCount}`;
+      };
       
-      confirmBtn.addEventListener('click', () => {
+      const close = (result) => {
         modal.remove();
-          resolve(true);
-      });
+        resolve(result);
+      };
+      
+      new VirtualList(rows, item => item.id, renderRow).setItems(items);
       
-      // Handle overlay click
+      rows.addEventListener('change', (event) => {
+        const id = event.target.dataset.id;
+        if (!id) return;
+        if (event.target.checked) {
+          excludedIds.delete(id);
+        } else {
+          excludedIds.add(id);
+        }
+        update();
+      });
+      toggleAll.addEventListener('change', () => {
+        // Rows rendered later read their state from excludedIds
+        rows.querySelectorAll('input[data-id]').forEach(checkbox => {
+          checkbox.checked = toggleAll.checked;
+        });
+        items.forEach(item => toggleAll.checked ? excludedIds.delete(item.id) : excludedIds.add(item.id));
+        update();
+      });
+      modal.querySelector('#preview-export').addEventListener('click', () => {
+        const stamp = new Date().toISOString().slice(0, 10);
+        CsvExporter.download(
+          [...columns, { header: 'Included', getValue: item => excludedIds.has(item.id) ? 'no' : 'yes' }],
+          items,
+          `chatgpt-${confirmText.toLowerCase()}-preview-${stamp}.csv`
+        );
+      });
+      modal.querySelector('#preview-cancel').addEventListener('click', () => close(null));
+      confirmBtn.addEventListener('click', () => close(getCheckedItems()));
       modal.addEventListener('click', (event) => {
         if (event.target === modal) {
-          modal.remove();
-          resolve(false);
+          close(null);
+        }
+      });
+      modal.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+          // Keep the manager open, only close the dialog
+          event.stopPropagation();
+          close(null);
         }
       });
+      
+      update();
+      confirmBtn.focus();
     });
   }
 
+  /**
+   * @param {*} value - Preview cell value
+   * @returns {string} Display text (dates in the local format)
+   * @private
+   */
+  formatPreviewValue(value) {
+    if (value instanceof Date) {
+      return value.toLocaleString();
+    }
+    return value == null ? '' : String(value);
+  }
+
   /**
    * Handles search input changes with debouncing
    * @param {string} value - The search input value
@@ -608,20 +1644,40 @@ export class ActionsManager {
     if (this.filterSelector) {
       this.filterSelector.classList.remove('open');
     }
+    if (this.exportSelector) {
+      this.exportSelector.classList.remove('open');
+    }
+    if (this.searchModeSelector) {
+      this.searchModeSelector.classList.remove('open');
+    }
   }
 
   /**
-   * Handles sort change
-   * @param {string} sortValue - The sort value (created, modified, name)
+   * Toggles the export format dropdown
+   * @private
+   */
+  toggleExportSelector() {
+    if (this.exportSelector) {
+      const isOpen = this.exportSelector.classList.contains('open');
+      this.closeAllSelectors();
+      this.exportSelector.classList.toggle('open', !isOpen);
+    }
+  }
+
+  /**
+   * Handles sort change; the direction switches to the one the key is usually wanted in
+   * @param {string} sortValue - The sort key (see SORT_LABELS)
    * @private
    */
   handleSortChange(sortValue) {
     this.currentSort = sortValue;
+    this.sortDirection = ConversationSort.getDefaultDirection(sortValue);
     this.updateSortSelector();
+    this.updateSortDirectionButton();
     this.closeAllSelectors();
     
     if (this.conversationsManager) {
-      this.conversationsManager.setSortBy(sortValue);
+      this.conversationsManager.setSortBy(sortValue, this.sortDirection);
     }
   }
 
@@ -630,7 +1686,7 @@ export class ActionsManager {
    * @private
    */
   toggleSortDirection() {
-    this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+    this.sortDirection = this.sortDirection === SORT_DIRECTIONS.ASC ? SORT_DIRECTIONS.DESC : SORT_DIRECTIONS.ASC;
     this.updateSortDirectionButton();
     
     if (this.conversationsManager) {
@@ -639,11 +1695,11 @@ export class ActionsManager {
   }
 
   /**
-   * Toggles filter mode between inclusive and exclusive
+   * Toggles filter mode between matching any and all of the active filters
    * @private
    */
   toggleFilterMode() {
-    this.filterMode = this.filterMode === 'inclusive' ? 'exclusive' : 'inclusive';
+    this.filterMode = this.filterMode === FILTER_MODES.ANY ? FILTER_MODES.ALL : FILTER_MODES.ANY;
     this.updateFilterModeButton();
     
     if (this.conversationsManager) {
@@ -652,13 +1708,18 @@ export class ActionsManager {
   }
 
   /**
-   * Handles filter toggle (multi-select)
-   * @param {string} filterValue - The filter value (new, updated, other)
+   * Handles filter toggle (multi-select), cycling through include, exclude and off
+   * @param {string} filterValue - The filter value (new, updated, other, tag:<name>, date range)
    * @private
    */
   handleFilterToggle(filterValue) {
+    const negated = ConversationFilter.negate(filterValue);
+    
     if (this.activeFilters.has(filterValue)) {
       this.activeFilters.delete(filterValue);
+      this.activeFilters.add(negated);
+    } else if (this.activeFilters.has(negated)) {
+      this.activeFilters.delete(negated);
     } else {
       this.activeFilters.add(filterValue);
     }
@@ -670,6 +1731,35 @@ export class ActionsManager {
     }
   }
 
+  /**
+   * Adds the date range entered in the filter dropdown as a filter
+   * @private
+   */
+  handleAddDateRange() {
+    const field = this.filterSelector.querySelector('#filter-range-field').value;
+    const fromInput = this.filterSelector.querySelector('#filter-range-from');
+    const toInput = this.filterSelector.querySelector('#filter-range-to');
+    
+    if (!fromInput.value && !toInput.value) {
+      this.toastManager?.error('Pick a start or end date');
+      return;
+    }
+    if (fromInput.value && toInput.value && fromInput.value > toInput.value) {
+      this.toastManager?.error('The start date is after the end date');
+      return;
+    }
+    
+    const filter = ConversationFilter.createDateRange(field, fromInput.value, toInput.value);
+    fromInput.value = '';
+    toInput.value = '';
+    
+    if (this.activeFilters.has(filter) || this.activeFilters.has(ConversationFilter.negate(filter))) {
+      return;
+    }
+    
+    this.handleFilterToggle(filter);
+  }
+
   /**
    * Handles reset filters
    * @private
@@ -693,12 +1783,7 @@ export class ActionsManager {
     
     const textElement = this.sortSelector.querySelector('.selector-text');
     if (textElement) {
-      const sortLabels = {
-        created: 'Created Date',
-        modified: 'Modified Date',
-        name: 'Name'
-      };
-      textElement.textContent = sortLabels[this.currentSort] || 'Created Date';
+      textElement.textContent = SORT_LABELS[this.currentSort] || SORT_LABELS.created;
     }
 
     // Update selected option
@@ -715,7 +1800,7 @@ export class ActionsManager {
   updateSortDirectionButton() {
     if (!this.sortDirectionIconBtn) return;
     
-    this.sortDirectionIconBtn.classList.toggle('descending', this.sortDirection === 'desc');
+    this.sortDirectionIconBtn.classList.toggle('descending', this.sortDirection === SORT_DIRECTIONS.DESC);
   }
 
   /**
@@ -725,7 +1810,10 @@ export class ActionsManager {
   updateFilterModeButton() {
     if (!this.filterModeIconBtn) return;
     
-    this.filterModeIconBtn.classList.toggle('exclusive', this.filterMode === 'exclusive');
+    this.filterModeIconBtn.classList.toggle('exclusive', this.filterMode === FILTER_MODES.ALL);
+    this.filterModeIconBtn.title = this.filterMode === FILTER_MODES.ALL
+      ? 'Showing conversations matching all filters (click to match any)'
+      : 'Showing conversations matching any filter (click to match all)';
   }
 
   /**
@@ -741,24 +1829,68 @@ export class ActionsManager {
         textElement.textContent = 'All';
       } else if (this.activeFilters.size === 1) {
         const filter = Array.from(this.activeFilters)[0];
-        const filterLabels = {
-          new: 'New',
-          updated: 'Updated',
-          other: 'Other'
-        };
-        textElement.textContent = filterLabels[filter] || 'All';
+        const label = this.getFilterLabel(ConversationFilter.getBase(filter));
+        textElement.textContent = ConversationFilter.isNegated(filter) ? `Not ${label}` : label;
       } else {
         textElement.textContent = `${this.activeFilters.size} filters`;
       }
     }
 
+    this.renderDateRangeOptions();
+
     // Update selected options
     const options = this.filterSelector.querySelectorAll('.selector-option[data-filter]');
     options.forEach(option => {
       option.classList.toggle('selected', this.activeFilters.has(option.dataset.filter));
+      option.classList.toggle('excluded', this.activeFilters.has(ConversationFilter.negate(option.dataset.filter)));
     });
   }
 
+  /**
+   * Lists the active date range filters in the filter dropdown
+   * @private
+   */
+  renderDateRangeOptions() {
+    if (!this.rangeFilterOptions) return;
+    
+    const ranges = Array.from(this.activeFilters)
+      .map(filter => ConversationFilter.getBase(filter))
+      .filter(filter => ConversationFilter.parseDateRange(filter));
+    
+    this.rangeFilterOptions.innerHTML = ranges.map(filter => `
+      <div class="selector-option multi-select" data-filter="${this.escapeHtml(filter)}" title="Click to exclude, click again to remove">
+        ${this.escapeHtml(this.getFilterLabel(filter))}
+      </div>
+    `).join('');
+  }
+
+  /**
+   * @param {string} filter - Filter value (not negated)
+   * @returns {string} Short label of the filter
+   * @private
+   */
+  getFilterLabel(filter) {
+    const filterLabels = {
+      new: 'New',
+      updated: 'Updated',
+      other: 'Other'
+    };
+    
+    if (filter.startsWith('tag:')) {
+      return `#${filter.slice('tag:'.length)}`;
+    }
+    
+    const range = ConversationFilter.parseDateRange(filter);
+    if (range) {
+      const field = range.field === 'created' ? 'Created' : 'Modified';
+      if (!range.from) return `${field} until ${range.to}`;
+      if (!range.to) return `${field} since ${range.from}`;
+      return `${field} ${range.from} – ${range.to}`;
+    }
+    
+    return filterLabels[filter] || 'All';
+  }
+
   /**
    * Updates the select toggle button text and count
    * @param {number} selectedCount - Number of selected conversations
@@ -805,4 +1937,87 @@ export class ActionsManager {
     this.updateSearchIndicator(hasSearch);
   }
 
+  /**
+   * Toggles the search mode dropdown
+   * @private
+   */
+  toggleSearchModeSelector() {
+    if (this.searchModeSelector) {
+      const isOpen = this.searchModeSelector.classList.contains('open');
+      this.closeAllSelectors();
+      this.searchModeSelector.classList.toggle('open', !isOpen);
+    }
+  }
+
+  /**
+   * Changes what the search box looks through
+   * @param {string} mode - The search mode (title, content, server)
+   * @private
+   */
+  handleSearchModeChange(mode) {
+    this.searchMode = mode;
+    this.closeAllSelectors();
+    
+    const placeholders = {
+      title: 'Search conversations...',
+      content: 'Search message content...',
+      server: 'Search all conversations...'
+    };
+    if (this.searchInputElement) {
+      this.searchInputElement.placeholder = placeholders[mode];
+    }
+    
+    if (this.searchModeSelector) {
+      const options = this.searchModeSelector.querySelectorAll('.selector-option[data-search-mode]');
+      options.forEach(option => {
+        const isSelected = option.dataset.searchMode === mode;
+        option.classList.toggle('selected', isSelected);
+        if (isSelected) {
+          this.searchModeSelector.querySelector('.selector-text').textContent = option.textContent.trim();
+        }
+      });
+    }
+    
+    if (this.conversationsManager) {
+      this.conversationsManager.setSearchMode(mode);
+    }
+  }
+
+  /**
+   * Shows why the search query does not parse, below the search box
+   * @param {QueryParseError|null} error - The parse error, null hides the message
+   */
+  showSearchError(error) {
+    if (!this.searchQueryError) return;
+    
+    if (error) {
+      this.searchQueryError.textContent = `${error.message} (at character ${error.position + 1})`;
+      this.searchQueryError.style.display = 'block';
+    } else {
+      this.searchQueryError.style.display = 'none';
+    }
+  }
+
+  /**
+   * Shows the progress of the local search index
+   * @param {number} done - Conversations indexed so far
+   * @param {number} total - Conversations to index (0 hides the status)
+   * @param {boolean} failed - Whether indexing failed
+   */
+  updateSearchIndexStatus(done, total, failed = false) {
+    if (!this.searchIndexStatus) return;
+    
+    this.searchIndexStatus.classList.toggle('error', failed);
+    
+    if (failed) {
+      this.searchIndexStatus.textContent = 'Indexing failed';
+      this.searchIndexStatus.style.display = 'inline';
+    } else if (total > 0 && done < total) {
+      this.searchIndexStatus.textContent = `Indexing ${done}/${total}`;
+      this.searchIndexStatus.style.display = 'inline';
+    } else {
+      this.searchIndexStatus.style.display = 'none';
+    }
+  }
+
 }
\ No newline at end of file
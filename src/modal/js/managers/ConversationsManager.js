@@ -4,113 +4,304 @@
 
 import { ActionsManager } from './ActionsManager.js';
 import { PaginatedDataFetcher } from '../utils/paginatedFetcher.js';
+import { chatGPTClient } from '../../../js/utils/index.js';
+import { ContentIndexer } from '../utils/contentIndexer.js';
+import { ConversationSync } from '../utils/conversationSync.js';
+import { SearchQuery } from '../utils/searchQuery.js';
+import { ConversationFilter, FILTER_MODES } from '../utils/conversationFilter.js';
+import { ConversationSort } from '../utils/conversationSort.js';
+import { VirtualList } from '../utils/virtualList.js';
+import { RecycleBinStorage, TagStorage, ConversationCacheStorage } from '../../../js/storage/index.js';
+
+const HOUR_MS = 60 * 60 * 1000;
 
 class Conversation {
+  // How recent a creation / update must be to count as new / recently modified (user settings)
+  static activityWindows = { newHours: 24, updatedHours: 24 };
+  // Model and message count known from the content index, keyed by conversation ID
+  static indexedDetails = new Map();
+
   constructor(data) {
     this.id = data.id;
     this.title = data.title || 'Untitled Conversation';
     this.date = new Date(data.create_time);
     this.updateTime = new Date(data.update_time);
-    this.status = data.is_archived ? 'archived' : 'active';
-    this.isNew = this.isNewConversation(data.create_time);
-    this.isRecentlyModified = this.isRecentlyModified(data.update_time);
+    this.status = data.deleted_at ? 'deleted' : (data.is_archived ? 'archived' : 'active');
+    this.deletedAt = data.deleted_at ? new Date(data.deleted_at) : null;
+    // Not every source reports these, the content index fills the gaps
+    this.reportedModel = data.default_model_slug || null;
+    this.reportedMessageCount = data.message_count ?? null;
   }
 
-  isNewConversation(createTime) {
-    const now = new Date();
-    const created = new Date(createTime);
-    const differenceHours = (now - created) / (1000 * 60 * 60);
-    return differenceHours < 24;
+  get model() {
+    return this.reportedModel || Conversation.indexedDetails.get(this.id)?.model || null;
   }
 
-  isRecentlyModified(updateTime) {
-    const now = new Date();
-    const updated = new Date(updateTime);
-    const differenceHours = (now - updated) / (1000 * 60 * 60);
-    return differenceHours < 24;
+  get messageCount() {
+    return this.reportedMessageCount ?? Conversation.indexedDetails.get(this.id)?.messageCount ?? null;
+  }
+
+  // Getters so a change of the windows applies to conversations already loaded
+  get isNew() {
+    return Date.now() - this.date < Conversation.activityWindows.newHours * HOUR_MS;
+  }
+
+  get isRecentlyModified() {
+    return Date.now() - this.updateTime < Conversation.activityWindows.updatedHours * HOUR_MS;
+  }
+
+  // Raw summary in the list endpoint's shape, for the local cache
+  toSummary() {
+    return {
+      id: this.id,
+      title: this.title,
+      create_time: this.date.toISOString(),
+      update_time: this.updateTime.toISOString(),
+      is_archived: this.status === 'archived',
+      default_model_slug: this.reportedModel
+    };
   }
 }
 
+/**
+ * Pages through the default feed or the archive, serving pages from the local cache when there is one
+ * The cache (scoped per account) is synced in the background; onCacheUpdated is called when the
+ * sync changed a list that was already shown. Until the first sync completes pages come from the network.
+ */
 class ConversationsFetcher extends PaginatedDataFetcher {
-  constructor() {
+  constructor(client, archived = false, onCacheUpdated = () => {}) {
     super(
-      'https://chatgpt.com/backend-api/conversations',
-      {}, // Will be set dynamically with access token
-      item => item.id
+      '/conversations',
+      client,
+      item => item.id,
+      archived ? { is_archived: true } : {}
     );
+    this.view = archived ? 'archived' : 'active';
+    this.conversationSync = new ConversationSync(client, archived);
+    this.onCacheUpdated = onCacheUpdated;
+    this.accountId = null;
+    this.summaries = null; // Cached raw summaries, null until loaded or synced
+    this.cachePromise = null;
+    this.syncPromise = null;
+    this.syncAbortController = new AbortController();
+  }
+
+  async makeRequest(offset, limit, signal = null) {
+    await this.loadCache();
+    
+    if (!this.summaries) {
+      return super.makeRequest(offset, limit, signal);
+    }
+    
+    return {
+      items: this.summaries.slice(offset, offset + limit),
+      total: this.summaries.length
+    };
   }
 
-  async getAccessToken() {
+  /**
+   * Reads the cache once and starts syncing it; failures fall back to the network
+   * @returns {Promise<void>}
+   */
+  loadCache() {
+    if (!this.cachePromise) {
+      this.cachePromise = (async () => {
+        this.accountId = await this.client.getAccountId();
+        this.summaries = await ConversationCacheStorage.getConversations(this.accountId, this.view);
+        this.syncPromise = this.syncCache();
+      })().catch(error => {
+        console.error('❌ Failed to read conversation cache:', error);
+      });
+    }
+    
+    return this.cachePromise;
+  }
+
+  async syncCache() {
+    const shownFromCache = this.summaries !== null;
+    
     try {
-      const response = await fetch('https://chatgpt.com/api/auth/session');
-      const data = await response.json();
-      return data.accessToken;
+      const { summaries, changed } = await this.conversationSync.sync(this.summaries, this.syncAbortController.signal);
+      this.summaries = summaries;
+      await ConversationCacheStorage.saveConversations(this.accountId, this.view, summaries);
+      console.log(`💾 Conversation cache synced (${summaries.length}, changed: ${changed})`);
+      
+      if (shownFromCache && changed) {
+        this.onCacheUpdated();
+      }
     } catch (error) {
-      console.error('Failed to get access token:', error);
-      throw error;
+      if (error.name !== 'AbortError') {
+        console.error('❌ Failed to sync conversation cache:', error);
+      }
     }
   }
 
+  cancelSync() {
+    this.syncAbortController.abort();
+  }
+
+  // Every conversation of the view, waiting for the first sync when nothing was cached
+  async getAllSummaries() {
+    await this.loadCache();
+    if (!this.summaries) {
+      await this.syncPromise;
+    }
+    if (!this.summaries) {
+      throw new Error('The conversation list could not be loaded');
+    }
+    return this.summaries;
+  }
+
+  // Keeps the cache in step with changes made from the modal (e.g., deleted or archived conversations)
+  forgetConversations(conversationIds) {
+    if (!this.summaries) return;
+    
+    const ids = new Set(conversationIds);
+    this.summaries = this.summaries.filter(summary => !ids.has(summary.id));
+    this.saveCache();
+  }
+
+  rememberConversations(conversations) {
+    if (!this.summaries) return;
+    
+    const ids = new Set(conversations.map(conversation => conversation.id));
+    this.summaries = [
+      ...conversations.map(conversation => conversation.toSummary()),
+      ...this.summaries.filter(summary => !ids.has(summary.id))
+    ].sort((a, b) => new Date(b.update_time) - new Date(a.update_time));
+    this.saveCache();
+  }
+
+  saveCache() {
+    ConversationCacheStorage.saveConversations(this.accountId, this.view, this.summaries).catch(error => {
+      console.error('❌ Failed to save conversation cache:', error);
+    });
+  }
+
+  transformItem(item) {
+    return new Conversation(item);
+  }
+}
+
+/**
+ * Pages through ChatGPT's server-side conversation search
+ * The endpoint is cursor-based, so the offset is only used to detect the first page
+ */
+class ServerSearchFetcher extends PaginatedDataFetcher {
+  constructor(client, query) {
+    super(null, client, item => item.id);
+    this.query = query;
+    this.cursor = null;
+  }
+
+  async makeRequest(offset, limit, signal = null) {
+    if (offset === 0) {
+      this.cursor = null;
+    }
+    
+    const response = await this.client.searchConversations(this.query, this.cursor, signal);
+    this.cursor = response.cursor || null;
+    return response;
+  }
+
+  isLastPage(response) {
+    return !response.cursor;
+  }
+
+  // Results are message hits; several hits for one conversation collapse on the ID
+  transformItem(item) {
+    const toDateValue = time => typeof time === 'number' ? time * 1000 : time;
+    return {
+      id: item.conversation_id,
+      conversation: new Conversation({
+        id: item.conversation_id,
+        title: item.title,
+        create_time: toDateValue(item.create_time),
+        update_time: toDateValue(item.update_time),
+        is_archived: item.is_archived
+      }),
+      snippet: item.payload?.snippet || ''
+    };
+  }
+}
+
+/**
+ * Pages through the conversations recorded in the extension's recycle bin
+ */
+class RecycleBinFetcher extends PaginatedDataFetcher {
+  constructor() {
+    super(null, null, item => item.id);
+  }
+
+  async makeRequest(offset, limit) {
+    const entries = await RecycleBinStorage.getEntries();
+    return {
+      items: entries.slice(offset, offset + limit),
+      total: entries.length
+    };
+  }
+
   transformItem(item) {
     return new Conversation(item);
   }
 }
 
 class FetchSettings {
-  constructor(batchSize, sortBy = 'created', activeFilters = []) {
+  /**
+   * @param {number} batchSize - Conversations per batch
+   * @param {string} sortBy - Sort key (see SORT_KEYS)
+   * @param {Array<string>} activeFilters - Active filters (see ConversationFilter for the format)
+   * @param {Function} getTags - Returns the local tags of a conversation ID
+   * @param {string} filterMode - How the active filters combine (one of FILTER_MODES)
+   */
+  constructor(batchSize, sortBy = 'created', activeFilters = [], getTags = () => [], filterMode = FILTER_MODES.ANY) {
     this.batchSize = batchSize;
     this.sortBy = sortBy;
     this.activeFilters = activeFilters;
+    this.getTags = getTags;
+    this.filterMode = filterMode;
+    this.sortDirection = null; // null uses the usual direction of sortBy
+    this.sortTieBreaker = null; // null uses the default tie-breaker of sortBy
   }
 
   getFilters() {
-    const filters = new Set();
-    
-    if (this.activeFilters.includes('new')) {
-      filters.add((conversation) => conversation.isNew);
-    }
-    
-    if (this.activeFilters.includes('updated')) {
-      filters.add((conversation) => conversation.isRecentlyModified);
-    }
-    
-    if (this.activeFilters.includes('other')) {
-      filters.add((conversation) => !conversation.isNew && !conversation.isRecentlyModified);
-    }
-    
-    return filters;
+    const filter = new ConversationFilter(this.activeFilters, this.filterMode, this.getTags);
+    return filter.isEmpty() ? new Set() : new Set([conversation => filter.matches(conversation)]);
+  }
+
+  // Filters whose result depends on the local tags (negated ones included)
+  getTagFilters() {
+    return this.activeFilters.filter(filter => ConversationFilter.getBase(filter).startsWith('tag:'));
   }
 
   getSortFunctions() {
-    const sortFunctions = [];
-    
-    switch (this.sortBy) {
-      case 'created':
-        sortFunctions.push((a, b) => new Date(b.date) - new Date(a.date));
-        sortFunctions.push((a, b) => a.title.localeCompare(b.title));
-        break;
-      case 'modified':
-        sortFunctions.push((a, b) => new Date(b.updateTime) - new Date(a.updateTime));
-        sortFunctions.push((a, b) => a.title.localeCompare(b.title));
-        break;
-      case 'name':
-        sortFunctions.push((a, b) => a.title.localeCompare(b.title));
-        sortFunctions.push((a, b) => new Date(b.date) - new Date(a.date));
-        break;
-    }
-    
-    return sortFunctions;
+    return new ConversationSort(this.sortBy, this.sortDirection, this.sortTieBreaker).getComparators();
   }
 }
 
 export class ConversationsManager {
-  constructor(batchSize = 20) {
+  /**
+   * @param {number} batchSize - Conversations loaded per batch
+   * @param {ChatGPTClient} client - Client used for all API requests
+   */
+  constructor(batchSize = 20, client = chatGPTClient) {
     this.batchSize = batchSize;
+    this.client = client;
     this.conversations = new Map();
-    this.selectedConversations = new Set();
+    this.selectedConversations = new Set(); // Kept across refreshes, sorting, filters and searches
+    this.selectionDetails = new Map(); // Selected conversations keyed by ID, known even once they are no longer loaded
+    this.showingSelection = false; // "Selected" pseudo-view: lists the selection whatever the filters and search
+    this.focusedConversationId = null; // Keyboard cursor
+    this.displayedConversations = []; // Rows of the last render, in order
+    this.virtualList = null; // Renders the rows in view, created with the first render
     this.fetchSettings = null;
     this.conversationsFetcher = null;
+    this.view = 'active'; // 'active' (default feed), 'archived' or 'deleted' (recycle bin)
+    this.tagsById = {}; // Local tags keyed by conversation ID
+    this.extraConversations = new Map(); // Conversations acted on outside the loaded list (e.g., by the duplicate finder)
+
     this.currentFetchId = null;
+    this.fetchAbortController = null; // Aborts the network activity of the current fetch
     this.isLoading = false;
     this.debounceTimeout = null;
     this.lastRefreshTime = 0;
@@ -122,7 +313,14 @@ export class ConversationsManager {
     
     // Search state
     this.currentSearchTerm = '';
+    this.currentQuery = new SearchQuery(); // Parsed currentSearchTerm
     this.currentSearchId = null;
+    this.searchMode = 'title'; // 'title' (loaded titles and IDs), 'content' (local full-text index) or 'server'
+    this.contentIndexer = new ContentIndexer(client);
+    this.serverSearchFetcher = null;
+    this.serverSearchAbortController = null;
+    this.isSearchingServer = false;
+    this.searchResults = null; // Map of conversation ID to { conversation, snippet }
     
     // Load more tracking
     this.totalConversationsLoaded = 0;
@@ -137,8 +335,10 @@ export class ConversationsManager {
   async start() {
     try {
       console.log('🚀 ConversationsManager.start() called');
-      this.fetchSettings = new FetchSettings(this.batchSize);
-      this.conversationsFetcher = new ConversationsFetcher();
+      this.fetchSettings = new FetchSettings(this.batchSize, 'created', [], id => this.getTags(id));
+      this.conversationsFetcher = this.createFetcher();
+      await this.loadTags();
+      await this.loadIndexedDetails();
       
       this.clearState();
       this.conversationsDisplayed = this.batchSize; // Initialize to batch size
@@ -151,9 +351,202 @@ export class ConversationsManager {
     }
   }
 
+  /**
+   * Creates the fetcher matching the current view
+   * @returns {PaginatedDataFetcher} Fetcher for the active feed, archived feed or recycle bin
+   * @private
+   */
+  createFetcher() {
+    if (this.view === 'deleted') {
+      return new RecycleBinFetcher();
+    }
+    
+    return new ConversationsFetcher(this.client, this.view === 'archived', () => this.refreshFromCache());
+  }
+
+  /**
+   * Switches between the default feed, archived conversations and the recycle bin
+   * Any in-flight fetch for the previous view is discarded
+   * @param {string} view - The view to show (active, archived, deleted)
+   */
+  async setView(view) {
+    if (view === this.view) return;
+    
+    this.view = view;
+    this.conversationsFetcher.cancelSync?.();
+    this.conversationsFetcher = this.createFetcher();
+    
+    // Stop the in-flight fetch for the previous view
+    this.cancelCurrentFetch();
+    
+    this.clearState();
+    // A selection only makes sense within its view, the actions differ between views
+    this.clearSelection();
+    this.showingSelection = false;
+    this.conversationsDisplayed = this.batchSize;
+    this.notifySelectionChanged();
+    
+    await this.loadMore();
+    
+    // Content results are filtered by view, so they need to be recomputed
+    if (this.isExternalSearchActive()) {
+      this.search(this.currentSearchTerm);
+    }
+  }
+
+  /**
+   * Loads local tags from storage and refreshes the tag filter options
+   */
+  async loadTags() {
+    try {
+      this.tagsById = await TagStorage.getTagsById();
+    } catch (error) {
+      console.error('❌ Failed to load tags:', error);
+      this.tagsById = {};
+    }
+    
+    this.actionsManager?.updateTagFilterOptions(this.getTagNames());
+  }
+
+  /**
+   * Loads the models and message counts recorded by the content index (used to sort and search)
+   * @private
+   */
+  async loadIndexedDetails() {
+    try {
+      Conversation.indexedDetails = await this.contentIndexer.getDetails();
+    } catch (error) {
+      console.error('❌ Failed to load indexed conversation details:', error);
+    }
+  }
+
+  /**
+   * Gets the local tags of a conversation
+   * @param {string} conversationId - The conversation ID
+   * @returns {Array<string>} Tag names
+   */
+  getTags(conversationId) {
+    return this.tagsById[conversationId] || [];
+  }
+
+  /**
+   * Gets every tag in use
+   * @returns {Array<string>} Tag names, sorted
+   */
+  getTagNames() {
+    return TagStorage.getTagNames(this.tagsById);
+  }
+
+  /**
+   * Reloads tags after they changed; refetches if a tag filter decides what is shown
+   */
+  async onTagsChanged() {
+    await this.loadTags();
+    
+    if (this.fetchSettings.getTagFilters().length > 0) {
+      this.refresh();
+    } else {
+      this.renderConversations();
+    }
+  }
+
+  /**
+   * Gets the current view
+   * @returns {string} The current view (active, archived, deleted)
+   */
+  getView() {
+    return this.view;
+  }
+
+  /**
+   * Removes conversations from the list and the selection
+   * Used once an action moves them out of the current view
+   * @param {Array<string>} conversationIds - IDs of the conversations to remove
+   */
+  removeConversations(conversationIds) {
+    this.conversationsFetcher?.forgetConversations?.(conversationIds);
+    
+    for (const id of conversationIds) {
+      this.conversations.delete(id);
+      this.selectedConversations.delete(id);
+      this.selectionDetails.delete(id);
+      this.searchResults?.delete(id);
+      this.extraConversations.delete(id);
+    }
+    
+    this.renderConversations();
+    this.notifySelectionChanged();
+  }
+
+  /**
+   * Gets the loaded conversations matching the given IDs
+   * @param {Array<string>} conversationIds - IDs to look up
+   * @returns {Array<Conversation>} The conversations that are loaded
+   */
+  getConversationsByIds(conversationIds) {
+    return conversationIds
+      .map(id => this.findConversation(id))
+      .filter(Boolean);
+  }
+
+  /**
+   * @param {string} conversationId - ID to look up
+   * @returns {Conversation|undefined} The most recently loaded copy of the conversation
+   * @private
+   */
+  findConversation(conversationId) {
+    return this.conversations.get(conversationId) ||
+      this.searchResults?.get(conversationId)?.conversation ||
+      this.extraConversations.get(conversationId) ||
+      this.selectionDetails.get(conversationId);
+  }
+
+  /**
+   * Gets every conversation of the current feed or archive, not just the loaded ones
+   * The returned conversations can be acted on (e.g., deleted with undo) like loaded ones
+   * @returns {Promise<Array<Conversation>>} The conversations, most recently updated first
+   * @throws {Error} In the recycle bin view, or if the list cannot be loaded
+   */
+  async getAllConversations() {
+    if (!this.conversationsFetcher?.getAllSummaries) {
+      throw new Error('Not available in this view');
+    }
+    
+    const summaries = await this.conversationsFetcher.getAllSummaries();
+    const conversations = summaries.map(summary => this.conversations.get(summary.id) || new Conversation(summary));
+    
+    this.extraConversations = new Map(
+      conversations
+        .filter(conversation => !this.conversations.has(conversation.id))
+        .map(conversation => [conversation.id, conversation])
+    );
+    return conversations;
+  }
+
+  /**
+   * Puts previously removed conversations back into the list in their sorted position
+   * @param {Array<Conversation>} conversations - The conversations to reinsert
+   */
+  restoreConversations(conversations) {
+    this.conversationsFetcher?.rememberConversations?.(conversations);
+    
+    for (const conversation of conversations) {
+      this.conversations.set(conversation.id, conversation);
+    }
+    
+    this.conversationsDisplayed += conversations.length;
+    this.sortConversations();
+    
+    if (this.isExternalSearchActive()) {
+      this.search(this.currentSearchTerm);
+    } else {
+      this.renderConversations();
+    }
+  }
+
   clearState() {
+    // The selection is kept: re-fetching for a new sort or filter must not lose it
     this.conversations.clear();
-    this.selectedConversations.clear();
     this.conversationsDisplayed = 0;
     
     if (this.conversationsFetcher) {
@@ -162,6 +555,14 @@ export class ConversationsManager {
   }
 
   hasMore() {
+    if (this.showingSelection) return false;
+    
+    // Content and server search results replace the loaded list
+    if (this.isExternalSearchActive() && this.searchResults) {
+      const serverHasMore = this.searchMode === 'server' && this.serverSearchFetcher?.hasMoreItems();
+      return serverHasMore || this.searchConversations(this.currentSearchTerm).length < this.searchResults.size;
+    }
+    
     // Check if fetcher has more items (normal case)
     const fetcherHasMore = this.conversationsFetcher && this.conversationsFetcher.hasMoreItems();
     
@@ -201,6 +602,17 @@ export class ConversationsManager {
       return;
     }
     
+    if (this.isExternalSearchActive() && this.searchResults) {
+      this.conversationsDisplayed = this.searchConversations(this.currentSearchTerm).length + this.fetchSettings.batchSize;
+      
+      if (this.searchMode === 'server' && this.serverSearchFetcher?.hasMoreItems()) {
+        await this.loadServerSearchResults(this.currentSearchTerm, this.currentSearchId);
+      } else {
+        this.renderConversations();
+      }
+      return;
+    }
+    
     // Check if we need to fetch more or just display more
     const fetcherHasMore = this.conversationsFetcher.hasMoreItems();
     const totalLoaded = this.conversations.size;
@@ -217,29 +629,12 @@ export class ConversationsManager {
     console.log('🔄 Starting loadMore...');
     this.isLoading = true;
     this.showLoadingState();
-    const fetchId = crypto.randomUUID();
-    this.currentFetchId = fetchId;
+    const { fetchId, signal } = this.beginFetch();
     console.log('🆔 Fetch ID:', fetchId);
 
     try {
-      // Ensure authentication is set up
-      const accessToken = await this.conversationsFetcher.getAccessToken();
-      this.conversationsFetcher.authentication = {
-        'Authorization': `Bearer ${accessToken}`
-      };
-      
-      const filters = this.fetchSettings.getFilters();
-      const sortFunctions = this.fetchSettings.getSortFunctions();
-      console.log('🔍 Filters:', filters);
-      console.log('📊 Sort functions:', sortFunctions.length);
-      
       console.log('🌐 Calling fetchPaginatedData...');
-      const newConversations = await this.conversationsFetcher.fetchPaginatedData(
-        this.fetchSettings.batchSize, 
-        null, 
-        filters, 
-        sortFunctions
-      );
+      const newConversations = await this.fetchConversationBatch(fetchId, signal);
       console.log('📦 Received conversations:', newConversations.length);
 
       // Only apply results if this is still the latest fetch
@@ -274,11 +669,127 @@ export class ConversationsManager {
       if (fetchId === this.currentFetchId) {
       this.isLoading = false;
         this.currentFetchId = null;
+        this.fetchAbortController = null;
         console.log('🏁 LoadMore completed');
       }
     }
   }
 
+  /**
+   * Fetches the next batch for the current sort and filters
+   * A sort needs the whole history, so while it downloads the best matches found so far are previewed
+   * @param {string} fetchId - ID of the fetch, used to ignore pages of an outdated fetch
+   * @param {AbortSignal} signal - Cancellation signal
+   * @returns {Promise<Array<Conversation>>} New conversations
+   * @private
+   */
+  async fetchConversationBatch(fetchId, signal) {
+    const filters = this.fetchSettings.getFilters();
+    const sortFunctions = this.fetchSettings.getSortFunctions();
+    const batchSize = this.fetchSettings.batchSize;
+    const fetcher = this.conversationsFetcher;
+    console.log('🔍 Filters:', filters);
+    console.log('📊 Sort functions:', sortFunctions.length);
+    
+    const onPage = (page, loadedItems) => {
+      if (fetchId !== this.currentFetchId || page.isLastPage) return;
+      
+      if (sortFunctions.length === 0) {
+        this.updateLoadingProgress(page.loaded, page.total);
+        return;
+      }
+      
+      const previewConversations = fetcher.sortItemsGeneric([
+        ...this.conversations.values(),
+        ...fetcher.previewItems(loadedItems, batchSize, filters, sortFunctions)
+      ], sortFunctions);
+      this.renderLoadingPreview(previewConversations, page.loaded, page.total);
+    };
+    
+    return await fetcher.fetchPaginatedData(batchSize, null, filters, sortFunctions, signal, onPage);
+  }
+
+  /**
+   * Reloads the list after a background sync changed the cache it was shown from
+   * Keeps the number of displayed conversations and the selection of the ones still present
+   */
+  async refreshFromCache() {
+    // Search results and in-flight fetches pick up the synced list on their own
+    if (this.isLoading || this.isExternalSearchActive()) return;
+    
+    this.isLoading = true;
+    const { fetchId, signal } = this.beginFetch();
+    const displayed = Math.max(this.conversationsDisplayed, this.fetchSettings.batchSize);
+    
+    try {
+      this.conversationsFetcher.clearSeenItems();
+      const conversations = await this.conversationsFetcher.fetchPaginatedData(
+        displayed,
+        this.fetchSettings.batchSize,
+        this.fetchSettings.getFilters(),
+        this.fetchSettings.getSortFunctions(),
+        signal
+      );
+      
+      if (fetchId === this.currentFetchId) {
+        this.conversations.clear();
+        for (const conversation of conversations) {
+          this.conversations.set(conversation.id, conversation);
+        }
+        
+        this.conversationsDisplayed = Math.min(displayed, this.conversations.size);
+        this.sortConversations();
+        this.renderConversations();
+        this.notifySelectionChanged();
+      }
+    } catch (error) {
+      if (fetchId === this.currentFetchId) {
+        console.error('❌ Failed to refresh from cache:', error);
+      }
+    } finally {
+      if (fetchId === this.currentFetchId) {
+        this.isLoading = false;
+        this.currentFetchId = null;
+        this.fetchAbortController = null;
+      }
+    }
+  }
+
+  /**
+   * Starts a new fetch, aborting the network activity of the previous one
+   * @returns {{fetchId: string, signal: AbortSignal}} ID used to discard outdated results, and the fetch's signal
+   * @private
+   */
+  beginFetch() {
+    this.fetchAbortController?.abort();
+    this.fetchAbortController = new AbortController();
+    this.currentFetchId = crypto.randomUUID();
+    
+    return { fetchId: this.currentFetchId, signal: this.fetchAbortController.signal };
+  }
+
+  /**
+   * Stops the in-flight fetch (its requests are aborted and its results discarded)
+   */
+  cancelCurrentFetch() {
+    this.fetchAbortController?.abort();
+    this.fetchAbortController = null;
+    this.currentFetchId = null;
+    this.isLoading = false;
+  }
+
+  /**
+   * Stops all network activity of the list and of server search (e.g., when the modal closes)
+   */
+  cancelPendingRequests() {
+    this.cancelCurrentFetch();
+    this.conversationsFetcher?.cancelSync?.();
+    
+    this.serverSearchAbortController?.abort();
+    this.serverSearchAbortController = null;
+    this.isSearchingServer = false;
+  }
+
   async refresh() {
     const now = Date.now();
     const timeSinceLastRefresh = now - this.lastRefreshTime;
@@ -309,28 +820,19 @@ export class ConversationsManager {
   async performRefresh() {
     this.lastRefreshTime = Date.now();
     
-    // Check if already fetching
+    // A fetch started with the previous sort or filters is superseded
     if (this.isLoading) {
-      return;
+      this.cancelCurrentFetch();
     }
 
     this.isLoading = true;
-    const fetchId = crypto.randomUUID();
-    this.currentFetchId = fetchId;
+    const { fetchId, signal } = this.beginFetch();
 
     try {
       // Clear state and reset fetcher
       this.clearState();
       
-      const filters = this.fetchSettings.getFilters();
-      const sortFunctions = this.fetchSettings.getSortFunctions();
-      
-      const conversations = await this.conversationsFetcher.fetchPaginatedData(
-        this.fetchSettings.batchSize, 
-        null, 
-        filters, 
-        sortFunctions
-      );
+      const conversations = await this.fetchConversationBatch(fetchId, signal);
 
       // Only apply results if this is still the latest fetch
       if (fetchId === this.currentFetchId) {
@@ -353,28 +855,37 @@ export class ConversationsManager {
       if (fetchId === this.currentFetchId) {
       this.isLoading = false;
         this.currentFetchId = null;
+        this.fetchAbortController = null;
       this.hideLoadingState();
       }
     }
   }
 
   sortConversations() {
-    const sortFunctions = this.fetchSettings.getSortFunctions();
-    const conversationsArray = Array.from(this.conversations.values());
+    const conversationsArray = this.sortByCurrentOrder(Array.from(this.conversations.values()));
     
-    conversationsArray.sort((a, b) => {
+    this.conversations.clear();
+    
+    for (const conversation of conversationsArray) {
+      this.conversations.set(conversation.id, conversation);
+    }
+  }
+
+  /**
+   * Sorts conversations in place by the current sort settings
+   * @param {Array<Conversation>} conversations - Conversations to sort
+   * @returns {Array<Conversation>} The same array, sorted
+   * @private
+   */
+  sortByCurrentOrder(conversations) {
+    const sortFunctions = this.fetchSettings.getSortFunctions();
+    return conversations.sort((a, b) => {
       for (const sortFunction of sortFunctions) {
         const comparison = sortFunction(a, b);
         if (comparison !== 0) return comparison;
       }
       return 0;
     });
-    
-    this.conversations.clear();
-    
-    for (const conversation of conversationsArray) {
-      this.conversations.set(conversation.id, conversation);
-    }
   }
 
   // Settings management
@@ -393,36 +904,163 @@ export class ConversationsManager {
     this.refresh(); // This will debounce and refresh everything
   }
 
+  /**
+   * Sets how recent a conversation must be to count as new / recently modified
+   * @param {number} newHours - Hours since creation
+   * @param {number} updatedHours - Hours since the last update
+   */
+  setActivityWindows(newHours, updatedHours) {
+    Conversation.activityWindows = { newHours, updatedHours };
+  }
+
   resetToDefaultSettings() {
     this.fetchSettings.sortBy = 'created';
+    this.fetchSettings.sortDirection = null;
+    this.fetchSettings.sortTieBreaker = null;
     this.fetchSettings.activeFilters = [];
+    this.fetchSettings.filterMode = FILTER_MODES.ANY;
     this.refresh();
   }
 
   // Selection management
   toggleConversationSelection(conversationId) {
     if (this.selectedConversations.has(conversationId)) {
-      this.selectedConversations.delete(conversationId);
+      this.applySelection([], [conversationId]);
     } else {
-      this.selectedConversations.add(conversationId);
+      this.applySelection([conversationId]);
     }
-    this.renderConversations();
+    this.updateSelectedRows([conversationId]);
     this.notifySelectionChanged();
   }
 
-  selectAllConversations() {
+  /**
+   * Adds and removes conversations from the selection, remembering the selected ones
+   * so they stay listed and actionable once a refresh, filter or search unloads them
+   * @param {Array<string>} selectIds - Conversations to select
+   * @param {Array<string>} deselectIds - Conversations to deselect
+   * @private
+   */
+  applySelection(selectIds, deselectIds = []) {
+    for (const id of deselectIds) {
+      this.selectedConversations.delete(id);
+      this.selectionDetails.delete(id);
+    }
+    for (const id of selectIds) {
+      this.selectedConversations.add(id);
+      const conversation = this.findConversation(id);
+      if (conversation) {
+        this.selectionDetails.set(id, conversation);
+      }
+    }
+  }
+
+  /**
+   * Re-renders the rows whose selection changed rather than the whole list
+   * @param {Array<string>} conversationIds - Conversations selected or deselected
+   * @private
+   */
+  updateSelectedRows(conversationIds) {
+    // Deselected conversations leave the "Selected" list
+    if (this.showingSelection || !this.virtualList) {
+      this.renderConversations();
+      return;
+    }
+    
+    this.virtualList.updateRows(conversationIds);
+    this.updateSelectAllButton();
+  }
+
+  /**
+   * @private
+   */
+  clearSelection() {
     this.selectedConversations.clear();
-    const conversationsToDisplay = this.searchConversations(this.currentSearchTerm);
-    for (const conversation of conversationsToDisplay) {
-      this.selectedConversations.add(conversation.id);
+    this.selectionDetails.clear();
+  }
+
+  /**
+   * Selects every row between two rows (both included), e.g. on shift-click
+   * @param {string} fromId - Row where the range starts
+   * @param {string} toId - Row where the range ends
+   */
+  selectRange(fromId, toId) {
+    const ids = this.getDisplayedConversationIds();
+    const from = ids.indexOf(fromId);
+    const to = ids.indexOf(toId);
+    if (from === -1 || to === -1) {
+      this.toggleConversationSelection(toId);
+      return;
     }
-    this.renderConversations();
+    
+    this.updateSelection(ids.slice(Math.min(from, to), Math.max(from, to) + 1));
+  }
+
+  /**
+   * Swaps selected and unselected among the displayed rows; selected conversations that are not displayed stay selected
+   */
+  invertSelection() {
+    const ids = this.getDisplayedConversationIds();
+    this.updateSelection(
+      ids.filter(id => !this.selectedConversations.has(id)),
+      ids.filter(id => this.selectedConversations.has(id))
+    );
+  }
+
+  /**
+   * @returns {number} Selected conversations that are not among the displayed rows
+   */
+  getOffscreenSelectedCount() {
+    const displayedIds = new Set(this.getDisplayedConversationIds());
+    let count = 0;
+    for (const id of this.selectedConversations) {
+      if (!displayedIds.has(id)) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Selects and deselects conversations in one render
+   * @param {Array<string>} selectIds - Conversations to select
+   * @param {Array<string>} deselectIds - Conversations to deselect
+   */
+  updateSelection(selectIds, deselectIds = []) {
+    this.applySelection(selectIds, deselectIds);
+    this.updateSelectedRows([...selectIds, ...deselectIds]);
+    this.notifySelectionChanged();
+  }
+
+  /**
+   * Moves the keyboard cursor to a row and scrolls it into view
+   * @param {string|null} conversationId - Conversation to focus, null to clear the cursor
+   */
+  setFocusedConversation(conversationId) {
+    document.querySelector('.conversation-item.focused')?.classList.remove('focused');
+    this.focusedConversationId = conversationId;
+    if (!conversationId) return;
+
+    // The row may be outside the rendered window
+    this.virtualList?.scrollToKey(conversationId)?.classList.add('focused');
+  }
+
+  /**
+   * @returns {Array<string>} IDs of the rendered rows, in order
+   */
+  getDisplayedConversationIds() {
+    return this.displayedConversations.map(conversation => conversation.id);
+  }
+
+  // Adds the displayed rows; selected conversations hidden by the search or filters stay selected
+  selectAllConversations() {
+    const conversationIds = this.searchConversations(this.currentSearchTerm).map(conversation => conversation.id);
+    this.applySelection(conversationIds);
+    this.updateSelectedRows(conversationIds);
     this.notifySelectionChanged();
   }
 
   deselectAllConversations() {
-    this.selectedConversations.clear();
-    this.renderConversations();
+    const conversationIds = Array.from(this.selectedConversations);
+    this.clearSelection();
+    this.updateSelectedRows(conversationIds);
     this.notifySelectionChanged();
   }
 
@@ -444,40 +1082,138 @@ export class ConversationsManager {
            conversationsToDisplay.every(conversation => this.selectedConversations.has(conversation.id));
   }
 
-  // Search functionality
-  searchConversations(searchString) {
-    let allConversations;
+  /**
+   * Shows or leaves the "Selected" pseudo-view, which lists every selected conversation
+   * whatever the filters and search, in the current sort order
+   * @param {boolean} showing - Whether to list the selection
+   */
+  setShowingSelection(showing) {
+    if (showing === this.showingSelection) return;
     
-    if (!searchString || searchString.trim() === '') {
-      allConversations = Array.from(this.conversations.values());
-    } else {
-      const searchTerm = searchString.toLowerCase().trim();
-      const filteredConversations = [];
+    this.showingSelection = showing;
+    this.renderConversations();
+    this.notifySelectionChanged();
+  }
 
-      for (const conversation of this.conversations.values()) {
-        const title = conversation.title.toLowerCase();
-        const id = conversation.id.toLowerCase();
-        
-        // Search in both title and ID (case insensitive)
-        if (title.includes(searchTerm) || id.includes(searchTerm)) {
-          filteredConversations.push(conversation);
-        }
-      }
-      
-      allConversations = filteredConversations;
+  isShowingSelection() {
+    return this.showingSelection;
+  }
+
+  /**
+   * @returns {Array<Conversation>} The selected conversations, in the current sort order
+   */
+  getSelectedConversations() {
+    return this.sortByCurrentOrder(this.getConversationsByIds(Array.from(this.selectedConversations)));
+  }
+
+  /**
+   * Replaces the selection with saved conversations; the ones not loaded are listed from their summaries
+   * @param {Array<Object>} summaries - List summaries of the conversations (see getSelectionSummaries)
+   */
+  restoreSelection(summaries) {
+    this.clearSelection();
+    for (const summary of summaries) {
+      const conversation = this.findConversation(summary.id) || new Conversation(summary);
+      this.selectedConversations.add(conversation.id);
+      this.selectionDetails.set(conversation.id, conversation);
+    }
+    this.renderConversations();
+    this.notifySelectionChanged();
+  }
+
+  /**
+   * @returns {Array<Object>} List summaries of the selected conversations, to save the selection
+   */
+  getSelectionSummaries() {
+    return this.getSelectedConversations().map(conversation => ({
+      ...conversation.toSummary(),
+      deleted_at: conversation.deletedAt?.toISOString() ?? null
+    }));
+  }
+
+  // Search functionality
+  searchConversations(searchString) {
+    if (this.showingSelection) {
+      return this.getSelectedConversations();
     }
     
+    const allConversations = this.getMatchingConversations(searchString);
+    
     // Limit the number of conversations displayed
     const limit = this.conversationsDisplayed || this.fetchSettings?.batchSize || 20;
     return allConversations.slice(0, limit);
   }
 
+  /**
+   * Gets the loaded conversations matching a search, beyond the ones displayed so far
+   * @param {string} searchString - Query as typed in the search box
+   * @returns {Array<Conversation>} Matching conversations, in list order
+   */
+  getMatchingConversations(searchString) {
+    if (this.showingSelection) {
+      return this.getSelectedConversations();
+    }
+    
+    const query = this.getSearchQuery(searchString);
+    const context = { getTags: conversationId => this.getTags(conversationId) };
+    
+    if (this.isExternalSearchActive() && this.searchResults) {
+      // Already ranked by relevance; the text terms were matched by the content index or the server
+      return Array.from(this.searchResults.values(), result => result.conversation)
+        .filter(conversation => query.matches(conversation, { ...context, textMatched: true }));
+    }
+    if (query.isEmpty()) {
+      return Array.from(this.conversations.values());
+    }
+    return Array.from(this.conversations.values())
+      .filter(conversation => query.matches(conversation, context));
+  }
+
+  /**
+   * Gets every conversation of the view matching the current filters and search, loaded or not
+   * Content and server searches only cover their results so far; the recycle bin only what is loaded
+   * @returns {Promise<Array<Conversation>>} Matching conversations
+   */
+  async getAllMatchingConversations() {
+    if (this.showingSelection) {
+      return this.getSelectedConversations();
+    }
+    if (this.isExternalSearchActive() || !this.conversationsFetcher?.getAllSummaries) {
+      return this.getMatchingConversations(this.currentSearchTerm);
+    }
+    
+    const filters = Array.from(this.fetchSettings.getFilters());
+    const context = { getTags: conversationId => this.getTags(conversationId) };
+    const conversations = await this.getAllConversations();
+    return conversations.filter(conversation =>
+      filters.every(filter => filter(conversation)) && this.currentQuery.matches(conversation, context)
+    );
+  }
+
+  /**
+   * @param {string} searchString - Query as typed in the search box
+   * @returns {SearchQuery} The parsed query (an empty one if it does not parse)
+   * @private
+   */
+  getSearchQuery(searchString) {
+    if (searchString === this.currentQuery.source) {
+      return this.currentQuery;
+    }
+    
+    try {
+      return SearchQuery.parse(searchString || '');
+    } catch {
+      return new SearchQuery();
+    }
+  }
+
   getConversations() {
     return Array.from(this.conversations.values());
   }
 
   setSearchTerm(searchTerm) {
     this.currentSearchTerm = searchTerm;
+    this.currentQuery = this.getSearchQuery(searchTerm);
     this.renderConversations();
     this.notifySearchChanged();
   }
@@ -539,6 +1275,57 @@ export class ConversationsManager {
     }
   }
 
+  /**
+   * Shows how much of the history has been downloaded in the loading state
+   * @param {number} loaded - Conversations fetched so far
+   * @param {number|null} total - Total reported by the API
+   */
+  updateLoadingProgress(loaded, total) {
+    const loadingText = document.querySelector('#conversations-list .conversations-loading .loading-text');
+    if (loadingText) {
+      loadingText.textContent = this.getLoadingProgressText(loaded, total);
+    }
+  }
+
+  /**
+   * Renders the best conversations found so far while a sort is still downloading
+   * The preview is read-only; the list becomes interactive once the sort completes
+   * @param {Array<Conversation>} conversations - Sorted conversations found so far
+   * @param {number} loaded - Conversations fetched so far
+   * @param {number|null} total - Total reported by the API
+   */
+  renderLoadingPreview(conversations, loaded, total) {
+    const conversationsList = document.getElementById('conversations-list');
+    if (!conversationsList) return;
+    
+    const rows = conversations
+      .map(conversation => this.getConversationHTML(conversation))
+      .join('');
+    
+    conversationsList.innerHTML = `
+      <div class="conversations-loading-progress">
+        <div class="loading-spinner small"></div>
+        <span class="loading-text"></span>
+      </div>
+      <div class="conversations-preview">${rows}</div>
+    `;
+    conversationsList.querySelector('.conversations-loading-progress .loading-text').textContent =
+      this.getLoadingProgressText(loaded, total);
+  }
+
+  /**
+   * @param {number} loaded - Conversations fetched so far
+   * @param {number|null} total - Total reported by the API
+   * @returns {string} Progress text (e.g., "Loading 300 of ~2,400 conversations...")
+   * @private
+   */
+  getLoadingProgressText(loaded, total) {
+    if (!total) {
+      return `Loading ${loaded.toLocaleString()} conversations...`;
+    }
+    return `Loading ${loaded.toLocaleString()} of ~${Math.max(total, loaded).toLocaleString()} conversations...`;
+  }
+
   hideLoadingState() {
     console.log('🔄 Hiding loading state...');
     // Loading state will be replaced by renderConversations()
@@ -574,9 +1361,19 @@ export class ConversationsManager {
 
     // Get conversations to display (with search filter applied)
     const conversationsToDisplay = this.searchConversations(this.currentSearchTerm);
+    this.displayedConversations = conversationsToDisplay;
+    // Which selected conversations are off-screen depends on the displayed rows
+    this.onSelectionChanged?.();
 
     if (conversationsToDisplay.length === 0) {
-      const message = this.currentSearchTerm ? 'No conversations match your search' : 'No conversations found';
+      let message = this.currentSearchTerm ? 'No conversations match your search' : 'No conversations found';
+      if (this.showingSelection) {
+        message = 'No conversations selected';
+      } else if (this.isExternalSearchActive() && this.searchMode === 'content' && this.contentIndexer.isSyncing()) {
+        message = 'No matches yet, still indexing conversations...';
+      } else if (this.isExternalSearchActive() && this.isSearchingServer) {
+        message = 'Searching all conversations...';
+      }
       conversationsList.innerHTML = `
         <div class="empty-state">
           <p>${message}</p>
@@ -586,29 +1383,39 @@ export class ConversationsManager {
       return;
     }
     
-    const conversationsHTML = conversationsToDisplay
-      .map(conversation => this.getConversationHTML(conversation))
-      .join('');
-    const loadMoreHTML = this.getLoadMoreHTML();
-    
-    conversationsList.innerHTML = conversationsHTML + loadMoreHTML;
-    
-    this.attachConversationListeners();
-    this.attachLoadMoreListener();
+    // Only the rows in view are in the DOM; thousands of conversations render as fast as a few
+    this.getVirtualList(conversationsList).setItems(conversationsToDisplay, this.getLoadMoreHTML());
     this.updateSelectAllButton();
   }
 
+  /**
+   * @param {HTMLElement} conversationsList - The list container
+   * @returns {VirtualList} The virtual list filling the container
+   * @private
+   */
+  getVirtualList(conversationsList) {
+    if (this.virtualList?.container !== conversationsList) {
+      this.virtualList = new VirtualList(
+        conversationsList,
+        conversation => conversation.id,
+        conversation => this.getConversationHTML(conversation)
+      );
+      this.attachConversationListeners(conversationsList);
+    }
+    return this.virtualList;
+  }
+
   getConversationHTML(conversation) {
     const isSelected = this.selectedConversations.has(conversation.id);
+    const isFocused = conversation.id === this.focusedConversationId;
     const tags = this.getConversationTags(conversation);
-    const searchTerm = this.currentSearchTerm || '';
     
     // Highlight search terms in title and ID
-    const highlightedTitle = this.highlightSearchTerm(conversation.title, searchTerm);
-    const highlightedId = this.highlightSearchTerm(conversation.id, searchTerm);
+    const highlightedTitle = this.highlightSearchTerm(conversation.title, this.currentQuery.getHighlightTerms());
+    const highlightedId = this.highlightSearchTerm(conversation.id, this.currentQuery.getTextTerms());
     
     return `
-      <div class="conversation-item ${isSelected ? 'selected' : ''}" data-id="${conversation.id}">
+      <div class="conversation-item ${isSelected ? 'selected' : ''} ${isFocused ? 'focused' : ''}" data-id="${conversation.id}">
         <input type="checkbox" class="conversation-checkbox" ${isSelected ? 'checked' : ''} data-id="${conversation.id}">
         
         <div class="conversation-content">
@@ -617,6 +1424,7 @@ export class ConversationsManager {
               <h3 class="conversation-title">${highlightedTitle}</h3>
               ${tags}
             </div>
+            ${this.getSnippetHTML(conversation)}
             <div class="conversation-id-container">
               <span class="conversation-id" title="Conversation ID: ${conversation.id}">
                 <button class="copy-id-btn" data-id="${conversation.id}" title="Copy ID">
@@ -639,6 +1447,7 @@ export class ConversationsManager {
           <div class="conversation-dates">
             <div class="conversation-date created">Created: ${this.formatDate(conversation.date)}</div>
             <div class="conversation-date updated">Modified: ${this.formatDate(conversation.updateTime)}</div>
+            ${conversation.deletedAt ? `<div class="conversation-date deleted">Deleted: ${this.formatDate(conversation.deletedAt)}</div>` : ''}
           </div>
         </div>
         
@@ -661,9 +1470,43 @@ export class ConversationsManager {
     if (conversation.isRecentlyModified) {
       tags.push('<span class="conversation-tag updated" title="This conversation was modified in the last 24 hours">Updated</span>');
     }
+    if (conversation.status === 'archived') {
+      tags.push('<span class="conversation-tag archived" title="This conversation is archived">Archived</span>');
+    }
+    for (const tag of this.getTags(conversation.id)) {
+      const name = this.escapeHtml(tag);
+      tags.push(`<span class="conversation-tag custom" title="Tag: ${name}">${name}</span>`);
+    }
     return tags.length > 0 ? `<div class="conversation-tags">${tags.join('')}</div>` : '';
   }
 
+  /**
+   * Gets the content search snippet for a conversation, with the query words highlighted
+   * @param {Conversation} conversation - The conversation
+   * @returns {string} Snippet HTML, empty when not searching content
+   * @private
+   */
+  getSnippetHTML(conversation) {
+    const result = this.isExternalSearchActive() ? this.searchResults?.get(conversation.id) : null;
+    if (!result || !result.snippet) return '';
+    
+    const snippet = this.highlightSearchTerm(result.snippet, this.currentQuery.getTextTerms());
+    
+    return `<div class="conversation-snippet">${snippet}</div>`;
+  }
+
+  /**
+   * @param {string} text - Text to escape
+   * @returns {string} HTML-safe text (also safe inside quoted attributes)
+   * @private
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    // Quotes too, the result is also used in attribute values
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
   getLoadMoreHTML() {
     const hasMore = this.hasMore();
     console.log('🔍 getLoadMoreHTML:', { hasMore });
@@ -719,7 +1562,7 @@ export class ConversationsManager {
 
   showContextMenu(button) {
     const conversationId = button.dataset.id;
-    const conversation = this.conversations.get(conversationId);
+    const [conversation] = this.getConversationsByIds([conversationId]);
     if (!conversation) return;
 
     // Close any open dropdowns
@@ -763,21 +1606,7 @@ export class ConversationsManager {
         </svg>
         Copy Link
       </div>
-      <div class="conversation-context-menu-item archive" data-action="archive">
-        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-          <polyline points="21,8 21,21 3,21 3,8" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-          <rect x="1" y="3" width="22" height="5" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-          <line x1="10" y1="12" x2="14" y2="12" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-        </svg>
-        Archive
-      </div>
-      <div class="conversation-context-menu-item danger" data-action="delete">
-        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-          <polyline points="3,6 5,6 21,6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-          <path d="M19,6v14a2,2 0 01-2,2H7a2,2 0 01-2-2V6m3,0V4a2,2 0 012-2h4a2,2 0 012,2v2" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-        </svg>
-        Delete
-      </div>
+      ${this.getActionMenuItemsHTML(conversation)}
     `;
 
     // Position the menu
@@ -810,6 +1639,88 @@ export class ConversationsManager {
     setTimeout(() => document.addEventListener('click', closeMenu), 0);
   }
 
+  /**
+   * Gets the context menu actions that apply to the conversation status
+   * Active: rename + tags + archive + delete, archived: rename + tags + unarchive + delete,
+   * deleted: restore + remove from bin
+   * @param {Conversation} conversation - The conversation the menu is opened for
+   * @returns {string} Menu items HTML
+   * @private
+   */
+  getActionMenuItemsHTML(conversation) {
+    if (conversation.status === 'deleted') {
+      return `
+      <div class="conversation-context-menu-item archive" data-action="restore">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <polyline points="1,4 1,10 7,10" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+          <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+        </svg>
+        Restore
+      </div>
+      <div class="conversation-context-menu-item danger" data-action="purge">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <line x1="18" y1="6" x2="6" y2="18" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+          <line x1="6" y1="6" x2="18" y2="18" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+        </svg>
+        Remove from bin
+      </div>`;
+    }
+    
+    const renameItem = `
+      <div class="conversation-context-menu-item" data-action="rename">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <path d="M12 20h9" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+          <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4 12.5-12.5z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+        </svg>
+        Rename
+      </div>`;
+    
+    const tagsItem = `
+      <div class="conversation-context-menu-item" data-action="tags">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+          <line x1="7" y1="7" x2="7.01" y2="7" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+        </svg>
+        Tags...
+      </div>`;
+    
+    if (conversation.status === 'archived') {
+      return `${renameItem}${tagsItem}
+      <div class="conversation-context-menu-item archive" data-action="unarchive">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <polyline points="21,8 21,21 3,21 3,8" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+          <rect x="1" y="3" width="22" height="5" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+          <polyline points="9,15 12,12 15,15" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+        </svg>
+        Unarchive
+      </div>
+      <div class="conversation-context-menu-item danger" data-action="delete">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <polyline points="3,6 5,6 21,6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+          <path d="M19,6v14a2,2 0 01-2,2H7a2,2 0 01-2-2V6m3,0V4a2,2 0 012-2h4a2,2 0 012,2v2" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+        </svg>
+        Delete
+      </div>`;
+    }
+    
+    return `${renameItem}${tagsItem}
+      <div class="conversation-context-menu-item archive" data-action="archive">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <polyline points="21,8 21,21 3,21 3,8" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+          <rect x="1" y="3" width="22" height="5" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+          <line x1="10" y1="12" x2="14" y2="12" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+        </svg>
+        Archive
+      </div>
+      <div class="conversation-context-menu-item danger" data-action="delete">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <polyline points="3,6 5,6 21,6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+          <path d="M19,6v14a2,2 0 01-2,2H7a2,2 0 01-2-2V6m3,0V4a2,2 0 012-2h4a2,2 0 012,2v2" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+        </svg>
+        Delete
+      </div>`;
+  }
+
   async handleContextMenuAction(action, conversationId, event = null) {
     switch (action) {
       case 'go-to':
@@ -823,86 +1734,171 @@ export class ConversationsManager {
         await this.copyLinkToClipboard(conversationId, event);
         break;
       case 'archive':
-        await this.archiveConversations([conversationId]);
+        await this.actionsManager?.handleArchive([conversationId]);
+        break;
+      case 'unarchive':
+        await this.actionsManager?.handleUnarchive([conversationId]);
         break;
       case 'delete':
-        await this.deleteConversations([conversationId]);
+        await this.actionsManager?.handleDelete([conversationId]);
+        break;
+      case 'restore':
+        await this.actionsManager?.handleRestore([conversationId]);
+        break;
+      case 'purge':
+        await this.actionsManager?.handlePurge([conversationId]);
+        break;
+      case 'rename':
+        this.startInlineRename(conversationId);
+        break;
+      case 'tags':
+        await this.actionsManager?.handleTags([conversationId]);
         break;
     }
   }
 
-  attachConversationListeners() {
-    // Checkbox listeners
-    document.querySelectorAll('.conversation-item input[type="checkbox"]').forEach(checkbox => {
-      checkbox.addEventListener('change', (e) => {
-        this.toggleConversationSelection(e.target.dataset.id);
-      });
+  /**
+   * Handles the row interactions on the list itself, so rows rendered later need no listeners of their own
+   * @param {HTMLElement} conversationsList - The list container
+   * @private
+   */
+  attachConversationListeners(conversationsList) {
+    conversationsList.addEventListener('click', (e) => {
+      if (e.target.closest('#load-more-btn')) {
+        this.loadMore();
+        return;
+      }
+      
+      const item = e.target.closest('.conversation-item');
+      if (!item || e.target.closest('.conversation-title-input')) return;
+      
+      const menuButton = e.target.closest('.conversation-menu-btn');
+      if (menuButton) {
+        e.stopPropagation();
+        this.toggleContextMenu(menuButton);
+      } else if (e.target.closest('.copy-id-btn')) {
+        e.stopPropagation();
+        this.copyToClipboard(item.dataset.id, e);
+      } else if (e.target.closest('.copy-link-btn')) {
+        e.stopPropagation();
+        this.copyLinkToClipboard(item.dataset.id, e);
+      } else {
+        // Checkboxes included (click rather than change, to see the Shift key)
+        this.handleRowClick(item.dataset.id, e.shiftKey);
+      }
     });
-
-    // Card click listeners (to select/deselect)
-    document.querySelectorAll('.conversation-item').forEach(item => {
-      item.addEventListener('click', (e) => {
-        // Don't trigger if clicking on checkbox, menu button, or copy buttons
-        if (e.target.type === 'checkbox' || 
-            e.target.closest('.conversation-menu-btn') ||
-            e.target.closest('.copy-id-btn') ||
-            e.target.closest('.copy-link-btn')) {
-          return;
-        }
-        const conversationId = item.dataset.id;
-        this.toggleConversationSelection(conversationId);
-      });
+    
+    // Keep shift-click from selecting text across rows
+    conversationsList.addEventListener('mousedown', (e) => {
+      if (e.shiftKey && e.target.closest('.conversation-item')) e.preventDefault();
     });
-
-    // Context menu listeners
-    document.querySelectorAll('.conversation-menu-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
+    
+    // Double-click a title to rename it in place (not in the recycle bin)
+    conversationsList.addEventListener('dblclick', (e) => {
+      const title = e.target.closest('.conversation-item .conversation-title');
+      if (title && this.view !== 'deleted') {
         e.stopPropagation();
-        
-        // Check if this button already has an active context menu
-        const existingMenu = document.querySelector('.conversation-context-menu');
-        const isActive = btn.classList.contains('active');
-        
-        if (isActive && existingMenu) {
-          // Close existing menu
-          existingMenu.remove();
-          btn.classList.remove('active');
-        } else {
-          // Close any other open menu first
-          if (existingMenu) {
-            existingMenu.remove();
-            document.querySelectorAll('.conversation-menu-btn').forEach(b => b.classList.remove('active'));
-          }
-          // Show new menu
-          this.showContextMenu(btn);
-        }
-      });
+        this.startInlineRename(title.closest('.conversation-item').dataset.id);
+      }
     });
+  }
 
-    // Copy ID button listeners
-    document.querySelectorAll('.copy-id-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.copyToClipboard(btn.dataset.id, e);
-      });
-    });
+  /**
+   * Opens the context menu of a row, or closes it if it is already open
+   * @param {HTMLElement} button - The row's menu button
+   * @private
+   */
+  toggleContextMenu(button) {
+    const existingMenu = document.querySelector('.conversation-context-menu');
+    
+    if (button.classList.contains('active') && existingMenu) {
+      existingMenu.remove();
+      button.classList.remove('active');
+    } else {
+      // Close any other open menu first
+      if (existingMenu) {
+        existingMenu.remove();
+        document.querySelectorAll('.conversation-menu-btn').forEach(b => b.classList.remove('active'));
+      }
+      this.showContextMenu(button);
+    }
+  }
+
+  /**
+   * Toggles a clicked row, or selects the range from the previously clicked row on shift-click
+   * @param {string} conversationId - The clicked row
+   * @param {boolean} shiftKey - Whether Shift was held
+   * @private
+   */
+  handleRowClick(conversationId, shiftKey) {
+    const anchorId = this.focusedConversationId;
+    this.focusedConversationId = conversationId;
+    
+    if (shiftKey && anchorId && anchorId !== conversationId) {
+      this.selectRange(anchorId, conversationId);
+    } else {
+      this.toggleConversationSelection(conversationId);
+    }
+  }
 
-    // Copy link button listeners
-    document.querySelectorAll('.copy-link-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
+  /**
+   * Replaces a conversation title with a text field; Enter or blur saves, Escape cancels
+   * @param {string} conversationId - The conversation to rename
+   */
+  startInlineRename(conversationId) {
+    const [conversation] = this.getConversationsByIds([conversationId]);
+    const titleElement = document.querySelector(`.conversation-item[data-id="${conversationId}"] .conversation-title`);
+    if (!conversation || !titleElement || titleElement.querySelector('input')) return;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'conversation-title-input';
+    input.value = conversation.title;
+    titleElement.replaceChildren(input);
+    input.focus();
+    input.select();
+    
+    let finished = false;
+    const finish = async (save) => {
+      if (finished) return;
+      finished = true;
+      
+      const title = input.value.trim();
+      if (save && title && title !== conversation.title && this.actionsManager) {
+        await this.actionsManager.renameConversations([{ id: conversationId, title, previousTitle: conversation.title }]);
+      } else {
+        this.renderConversations();
+      }
+    };
+    
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        finish(true);
+      } else if (e.key === 'Escape') {
+        // Keep the modal open, only cancel the rename
+        e.preventDefault();
         e.stopPropagation();
-        this.copyLinkToClipboard(btn.dataset.id, e);
-      });
+        finish(false);
+      }
     });
+    input.addEventListener('blur', () => finish(true));
   }
 
-  attachLoadMoreListener() {
-    const loadMoreBtn = document.getElementById('load-more-btn');
-    if (loadMoreBtn) {
-      loadMoreBtn.addEventListener('click', () => {
-        this.loadMore();
-      });
+  /**
+   * Applies new titles to loaded conversations and search results
+   * @param {Array<{id: string, title: string}>} renames - New title per conversation
+   */
+  updateConversationTitles(renames) {
+    for (const { id, title } of renames) {
+      const [conversation] = this.getConversationsByIds([id]);
+      if (conversation) {
+        conversation.title = title;
+      }
     }
+    
+    this.sortConversations();
+    this.renderConversations();
   }
 
   updateSelectAllButton() {
@@ -927,7 +1923,7 @@ export class ConversationsManager {
     
     try {
       await ActionsManager.deleteConversations(Array.from(this.selectedConversations));
-    this.selectedConversations.clear();
+    this.clearSelection();
       await this.refresh(); // Refresh the list
     } catch (error) {
       console.error('Error deleting conversations:', error);
@@ -942,7 +1938,7 @@ export class ConversationsManager {
     
     try {
       await ActionsManager.archiveConversations(Array.from(this.selectedConversations));
-      this.selectedConversations.clear();
+      this.clearSelection();
       await this.refresh(); // Refresh the list
     } catch (error) {
       console.error('Error archiving conversations:', error);
@@ -964,16 +1960,138 @@ export class ConversationsManager {
 
   /**
    * Performs search on conversations with concurrent search handling
-   * @param {string} searchTerm - The search term to filter by
+   * A query that does not parse is reported to the ActionsManager and leaves the current results shown
+   * @param {string} searchTerm - The search query to filter by (see SearchQuery for the syntax)
    */
   search(searchTerm) {
+    let query;
+    try {
+      query = SearchQuery.parse(searchTerm);
+    } catch (error) {
+      if (error.name !== 'QueryParseError') throw error;
+      this.actionsManager?.showSearchError(error);
+      return;
+    }
+    this.actionsManager?.showSearchError(null);
+    
     // Generate unique ID for this search
     const searchId = crypto.randomUUID();
     this.currentSearchId = searchId;
     this.currentSearchTerm = searchTerm;
+    this.currentQuery = query;
     
     console.log('🔍 Performing search:', searchTerm, 'ID:', searchId);
     
+    // Content and server searches only understand plain text, the other terms filter their results
+    const searchText = query.getTextTerms().join(' ');
+    
+    if (this.isExternalSearchActive() && this.searchMode === 'content') {
+      this.searchContent(searchText, searchId);
+      return;
+    }
+    
+    if (this.isExternalSearchActive() && this.searchMode === 'server') {
+      this.searchServer(searchText, searchId);
+      return;
+    }
+    
+    this.searchResults = null;
+    this.completeSearch(searchTerm, searchId);
+  }
+
+  /**
+   * Queries the local full-text index and shows the ranked results for the current view
+   * @param {string} searchTerm - The free-text part of the query
+   * @param {string} searchId - ID of the search, used to discard outdated results
+   * @private
+   */
+  async searchContent(searchTerm, searchId) {
+    let results = [];
+    
+    try {
+      results = await this.contentIndexer.search(searchTerm);
+    } catch (error) {
+      console.error('❌ Content search failed:', error);
+    }
+    
+    if (searchId !== this.currentSearchId) {
+      console.log('🔍 Content search outdated, discarding results:', searchId);
+      return;
+    }
+    
+    this.searchResults = new Map();
+    for (const result of results) {
+      const conversation = new Conversation(result.entry);
+      if (conversation.status === this.view) {
+        this.searchResults.set(conversation.id, { conversation, snippet: result.snippet });
+      }
+    }
+    
+    this.completeSearch(searchTerm, searchId);
+  }
+
+  /**
+   * Starts a server-side search across the whole account
+   * @param {string} searchTerm - The free-text part of the query
+   * @param {string} searchId - ID of the search, used to discard outdated results
+   * @private
+   */
+  async searchServer(searchTerm, searchId) {
+    this.serverSearchFetcher = new ServerSearchFetcher(this.client, searchTerm.trim());
+    this.searchResults = new Map();
+    this.conversationsDisplayed = this.batchSize;
+    
+    await this.loadServerSearchResults(searchTerm, searchId);
+  }
+
+  /**
+   * Fetches the next batch of server search results and merges them into the result list
+   * Hits outside the current view (e.g., archived ones in the default feed) are skipped
+   * @param {string} searchTerm - The search term
+   * @param {string} searchId - ID of the search, used to discard outdated results
+   * @private
+   */
+  async loadServerSearchResults(searchTerm, searchId) {
+    const fetcher = this.serverSearchFetcher;
+    this.isSearchingServer = true;
+    this.renderConversations();
+    
+    // A newer search supersedes this one, stop its requests
+    this.serverSearchAbortController?.abort();
+    const abortController = new AbortController();
+    this.serverSearchAbortController = abortController;
+    
+    let results = [];
+    try {
+      results = await fetcher.fetchPaginatedData(this.fetchSettings.batchSize, null, new Set(), [], abortController.signal);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('❌ Server search failed:', error);
+      this.actionsManager?.toastManager?.error('Search failed, please try again');
+    }
+    
+    if (searchId !== this.currentSearchId || fetcher !== this.serverSearchFetcher) {
+      console.log('🔍 Server search outdated, discarding results:', searchId);
+      return;
+    }
+    
+    this.isSearchingServer = false;
+    for (const result of results) {
+      if (result.conversation.status === this.view) {
+        this.searchResults.set(result.id, result);
+      }
+    }
+    
+    this.completeSearch(searchTerm, searchId);
+  }
+
+  /**
+   * Renders the search results and notifies the ActionsManager
+   * @param {string} searchTerm - The search term
+   * @param {string} searchId - ID of the search
+   * @private
+   */
+  completeSearch(searchTerm, searchId) {
     // Perform local search and render
     this.renderConversations();
     
@@ -993,11 +2111,58 @@ export class ConversationsManager {
   }
 
   /**
-   * Sets the sort field and refreshes the conversation list
-   * @param {string} sortBy - The sort field (created, modified, name)
+   * Switches between searching loaded titles/IDs, message content and the server
+   * Enabling content search brings the local index up to date in the background
+   * @param {string} mode - The search mode (title, content, server)
    */
-  setSortBy(sortBy) {
-    this.sortBy = sortBy;
+  setSearchMode(mode) {
+    this.searchMode = mode;
+    
+    if (mode === 'content') {
+      this.syncContentIndex();
+    }
+    
+    this.search(this.currentSearchTerm);
+  }
+
+  /**
+   * Whether the search results come from outside the loaded list (content index or server)
+   * Queries made only of filters (e.g. is:new) apply to the loaded list
+   * @returns {boolean} True if in content or server mode with free text in the query
+   */
+  isExternalSearchActive() {
+    return this.searchMode !== 'title' && this.currentQuery.getTextTerms().length > 0;
+  }
+
+  /**
+   * Indexes new and updated conversations, reporting progress to the action bar
+   * @private
+   */
+  async syncContentIndex() {
+    try {
+      await this.contentIndexer.sync((done, total) => {
+        this.actionsManager?.updateSearchIndexStatus(done, total);
+      });
+      this.actionsManager?.updateSearchIndexStatus(0, 0);
+      await this.loadIndexedDetails();
+      
+      if (this.searchMode === 'content' && this.isExternalSearchActive()) {
+        this.search(this.currentSearchTerm);
+      }
+    } catch (error) {
+      console.error('❌ Failed to update the search index:', error);
+      this.actionsManager?.updateSearchIndexStatus(0, 0, true);
+    }
+  }
+
+  /**
+   * Sets the sort key and refreshes the conversation list
+   * @param {string} sortBy - The sort key (see SORT_KEYS)
+   * @param {string|null} direction - The sort direction (asc, desc), null for the usual one of the key
+   */
+  setSortBy(sortBy, direction = null) {
+    this.fetchSettings.sortBy = sortBy;
+    this.fetchSettings.sortDirection = direction;
     this.refresh();
   }
 
@@ -1006,7 +2171,25 @@ export class ConversationsManager {
    * @param {string} direction - The sort direction (asc, desc)
    */
   setSortDirection(direction) {
-    this.sortDirection = direction;
+    this.fetchSettings.sortDirection = direction;
+    this.refresh();
+  }
+
+  /**
+   * Sets the key that orders conversations the sort key considers equal and refreshes the conversation list
+   * @param {string|null} tieBreaker - A sort key, null for the default of the current sort key
+   */
+  setSortTieBreaker(tieBreaker) {
+    this.fetchSettings.sortTieBreaker = tieBreaker;
+    this.refresh();
+  }
+
+  /**
+   * Sets whether conversations must match any or all active filters and refreshes the conversation list
+   * @param {string} mode - One of FILTER_MODES
+   */
+  setFilterMode(mode) {
+    this.fetchSettings.filterMode = mode;
     this.refresh();
   }
 
@@ -1016,7 +2199,7 @@ export class ConversationsManager {
    */
   setActiveFilters(filters) {
     this.activeFilters = new Set(filters);
-    this.refresh();
+    this.updateFilters(filters);
   }
 
   /**
@@ -1062,6 +2245,7 @@ export class ConversationsManager {
       this.actionsManager.updateSelectToggle(selectedCount, hasSearch);
       this.actionsManager.updateActionButtons();
     }
+    this.onSelectionChanged?.();
   }
 
   /**
@@ -1076,18 +2260,27 @@ export class ConversationsManager {
 
   /**
    * Highlights search terms in text
-   * @param {string} text - The text to highlight
-   * @param {string} searchTerm - The search term to highlight
-   * @returns {string} HTML with highlighted search terms
+   * @param {string} text - The text to highlight (plain text)
+   * @param {Array<string>} terms - Terms of the parsed query to highlight
+   * @returns {string} Escaped HTML with highlighted search terms
    * @private
    */
-  highlightSearchTerm(text, searchTerm) {
-    if (!searchTerm || !searchTerm.trim()) {
-      return text;
+  highlightSearchTerm(text, terms) {
+    const patterns = terms
+      .filter(term => term.length > 0)
+      .sort((a, b) => b.length - a.length) // Longest first so phrases win over their words
+      .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    
+    if (patterns.length === 0) {
+      return this.escapeHtml(text);
     }
     
-    const regex = new RegExp(`(${searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-    return text.replace(regex, '<mark class="search-highlight">$1</mark>');
+    // Odd parts of the split are the matches
+    return text.split(new RegExp(`(${patterns.join('|')})`, 'gi'))
+      .map((part, index) => index % 2 === 1
+        ? `<mark class="search-highlight">${this.escapeHtml(part)}</mark>`
+        : this.escapeHtml(part))
+      .join('');
   }
 
   /**
@@ -0,0 +1,206 @@
+// ============================================================================
+// Duplicates Manager
+// ============================================================================
+
+import { DuplicateFinder } from '../utils/duplicateFinder.js';
+
+/**
+ * Manages the "Find duplicates" dialog
+ * Scans every conversation of the current view (not just the loaded ones), shows the clusters
+ * found by DuplicateFinder and hands the checked conversations to ActionsManager for archive or delete
+ */
+export class DuplicatesManager {
+  /**
+   * Creates a new DuplicatesManager instance
+   * @param {ConversationsManager} conversationsManager - Provides the conversations to scan
+   * @param {ActionsManager} actionsManager - Archives or deletes the chosen duplicates
+   * @param {DuplicateFinder} finder - Groups the conversations
+   */
+  constructor(conversationsManager, actionsManager, finder = new DuplicateFinder()) {
+    this.conversationsManager = conversationsManager;
+    this.actionsManager = actionsManager;
+    this.finder = finder;
+    this.scanAbortController = null;
+
+    this.duplicatesButton = document.getElementById('duplicates-btn');
+    if (this.duplicatesButton) {
+      this.duplicatesButton.addEventListener('click', () => {
+        this.showDialog();
+      });
+    }
+  }
+
+  /**
+   * Shows the duplicates dialog
+   * @private
+   */
+  showDialog() {
+    const modalHTML = `
+      <div class="confirm-modal duplicates-dialog-overlay">
+        <div class="confirm-modal-content duplicates-dialog">
+          <h3>Find Duplicates</h3>
+          <div class="duplicates-options">
+            <label class="rename-checkbox">
+              <input type="checkbox" id="duplicates-compare-messages">
+              Also compare first messages (downloads each conversation)
+            </label>
+            <label>
+              Keep
+              <select class="rename-input" id="duplicates-keep">
+                <option value="newest">Newest</option>
+                <option value="oldest">Oldest</option>
+              </select>
+            </label>
+            <button class="action-btn" id="duplicates-scan">Scan</button>
+          </div>
+          <div class="duplicates-status"></div>
+          <div class="duplicates-clusters"></div>
+          <div class="confirm-modal-actions">
+            <button class="action-btn secondary" id="duplicates-close">Close</button>
+            <button class="action-btn archive-primary" id="duplicates-archive" disabled>Archive</button>
+            <button class="action-btn danger-primary" id="duplicates-delete" disabled>Delete</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+    const modal = document.querySelector('.duplicates-dialog-overlay');
+    const compareMessagesInput = modal.querySelector('#duplicates-compare-messages');
+    const keepSelect = modal.querySelector('#duplicates-keep');
+    const scanButton = modal.querySelector('#duplicates-scan');
+    const archiveButton = modal.querySelector('#duplicates-archive');
+    const deleteButton = modal.querySelector('#duplicates-delete');
+    const status = modal.querySelector('.duplicates-status');
+    const clusterList = modal.querySelector('.duplicates-clusters');
+    let clusters = [];
+
+    const getCheckedIds = () => Array.from(clusterList.querySelectorAll('input[data-id]:checked'))
+      .map(checkbox => checkbox.dataset.id);
+
+    const updateButtons = () => {
+      const count = getCheckedIds().length;
+      archiveButton.disabled = count === 0;
+      deleteButton.disabled = count === 0;
+      archiveButton.textContent = count > 0 ? `Archive ${count}` : 'Archive';
+      deleteButton.textContent = count > 0 ? `Delete ${count}` : 'Delete';
+      // Archived conversations cannot be archived again
+      archiveButton.style.display = this.conversationsManager.view === 'active' ? '' : 'none';
+    };
+
+    const render = () => {
+      clusterList.innerHTML = this.renderClusters(clusters, keepSelect.value);
+      updateButtons();
+    };
+
+    const scan = async () => {
+      this.scanAbortController?.abort();
+      const abortController = new AbortController();
+      this.scanAbortController = abortController;
+
+      scanButton.disabled = true;
+      clusters = [];
+      render();
+      status.textContent = 'Loading conversations...';
+
+      try {
+        const conversations = await this.conversationsManager.getAllConversations();
+        clusters = await this.finder.find(conversations, {
+          compareMessages: compareMessagesInput.checked,
+          onProgress: (done, total) => {
+            status.textContent = `Reading first messages: ${done}/${total}`;
+          },
+          signal: abortController.signal
+        });
+
+        const duplicateCount = clusters.reduce((sum, cluster) => sum + cluster.conversations.length - 1, 0);
+        status.textContent = clusters.length > 0
+          ? `${clusters.length} group(s), ${duplicateCount} duplicate(s) among ${conversations.length} conversation(s)`
+          : `No duplicates among ${conversations.length} conversation(s)`;
+        render();
+      } catch (error) {
+        if (abortController.signal.aborted) return;
+        console.error('Failed to find duplicates:', error);
+        status.textContent = `Failed to find duplicates: ${error.message}`;
+      } finally {
+        scanButton.disabled = false;
+      }
+    };
+
+    const close = () => {
+      this.scanAbortController?.abort();
+      modal.remove();
+    };
+
+    const act = (handler) => {
+      const ids = getCheckedIds();
+      close();
+      handler(ids);
+    };
+
+    scanButton.addEventListener('click', scan);
+    keepSelect.addEventListener('change', render);
+    clusterList.addEventListener('change', updateButtons);
+    modal.querySelector('#duplicates-close').addEventListener('click', close);
+    archiveButton.addEventListener('click', () => act(ids => this.actionsManager.handleArchive(ids)));
+    deleteButton.addEventListener('click', () => act(ids => this.actionsManager.handleDelete(ids)));
+    modal.addEventListener('click', (event) => {
+      if (event.target === modal) {
+        close();
+      }
+    });
+    modal.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        // Keep the manager open, only close the dialog
+        event.stopPropagation();
+        close();
+      }
+    });
+
+    updateButtons();
+    scanButton.focus();
+  }
+
+  /**
+   * Renders the clusters; every conversation but the kept one starts checked
+   * @param {Array<{conversations: Array<Conversation>, reason: string}>} clusters - Clusters, newest first within each
+   * @param {string} keep - "newest" or "oldest"
+   * @returns {string} HTML
+   * @private
+   */
+  renderClusters(clusters, keep) {
+    return clusters.map(cluster => {
+      const kept = keep === 'oldest' ? cluster.conversations[cluster.conversations.length - 1] : cluster.conversations[0];
+      const reason = cluster.reason === 'title' ? 'Same title' : 'Similar first message';
+
+      const rows = cluster.conversations.map(conversation => `
+        <label class="duplicates-row ${conversation === kept ? 'kept' : ''}">
+          <input type="checkbox" data-id="${this.escapeHtml(conversation.id)}" ${conversation === kept ? '' : 'checked'}>
+          <span class="duplicates-title">${this.escapeHtml(conversation.title)}</span>
+          ${conversation === kept ? '<span class="duplicates-kept-badge">Keep</span>' : ''}
+          <span class="duplicates-date">Created ${conversation.date.toLocaleString()}</span>
+          <span class="duplicates-date">Modified ${conversation.updateTime.toLocaleString()}</span>
+        </label>
+      `).join('');
+
+      return `
+        <div class="duplicates-cluster">
+          <div class="duplicates-cluster-header">${cluster.conversations.length} conversations · ${reason}</div>
+          ${rows}
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * @param {string} text - Text to escape
+   * @returns {string} HTML-safe text (also safe inside quoted attributes)
+   * @private
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+}
@@ -0,0 +1,309 @@
+// ============================================================================
+// Keyboard Manager
+// ============================================================================
+
+import { KEYBOARD_SHORTCUTS } from '../../../js/constants/index.js';
+import { KeyboardShortcuts } from '../../../js/utils/index.js';
+
+/**
+ * Runs the modal keyboard shortcuts (bindings come from the settings)
+ * A cursor moves through the rendered rows; Shift+move extends the selection from where it started.
+ * Archive and delete act on the selection when there is one, otherwise on the row under the cursor,
+ * and go through the same confirmations as the buttons. Keys typed in fields or while a dialog is open
+ * are left alone.
+ */
+export class KeyboardManager {
+  /**
+   * Creates a new KeyboardManager instance
+   * @param {ConversationsManager} conversationsManager - Provides the rows, the cursor and the selection
+   * @param {ActionsManager} actionsManager - Runs archive and delete
+   * @param {Object} overrides - Changed keys per action (keyboardShortcuts setting)
+   */
+  constructor(conversationsManager, actionsManager, overrides = {}) {
+    this.conversationsManager = conversationsManager;
+    this.actionsManager = actionsManager;
+    this.bindings = KeyboardShortcuts.getBindings(overrides);
+    this.actionsByKey = new Map();
+    this.anchorId = null; // Row where the current Shift extension started
+    this.extendedIds = new Set(); // Rows selected by the current Shift extension
+
+    Object.entries(this.bindings).forEach(([action, keys]) => {
+      keys.forEach(key => this.actionsByKey.set(key, action));
+    });
+
+    document.addEventListener('keydown', (e) => this.handleKeydown(e));
+  }
+
+  /**
+   * @param {KeyboardEvent} event - Key event
+   * @private
+   */
+  handleKeydown(event) {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (this.isTypingTarget(event.target) || this.isDialogOpen()) return;
+
+    const action = this.actionsByKey.get(KeyboardShortcuts.getKeyName(event));
+    if (!action) return;
+
+    event.preventDefault();
+    switch (action) {
+      case 'moveDown':
+        this.moveCursor(1, event.shiftKey);
+        break;
+      case 'moveUp':
+        this.moveCursor(-1, event.shiftKey);
+        break;
+      case 'toggleSelection':
+        this.toggleSelection();
+        break;
+      case 'focusSearch':
+        this.focusSearch();
+        break;
+      case 'archive':
+        this.archive();
+        break;
+      case 'delete':
+        this.delete();
+        break;
+      case 'open':
+        this.open();
+        break;
+      case 'showHelp':
+        this.showHelp();
+        break;
+    }
+  }
+
+  /**
+   * Moves the cursor, or extends the selection with Shift
+   * @param {number} delta - 1 for the next row, -1 for the previous one
+   * @param {boolean} extend - Whether to extend the selection
+   * @private
+   */
+  moveCursor(delta, extend) {
+    const ids = this.conversationsManager.getDisplayedConversationIds();
+    if (ids.length === 0) return;
+
+    const current = ids.indexOf(this.conversationsManager.focusedConversationId);
+    const next = current === -1
+      ? (delta > 0 ? 0 : ids.length - 1)
+      : Math.min(Math.max(current + delta, 0), ids.length - 1);
+
+    if (extend) {
+      this.extendSelection(ids, current === -1 ? next : current, next);
+    } else {
+      this.resetExtension();
+    }
+    this.conversationsManager.setFocusedConversation(ids[next]);
+  }
+
+  /**
+   * Selects the rows between the anchor and the cursor; rows this extension selected
+   * that fall out of the range are deselected again
+   * @param {Array<string>} ids - Rendered row IDs
+   * @param {number} from - Row the cursor is on
+   * @param {number} to - Row the cursor moves to
+   * @private
+   */
+  extendSelection(ids, from, to) {
+    if (!this.anchorId || !ids.includes(this.anchorId)) {
+      this.anchorId = ids[from];
+      this.extendedIds = new Set();
+    }
+
+    const anchor = ids.indexOf(this.anchorId);
+    const range = new Set(ids.slice(Math.min(anchor, to), Math.max(anchor, to) + 1));
+    const { selectedConversations } = this.conversationsManager;
+
+    const deselectIds = Array.from(this.extendedIds).filter(id => !range.has(id));
+    const selectIds = Array.from(range).filter(id => !selectedConversations.has(id));
+    deselectIds.forEach(id => this.extendedIds.delete(id));
+    selectIds.forEach(id => this.extendedIds.add(id));
+
+    if (selectIds.length > 0 || deselectIds.length > 0) {
+      this.conversationsManager.updateSelection(selectIds, deselectIds);
+    }
+  }
+
+  /**
+   * @private
+   */
+  resetExtension() {
+    this.anchorId = null;
+    this.extendedIds = new Set();
+  }
+
+  /**
+   * @private
+   */
+  toggleSelection() {
+    const conversationId = this.getFocusedId();
+    if (!conversationId) return;
+
+    this.resetExtension();
+    this.conversationsManager.toggleConversationSelection(conversationId);
+  }
+
+  /**
+   * @private
+   */
+  focusSearch() {
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) {
+      searchInput.focus();
+      searchInput.select();
+    }
+  }
+
+  /**
+   * @private
+   */
+  archive() {
+    const targetIds = this.getTargetIds();
+    if (targetIds.length === 0) return;
+
+    const view = this.conversationsManager.getView();
+    if (view === 'active') {
+      this.actionsManager.handleArchive(targetIds);
+    } else if (view === 'archived') {
+      this.actionsManager.handleUnarchive(targetIds);
+    }
+  }
+
+  /**
+   * @private
+   */
+  delete() {
+    const targetIds = this.getTargetIds();
+    if (targetIds.length === 0) return;
+
+    if (this.conversationsManager.getView() === 'deleted') {
+      this.actionsManager.handlePurge(targetIds);
+    } else {
+      this.actionsManager.handleDelete(targetIds);
+    }
+  }
+
+  /**
+   * @private
+   */
+  open() {
+    const conversationId = this.getFocusedId();
+    if (conversationId) {
+      window.open(`https://chatgpt.com/c/${conversationId}`, '_blank');
+    }
+  }
+
+  /**
+   * Shows every shortcut with its current keys
+   * @private
+   */
+  showHelp() {
+    const rows = Object.entries(KEYBOARD_SHORTCUTS).map(([action, shortcut]) => `
+      <div class="shortcuts-row">
+        <span>${this.escapeHtml(shortcut.label)}</span>
+        <span class="shortcuts-keys">
+          ${this.bindings[action].length > 0
+            ? this.bindings[action].map(key => `<kbd>${this.escapeHtml(key)}</kbd>`).join(' ')
+            : '<span class="shortcuts-none">Not set</span>'}
+        </span>
+      </div>
+    `).join('');
+
+    const modalHTML = `
+      <div class="confirm-modal shortcuts-dialog-overlay">
+        <div class="confirm-modal-content shortcuts-dialog">
+          <h3>Keyboard Shortcuts</h3>
+          <div class="shortcuts-list">
+            ${rows}
+            <div class="shortcuts-row">
+              <span>Close the manager</span>
+              <span class="shortcuts-keys"><kbd>Escape</kbd></span>
+            </div>
+          </div>
+          <p>Change the keys in the extension settings.</p>
+          <div class="confirm-modal-actions">
+            <button class="action-btn secondary" id="shortcuts-close">Close</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+    const modal = document.querySelector('.shortcuts-dialog-overlay');
+    const closeButton = modal.querySelector('#shortcuts-close');
+    const close = () => modal.remove();
+
+    closeButton.addEventListener('click', close);
+    modal.addEventListener('click', (event) => {
+      if (event.target === modal) {
+        close();
+      }
+    });
+    modal.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' || this.bindings.showHelp.includes(KeyboardShortcuts.getKeyName(event))) {
+        // Keep the manager open, only close the dialog
+        event.preventDefault();
+        event.stopPropagation();
+        close();
+      }
+    });
+
+    closeButton.focus();
+  }
+
+  /**
+   * @returns {Array<string>} The selection, or the focused row when nothing is selected
+   * @private
+   */
+  getTargetIds() {
+    const { selectedConversations } = this.conversationsManager;
+    if (selectedConversations.size > 0) return Array.from(selectedConversations);
+
+    const conversationId = this.getFocusedId();
+    return conversationId ? [conversationId] : [];
+  }
+
+  /**
+   * @returns {string|null} The focused row, if it is still rendered
+   * @private
+   */
+  getFocusedId() {
+    const { focusedConversationId } = this.conversationsManager;
+    return this.conversationsManager.getDisplayedConversationIds().includes(focusedConversationId)
+      ? focusedConversationId
+      : null;
+  }
+
+  /**
+   * @param {EventTarget} target - Event target
+   * @returns {boolean} True if keys typed there are text (row checkboxes don't count)
+   * @private
+   */
+  isTypingTarget(target) {
+    if (!(target instanceof HTMLElement)) return false;
+    if (target.tagName === 'INPUT') return !['checkbox', 'radio', 'button'].includes(target.type);
+    return target.isContentEditable || ['TEXTAREA', 'SELECT'].includes(target.tagName);
+  }
+
+  /**
+   * @returns {boolean} True if a dialog or a menu has the keyboard
+   * @private
+   */
+  isDialogOpen() {
+    return Array.from(document.querySelectorAll('.confirm-modal')).some(modal => modal.style.display !== 'none') ||
+      Boolean(document.querySelector('.conversation-context-menu'));
+  }
+
+  /**
+   * @param {string} text - Text to escape
+   * @returns {string} HTML-safe text
+   * @private
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * Manages the progress bar of bulk jobs and their result summary
+ * The progress bar offers a cancel button wired to an AbortSignal handed to the job
+ */
+export class ProgressManager {
+  /**
+   * Creates a new ProgressManager instance
+   */
+  constructor() {
+    this.panel = null;
+    this.abortController = null;
+  }
+
+  /**
+   * Shows the progress bar for a job
+   * @param {string} label - What the job does (e.g., "Deleting")
+   * @param {number} total - Number of items in the job
+   * @returns {AbortSignal} Aborted when the user clicks cancel
+   */
+  start(label, total) {
+    this.finish();
+    this.abortController = new AbortController();
+
+    this.panel = document.createElement('div');
+    this.panel.className = 'bulk-progress';
+    this.panel.innerHTML = `
+      <div class="bulk-progress-header">
+        <span class="bulk-progress-label"></span>
+        <span class="bulk-progress-count"></span>
+        <button class="action-btn secondary bulk-progress-cancel">Cancel</button>
+      </div>
+      <div class="bulk-progress-track">
+        <div class="bulk-progress-bar"></div>
+      </div>
+    `;
+    this.panel.querySelector('.bulk-progress-label').textContent = label;
+
+    const cancelButton = this.panel.querySelector('.bulk-progress-cancel');
+    cancelButton.addEventListener('click', () => {
+      this.abortController.abort();
+      cancelButton.disabled = true;
+      cancelButton.textContent = 'Cancelling...';
+    });
+
+    document.body.appendChild(this.panel);
+    this.update(0, total);
+
+    return this.abortController.signal;
+  }
+
+  /**
+   * Updates the progress bar
+   * @param {number} done - Items finished (successfully or not)
+   * @param {number} total - Number of items in the job
+   */
+  update(done, total) {
+    if (!this.panel) return;
+
+    const percent = total > 0 ? Math.round((done / total) * 100) : 100;
+    this.panel.querySelector('.bulk-progress-count').textContent = `${done}/${total}`;
+    this.panel.querySelector('.bulk-progress-bar').style.width = `${percent}%`;
+  }
+
+  /**
+   * Hides the progress bar
+   */
+  finish() {
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+    this.abortController = null;
+  }
+
+  /**
+   * Shows the per-item outcome of a job that did not fully succeed
+   * @param {string} title - Dialog title
+   * @param {Array<{item: *, status: string, error?: Error}>} results - Executor results
+   * @param {Function} describeItem - Returns a display name for an item
+   * @returns {Promise<boolean>} True if the user asked to retry the failed items
+   */
+  async showSummary(title, results, describeItem) {
+    const counts = { succeeded: 0, failed: 0, cancelled: 0 };
+    results.forEach(result => counts[result.status]++);
+
+    const rows = results
+      .filter(result => result.status !== 'succeeded')
+      .map(result => `
+        <div class="bulk-summary-row ${result.status}">
+          <span class="bulk-summary-name">${this.escapeHtml(describeItem(result.item))}</span>
+          <span class="bulk-summary-reason">${this.escapeHtml(this.getReason(result))}</span>
+        </div>
+      `).join('');
+
+    return new Promise((resolve) => {
+      const modalHTML = `
+        <div class="confirm-modal bulk-summary-overlay">
+          <div class="confirm-modal-content">
+            <h3>${this.escapeHtml(title)}</h3>
+            <p>${counts.succeeded} succeeded, ${counts.failed} failed, ${counts.cancelled} cancelled</p>
+            <div class="bulk-summary-list">${rows}</div>
+            <div class="confirm-modal-actions">
+              <button class="action-btn secondary" id="bulk-summary-close">Close</button>
+              ${counts.failed > 0 ? `<button class="action-btn archive-primary" id="bulk-summary-retry">Retry failed (${counts.failed})</button>` : ''}
+            </div>
+          </div>
+        </div>
+      `;
+
+      document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+      const modal = document.querySelector('.bulk-summary-overlay');
+      const close = (retry) => {
+        modal.remove();
+        resolve(retry);
+      };
+
+      modal.querySelector('#bulk-summary-close').addEventListener('click', () => close(false));
+      modal.querySelector('#bulk-summary-retry')?.addEventListener('click', () => close(true));
+      modal.addEventListener('click', (event) => {
+        if (event.target === modal) {
+          close(false);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {{status: string, error?: Error}} result - Executor result
+   * @returns {string} Why the item did not succeed
+   * @private
+   */
+  getReason(result) {
+    if (result.status === 'cancelled') {
+      return 'Cancelled';
+    }
+    if (result.error?.status) {
+      return `HTTP ${result.error.status}`;
+    }
+    return result.error?.message || 'Failed';
+  }
+
+  /**
+   * @param {string} text - Text to escape
+   * @returns {string} HTML-safe text
+   * @private
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,537 @@
+// ============================================================================
+// Selection Manager
+// ============================================================================
+
+import { RETENTION_ACTIONS, RETENTION_STATUSES, RETENTION_AGE_FIELDS } from '../../../js/constants/index.js';
+import { RetentionRule } from '../../../js/utils/index.js';
+import { SavedSelectionStorage } from '../../../js/storage/index.js';
+
+const VIEW_LABELS = {
+  active: 'Conversations',
+  archived: 'Archived',
+  deleted: 'Recently deleted'
+};
+
+/**
+ * Manages the selection menu next to "Select All", the "Selected" tab and the selection count in the footer
+ * Offers invert, select every conversation matching the current filters and search (loading the
+ * pages not fetched yet) and select by rule (age, title pattern, tag), evaluated like retention rules.
+ * Selections can be saved under a name and restored later, in the view they were made in.
+ * Shift-click ranges are handled by ConversationsManager with the rows.
+ */
+export class SelectionManager {
+  /**
+   * Creates a new SelectionManager instance
+   * @param {ConversationsManager} conversationsManager - Owns the selection and the rows
+   * @param {ActionsManager} actionsManager - Closes the other dropdowns when the menu opens
+   * @param {ToastManager} toastManager - Reports what was selected
+   */
+  constructor(conversationsManager, actionsManager, toastManager) {
+    this.conversationsManager = conversationsManager;
+    this.actionsManager = actionsManager;
+    this.toastManager = toastManager;
+    this.isSelectingAll = false;
+
+    this.selector = document.getElementById('selection-selector');
+    this.menuButton = document.getElementById('selection-menu-btn');
+    this.statusElement = document.getElementById('selection-status');
+    this.viewTabs = document.getElementById('view-tabs');
+    this.selectedTab = document.getElementById('selected-view-tab');
+    this.selectedTabCount = document.getElementById('selected-view-count');
+
+    if (this.menuButton) {
+      this.menuButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggleMenu();
+      });
+
+      this.selector.querySelectorAll('[data-selection-command]').forEach(option => {
+        option.addEventListener('click', () => {
+          this.closeMenu();
+          this.runCommand(option.dataset.selectionCommand);
+        });
+      });
+
+      document.addEventListener('click', (e) => {
+        if (!e.target.closest('.selection-selector')) {
+          this.closeMenu();
+        }
+      });
+    }
+
+    if (this.selectedTab) {
+      this.selectedTab.addEventListener('click', () => {
+        this.conversationsManager.setShowingSelection(!this.conversationsManager.isShowingSelection());
+      });
+
+      // Going back to a view tab (or searching) leaves the "Selected" list
+      this.viewTabs.querySelectorAll('.view-tab[data-view]').forEach(tab => {
+        tab.addEventListener('click', () => this.conversationsManager.setShowingSelection(false));
+      });
+      document.getElementById('search-input')?.addEventListener('input', () => {
+        this.conversationsManager.setShowingSelection(false);
+      });
+    }
+
+    this.conversationsManager.setOnSelectionChanged(() => this.updateStatus());
+  }
+
+  /**
+   * @private
+   */
+  toggleMenu() {
+    const isOpen = this.selector.classList.contains('open');
+    this.actionsManager?.closeAllSelectors();
+    this.selector.classList.toggle('open', !isOpen);
+  }
+
+  /**
+   * @private
+   */
+  closeMenu() {
+    this.selector?.classList.remove('open');
+  }
+
+  /**
+   * @param {string} command - "invert", "all-matching", "rule", "save" or "saved"
+   * @private
+   */
+  runCommand(command) {
+    switch (command) {
+      case 'invert':
+        this.conversationsManager.invertSelection();
+        break;
+      case 'all-matching':
+        this.selectAllMatching();
+        break;
+      case 'rule':
+        this.showRuleDialog();
+        break;
+      case 'save':
+        this.showSaveDialog();
+        break;
+      case 'saved':
+        this.showSavedSelectionsDialog();
+        break;
+    }
+  }
+
+  /**
+   * Selects every conversation matching the current filters and search, including pages not loaded yet
+   * @private
+   */
+  async selectAllMatching() {
+    if (this.isSelectingAll) return;
+    this.isSelectingAll = true;
+    this.toastManager?.info('Loading every matching conversation...');
+
+    try {
+      const conversations = await this.conversationsManager.getAllMatchingConversations();
+      this.conversationsManager.updateSelection(conversations.map(conversation => conversation.id));
+      this.toastManager?.success(`Selected ${conversations.length} matching conversation(s)`);
+    } catch (error) {
+      console.error('Failed to select all matching conversations:', error);
+      this.toastManager?.error('Failed to load every matching conversation');
+    } finally {
+      this.isSelectingAll = false;
+    }
+  }
+
+  /**
+   * Shows the select by rule dialog
+   * @private
+   */
+  showRuleDialog() {
+    const tagOptions = this.conversationsManager.getTagNames()
+      .map(tag => `<option value="${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</option>`)
+      .join('');
+
+    const modalHTML = `
+      <div class="confirm-modal selection-rule-dialog-overlay">
+        <div class="confirm-modal-content selection-rule-dialog">
+          <h3>Select by Rule</h3>
+          <p>Among the conversations matching the current search and filters.</p>
+          <div class="rename-fields">
+            <label>Older than (days, 0 for any age)
+              <input type="number" class="rename-input" data-field="olderThanDays" min="0" step="1" value="0">
+            </label>
+            <label>Age counted from
+              <select class="rename-input" data-field="ageField">
+                <option value="${RETENTION_AGE_FIELDS.CREATED}">Creation</option>
+                <option value="${RETENTION_AGE_FIELDS.MODIFIED}">Last update</option>
+              </select>
+            </label>
+            <label>Title pattern (regular expression)
+              <input type="text" class="rename-input" data-field="titlePattern" placeholder="Any title" autocomplete="off">
+            </label>
+            <label>Tag
+              <select class="rename-input" data-field="tag">
+                <option value="">Any</option>
+                ${tagOptions}
+              </select>
+            </label>
+            <label>Look in
+              <select class="rename-input" data-field="scope">
+                <option value="loaded">Loaded conversations</option>
+                <option value="all">Every page (loads the rest)</option>
+              </select>
+            </label>
+            <label>Selection
+              <select class="rename-input" data-field="mode">
+                <option value="add">Add to the selection</option>
+                <option value="replace">Replace the selection</option>
+              </select>
+            </label>
+          </div>
+          <div class="rename-error" style="display: none;"></div>
+          <div class="confirm-modal-actions">
+            <button class="action-btn secondary" id="selection-rule-cancel">Cancel</button>
+            <button class="action-btn" id="selection-rule-ok">Select</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+    const modal = document.querySelector('.selection-rule-dialog-overlay');
+    const errorElement = modal.querySelector('.rename-error');
+    const confirmButton = modal.querySelector('#selection-rule-ok');
+    const close = () => modal.remove();
+
+    const getOptions = () => {
+      const options = {};
+      modal.querySelectorAll('[data-field]').forEach(input => {
+        options[input.dataset.field] = input.type === 'number' ? Number(input.value) : input.value.trim();
+      });
+      return options;
+    };
+
+    const select = async () => {
+      const options = getOptions();
+      const error = this.validateRule(options);
+      if (error) {
+        errorElement.textContent = error;
+        errorElement.style.display = 'block';
+        return;
+      }
+
+      confirmButton.disabled = true;
+      confirmButton.textContent = 'Selecting...';
+      try {
+        await this.selectByRule(options);
+        close();
+      } catch (selectError) {
+        console.error('Failed to select by rule:', selectError);
+        errorElement.textContent = `Failed to load the conversations: ${selectError.message}`;
+        errorElement.style.display = 'block';
+        confirmButton.disabled = false;
+        confirmButton.textContent = 'Select';
+      }
+    };
+
+    confirmButton.addEventListener('click', select);
+    modal.querySelector('#selection-rule-cancel').addEventListener('click', close);
+    modal.addEventListener('click', (event) => {
+      if (event.target === modal) {
+        close();
+      }
+    });
+    modal.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        // Keep the manager open, only close the dialog
+        event.stopPropagation();
+        close();
+      } else if (event.key === 'Enter' && event.target.tagName === 'INPUT') {
+        select();
+      }
+    });
+
+    modal.querySelector('[data-field="olderThanDays"]').focus();
+  }
+
+  /**
+   * @param {Object} options - Dialog values
+   * @returns {string|null} What is wrong with the rule, null if it can run
+   * @private
+   */
+  validateRule({ olderThanDays, titlePattern }) {
+    if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+      return 'Age must be a whole number of days';
+    }
+
+    try {
+      new RegExp(titlePattern, 'i');
+    } catch (error) {
+      return `Invalid title pattern: ${error.message}`;
+    }
+    return null;
+  }
+
+  /**
+   * Selects the conversations matching a rule
+   * @param {Object} options - Dialog values: olderThanDays, ageField, titlePattern, tag, scope, mode
+   * @private
+   */
+  async selectByRule({ olderThanDays, ageField, titlePattern, tag, scope, mode }) {
+    const rule = new RetentionRule({
+      enabled: true,
+      action: RETENTION_ACTIONS.DELETE, // Any action but archive, which skips archived conversations
+      status: RETENTION_STATUSES.ANY,
+      olderThanDays,
+      ageField,
+      titlePattern,
+      tag
+    });
+
+    const conversations = scope === 'all'
+      ? await this.conversationsManager.getAllMatchingConversations()
+      : this.conversationsManager.getMatchingConversations(this.conversationsManager.getCurrentSearchTerm());
+    const archived = this.conversationsManager.getView() === 'archived';
+    const now = Date.now();
+
+    const matchedIds = conversations
+      .filter(conversation => rule.matches(conversation.toSummary(), {
+        archived,
+        tags: this.conversationsManager.getTags(conversation.id),
+        now
+      }))
+      .map(conversation => conversation.id);
+
+    const matchedIdSet = new Set(matchedIds);
+    const deselectIds = mode === 'replace'
+      ? Array.from(this.conversationsManager.selectedConversations).filter(id => !matchedIdSet.has(id))
+      : [];
+    this.conversationsManager.updateSelection(matchedIds, deselectIds);
+    this.toastManager?.success(`${matchedIds.length} conversation(s) match the rule`);
+  }
+
+  /**
+   * Shows the dialog naming the current selection to save it
+   * @private
+   */
+  showSaveDialog() {
+    const conversations = this.conversationsManager.getSelectionSummaries();
+    if (conversations.length === 0) {
+      this.toastManager?.warning('Select conversations to save first');
+      return;
+    }
+
+    const view = this.conversationsManager.getView();
+    const modalHTML = `
+      <div class="confirm-modal save-selection-dialog-overlay">
+        <div class="confirm-modal-content">
+          <h3>Save Selection</h3>
+          <p>${conversations.length} conversation(s) from ${this.escapeHtml(VIEW_LABELS[view] || view)}. Saving under an existing name replaces that selection.</p>
+          <div class="rename-fields">
+            <label>Name
+              <input type="text" class="rename-input" id="save-selection-name" maxlength="80" autocomplete="off">
+            </label>
+          </div>
+          <div class="rename-error" style="display: none;"></div>
+          <div class="confirm-modal-actions">
+            <button class="action-btn secondary" id="save-selection-cancel">Cancel</button>
+            <button class="action-btn" id="save-selection-ok">Save</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+    const modal = document.querySelector('.save-selection-dialog-overlay');
+    const nameInput = modal.querySelector('#save-selection-name');
+    const errorElement = modal.querySelector('.rename-error');
+    const close = () => modal.remove();
+
+    const showError = (message) => {
+      errorElement.textContent = message;
+      errorElement.style.display = 'block';
+    };
+
+    const save = async () => {
+      const name = nameInput.value.trim();
+      if (!name) {
+        showError('Enter a name');
+        return;
+      }
+
+      try {
+        await SavedSelectionStorage.saveSelection({ name, view, conversations });
+        close();
+        this.toastManager?.success(`Saved "${name}"`);
+      } catch (error) {
+        console.error('Failed to save the selection:', error);
+        showError(error.message);
+      }
+    };
+
+    modal.querySelector('#save-selection-ok').addEventListener('click', save);
+    modal.querySelector('#save-selection-cancel').addEventListener('click', close);
+    modal.addEventListener('click', (event) => {
+      if (event.target === modal) {
+        close();
+      }
+    });
+    modal.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        // Keep the manager open, only close the dialog
+        event.stopPropagation();
+        close();
+      } else if (event.key === 'Enter' && event.target === nameInput) {
+        save();
+      }
+    });
+
+    nameInput.focus();
+  }
+
+  /**
+   * Lists the saved selections to restore or remove them
+   * @private
+   */
+  async showSavedSelectionsDialog() {
+    let selections;
+    try {
+      selections = await SavedSelectionStorage.getSelections();
+    } catch (error) {
+      console.error('Failed to load the saved selections:', error);
+      this.toastManager?.error('Failed to load the saved selections');
+      return;
+    }
+
+    const rowsHTML = selections.length > 0
+      ? selections.map((selection, index) => `
+          <div class="saved-selection-row" data-index="${index}">
+            <div class="saved-selection-info">
+              <span class="saved-selection-name">${this.escapeHtml(selection.name)}</span>
+              <span class="saved-selection-meta">
+                ${selection.conversations.length} conversation(s) · ${this.escapeHtml(VIEW_LABELS[selection.view] || selection.view)} · ${this.escapeHtml(new Date(selection.savedAt).toLocaleString())}
+              </span>
+            </div>
+            <button class="action-btn" data-saved-selection-action="restore">Restore</button>
+            <button class="action-btn secondary" data-saved-selection-action="delete">Delete</button>
+          </div>
+        `).join('')
+      : '<span class="saved-selection-empty">No saved selections yet</span>';
+
+    const modalHTML = `
+      <div class="confirm-modal saved-selections-dialog-overlay">
+        <div class="confirm-modal-content saved-selections-dialog">
+          <h3>Saved Selections</h3>
+          <p>Restoring replaces the current selection and switches to the view it was saved in.</p>
+          <div class="saved-selection-list">${rowsHTML}</div>
+          <div class="confirm-modal-actions">
+            <button class="action-btn secondary" id="saved-selections-close">Close</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+    const modal = document.querySelector('.saved-selections-dialog-overlay');
+    const closeButton = modal.querySelector('#saved-selections-close');
+    const close = () => modal.remove();
+
+    modal.querySelector('.saved-selection-list').addEventListener('click', async (event) => {
+      const button = event.target.closest('[data-saved-selection-action]');
+      const row = event.target.closest('.saved-selection-row');
+      if (!button || !row) return;
+
+      const selection = selections[Number(row.dataset.index)];
+      if (button.dataset.savedSelectionAction === 'restore') {
+        close();
+        await this.restoreSavedSelection(selection);
+        return;
+      }
+
+      try {
+        await SavedSelectionStorage.deleteSelection(selection.name);
+        row.remove();
+      } catch (error) {
+        console.error('Failed to delete the saved selection:', error);
+        this.toastManager?.error('Failed to delete the saved selection');
+      }
+    });
+
+    closeButton.addEventListener('click', close);
+    modal.addEventListener('click', (event) => {
+      if (event.target === modal) {
+        close();
+      }
+    });
+    modal.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        // Keep the manager open, only close the dialog
+        event.stopPropagation();
+        close();
+      }
+    });
+
+    closeButton.focus();
+  }
+
+  /**
+   * Switches to the view a selection was saved in and selects its conversations
+   * @param {Object} selection - Saved selection
+   * @private
+   */
+  async restoreSavedSelection(selection) {
+    if (selection.view !== this.conversationsManager.getView()) {
+      await this.actionsManager?.handleViewChange(selection.view);
+    }
+
+    this.conversationsManager.restoreSelection(selection.conversations);
+    this.conversationsManager.setShowingSelection(true);
+    this.toastManager?.success(`Restored "${selection.name}" (${selection.conversations.length} conversation(s))`);
+  }
+
+  /**
+   * Shows how many conversations are selected and how many of them are not displayed
+   * @private
+   */
+  updateStatus() {
+    this.updateSelectedTab();
+    if (!this.statusElement) return;
+
+    const selectedCount = this.conversationsManager.getSelectedConversationsCount();
+    if (selectedCount === 0) {
+      this.statusElement.style.display = 'none';
+      return;
+    }
+
+    const offscreenCount = this.conversationsManager.getOffscreenSelectedCount();
+    this.statusElement.textContent = offscreenCount > 0
+      ? `${selectedCount} selected (${offscreenCount} not shown)`
+      : `${selectedCount} selected`;
+    this.statusElement.title = offscreenCount > 0
+      ? 'Some selected conversations are hidden by the search or filters, or not loaded yet; actions still apply to them'
+      : '';
+    this.statusElement.style.display = '';
+  }
+
+  /**
+   * Keeps the "Selected" tab count and highlight in step with the selection
+   * @private
+   */
+  updateSelectedTab() {
+    if (!this.selectedTab) return;
+
+    const showing = this.conversationsManager.isShowingSelection();
+    this.selectedTabCount.textContent = `(${this.conversationsManager.getSelectedConversationsCount()})`;
+    this.selectedTab.classList.toggle('active', showing);
+    this.viewTabs.classList.toggle('showing-selection', showing);
+  }
+
+  /**
+   * @param {string} text - Text to escape
+   * @returns {string} HTML-safe text (also safe inside quoted attributes)
+   * @private
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+}
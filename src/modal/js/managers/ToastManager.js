@@ -53,8 +53,10 @@ export class ToastManager {
    * @param {string} message - The toast message
    * @param {string} type - Toast type (success, error, warning, info)
    * @param {number} duration - Duration in milliseconds (default: 3000)
+   * @param {{label: string, onClick: Function}|null} action - Optional button shown next to the message
+   * @returns {HTMLElement} The toast element
    */
-  show(message, type = 'info', duration = 3000) {
+  show(message, type = 'info', duration = 3000, action = null) {
     const toast = document.createElement('div');
     toast.className = `toast toast-${type}`;
     toast.textContent = message;
@@ -82,6 +84,10 @@ export class ToastManager {
     };
     toast.style.backgroundColor = colors[type] || colors.info;
     
+    if (action) {
+      toast.appendChild(this.createActionButton(toast, action, duration));
+    }
+    
     this.toastContainer.appendChild(toast);
     
     // Animate in
@@ -93,6 +99,50 @@ export class ToastManager {
     setTimeout(() => {
       this.removeToast(toast);
     }, duration);
+    
+    return toast;
+  }
+
+  /**
+   * Creates the action button of a toast, with a countdown of the remaining time
+   * @param {HTMLElement} toast - The toast the button belongs to
+   * @param {{label: string, onClick: Function}} action - Button label and click handler
+   * @param {number} duration - Time the toast stays visible in milliseconds
+   * @returns {HTMLElement} The button element
+   * @private
+   */
+  createActionButton(toast, action, duration) {
+    const button = document.createElement('button');
+    button.className = 'toast-action-btn';
+    button.style.cssText = `
+      margin-left: 12px;
+      padding: 2px 8px;
+      border: 1px solid rgba(255, 255, 255, 0.7);
+      border-radius: 4px;
+      background: transparent;
+      color: white;
+      font-size: 12px;
+      font-weight: 600;
+      font-family: inherit;
+      cursor: pointer;
+    `;
+    
+    const deadline = Date.now() + duration;
+    const updateLabel = () => {
+      const secondsLeft = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      button.textContent = `${action.label} (${secondsLeft}s)`;
+    };
+    updateLabel();
+    const countdown = setInterval(updateLabel, 1000);
+    setTimeout(() => clearInterval(countdown), duration);
+    
+    button.addEventListener('click', () => {
+      clearInterval(countdown);
+      this.removeToast(toast);
+      action.onClick();
+    }, { once: true });
+    
+    return button;
   }
 
   /**
@@ -136,6 +186,16 @@ export class ToastManager {
     this.show(message, 'warning', duration);
   }
 
+  /**
+   * Shows a success toast with an Undo button
+   * @param {string} message - The message describing what can be undone
+   * @param {Function} onUndo - Called when the Undo button is clicked
+   * @param {number} duration - How long the undo is offered in milliseconds
+   */
+  undo(message, onUndo, duration) {
+    this.show(message, 'success', duration, { label: 'Undo', onClick: onUndo });
+  }
+
   /**
    * Shows an info toast
    * @param {string} message - The info message
@@ -4,6 +4,10 @@ import { ThemeManager } from './managers/ThemeManager.js';
 import { ActionsManager } from './managers/ActionsManager.js';
 import { ConversationsManager } from './managers/ConversationsManager.js';
 import { ToastManager } from './managers/ToastManager.js';
+import { ProgressManager } from './managers/ProgressManager.js';
+import { DuplicatesManager } from './managers/DuplicatesManager.js';
+import { KeyboardManager } from './managers/KeyboardManager.js';
+import { SelectionManager } from './managers/SelectionManager.js';
 
 const COMPONENT_PATHS = {
   HEADER: chrome.runtime.getURL('src/modal/components/header/Header.html'),
@@ -45,6 +49,7 @@ async function initialize() {
   settings = await loadSettings();
   
   initializeManagers();
+  getManager('actions').resumeBulkJobs();
   await startConversations();
 }
 
@@ -64,15 +69,32 @@ function initializeManagers() {
   const toastManager = new ToastManager();
   registerManager('toast', toastManager);
   
+  const progressManager = new ProgressManager();
+  registerManager('progress', progressManager);
+  
   const conversationsManager = new ConversationsManager(getSetting('batchSize'));
+  conversationsManager.setActivityWindows(getSetting('newWindowHours'), getSetting('updatedWindowHours'));
   registerManager('conversations', conversationsManager);
   
-  const actionsManager = new ActionsManager(getSetting('preventDelete'), getSetting('preventArchive'), toastManager, conversationsManager);
+  const actionsManager = new ActionsManager(
+    getSetting('preventDelete'),
+    getSetting('preventArchive'),
+    toastManager,
+    conversationsManager,
+    getSetting('undoWindow'),
+    progressManager
+  );
   registerManager('actions', actionsManager);
   
   // Establish bidirectional communication
   conversationsManager.setActionsManager(actionsManager);
   
+  registerManager('duplicates', new DuplicatesManager(conversationsManager, actionsManager));
+  
+  registerManager('selection', new SelectionManager(conversationsManager, actionsManager, toastManager));
+  
+  registerManager('keyboard', new KeyboardManager(conversationsManager, actionsManager, getSetting('keyboardShortcuts')));
+  
   registerManager('theme', new ThemeManager(getSetting('theme')));
 }
 
@@ -146,6 +168,7 @@ async function startConversations() {
  * Closes the modal by sending message to parent
  */
 function closeModal() {
+  getManager('conversations')?.cancelPendingRequests();
   window.parent.postMessage({ type: 'CLOSE_MODAL' }, '*');
 }
 
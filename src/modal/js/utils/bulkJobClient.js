@@ -0,0 +1,127 @@
+// ============================================================================
+// Bulk Job Client
+// ============================================================================
+
+import { BULK_JOB_STATUS, BULK_JOB_MESSAGES } from '../../../js/constants/index.js';
+
+/**
+ * Submits bulk jobs to the background service worker and follows their progress
+ * Jobs keep running when the modal closes; a reopened modal can attach to them again
+ */
+export class BulkJobClient {
+  constructor() {
+    // jobId -> { onProgress, resolve }
+    this.watchers = new Map();
+    chrome.runtime.onMessage.addListener(this.handleMessage.bind(this));
+  }
+
+  /**
+   * Runs a job in the background and waits for it to finish
+   * @param {string} type - One of BULK_JOB_TYPES
+   * @param {Array<Object>} items - Items to process, each with at least an id
+   * @param {Object} options - Run options
+   * @param {Function} options.onProgress - Called with (done, total)
+   * @param {AbortSignal|null} options.signal - Cancels the job
+   * @returns {Promise<Array<{item: Object, status: string, error?: Object}>>} One result per item, in order
+   */
+  async run(type, items, { onProgress = () => {}, signal = null } = {}) {
+    const jobId = crypto.randomUUID();
+    // Watch before submitting: the worker may report before the response arrives
+    const finished = this.addWatcher(jobId, { onProgress, signal });
+    
+    const response = await chrome.runtime.sendMessage({
+      action: BULK_JOB_MESSAGES.START,
+      job: { id: jobId, type, items }
+    });
+    if (!response?.success) {
+      this.watchers.delete(jobId);
+      throw new Error(response?.error || 'Failed to start bulk job');
+    }
+    
+    return finished;
+  }
+
+  /**
+   * Follows a job that is already running
+   * @param {string} jobId - Job ID
+   * @param {Object} options - Same as run()
+   * @returns {Promise<Array<Object>>} One result per item, in order
+   */
+  watch(jobId, options = {}) {
+    const finished = this.addWatcher(jobId, options);
+    // The job may have finished since it was listed, its FINISHED broadcast is gone then
+    this.resolveIfFinished(jobId);
+    return finished;
+  }
+
+  /**
+   * @param {string} jobId - Job ID
+   * @param {Object} options - Same as run()
+   * @returns {Promise<Array<Object>>} Settles with the FINISHED broadcast of the job
+   * @private
+   */
+  addWatcher(jobId, { onProgress = () => {}, signal = null } = {}) {
+    signal?.addEventListener('abort', () => {
+      chrome.runtime.sendMessage({ action: BULK_JOB_MESSAGES.CANCEL, jobId });
+    }, { once: true });
+    
+    return new Promise(resolve => {
+      this.watchers.set(jobId, { onProgress, resolve });
+    });
+  }
+
+  /**
+   * Resolves the watcher of a job that is already completed or cancelled
+   * @param {string} jobId - Job ID
+   * @private
+   */
+  async resolveIfFinished(jobId) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: BULK_JOB_MESSAGES.GET });
+      const job = (response?.jobs || []).find(entry => entry.id === jobId);
+      const watcher = this.watchers.get(jobId);
+      if (!watcher || (job && (job.status === BULK_JOB_STATUS.QUEUED || job.status === BULK_JOB_STATUS.RUNNING))) return;
+      
+      // A job missing from the list finished long enough ago to be dropped
+      this.watchers.delete(jobId);
+      watcher.resolve(job ? this.getResults(job) : []);
+    } catch (error) {
+      console.error('Failed to check the bulk job status:', error);
+    }
+  }
+
+  /**
+   * Gets the jobs that are queued or running
+   * @returns {Promise<Array<Object>>} Unfinished jobs, oldest first
+   */
+  async getActiveJobs() {
+    const response = await chrome.runtime.sendMessage({ action: BULK_JOB_MESSAGES.GET });
+    const jobs = response?.jobs || [];
+    return jobs.filter(job => job.status === BULK_JOB_STATUS.QUEUED || job.status === BULK_JOB_STATUS.RUNNING);
+  }
+
+  /**
+   * @param {Object} message - Runtime message
+   * @private
+   */
+  handleMessage(message) {
+    if (message.action === BULK_JOB_MESSAGES.PROGRESS) {
+      this.watchers.get(message.jobId)?.onProgress(message.done, message.total);
+    } else if (message.action === BULK_JOB_MESSAGES.FINISHED) {
+      const watcher = this.watchers.get(message.job.id);
+      if (watcher) {
+        this.watchers.delete(message.job.id);
+        watcher.resolve(this.getResults(message.job));
+      }
+    }
+  }
+
+  /**
+   * @param {Object} job - Finished job
+   * @returns {Array<{item: Object, status: string, error?: Object}>} Results in executor shape
+   * @private
+   */
+  getResults(job) {
+    return job.items.map((item, index) => ({ item, ...job.results[index] }));
+  }
+}
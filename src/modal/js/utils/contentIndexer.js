@@ -0,0 +1,237 @@
+// ============================================================================
+// Content Indexer
+// ============================================================================
+
+import { PaginatedDataFetcher } from './paginatedFetcher.js';
+import { ConversationExporter } from './exporter.js';
+import { chatGPTClient } from '../../../js/utils/index.js';
+import { SearchIndexStorage } from '../../../js/storage/index.js';
+
+const LIST_PAGE_SIZE = 100;
+const SNIPPET_CONTEXT_BEFORE = 60;
+const SNIPPET_CONTEXT_AFTER = 120;
+
+/**
+ * Lists raw conversation summaries (no transformation) for indexing
+ */
+class ConversationListFetcher extends PaginatedDataFetcher {
+  constructor(client, archived = false) {
+    super(
+      '/conversations',
+      client,
+      item => item.id,
+      archived ? { is_archived: true } : {}
+    );
+  }
+}
+
+/**
+ * Keeps a local full-text index of conversation messages and searches it
+ * Conversations are re-fetched only when their update_time changed since they were indexed
+ */
+export class ContentIndexer {
+  /**
+   * @param {ChatGPTClient} client - Client used to list conversations
+   * @param {ConversationExporter} exporter - Used to fetch and linearise conversation bodies
+   */
+  constructor(client = chatGPTClient, exporter = new ConversationExporter(client)) {
+    this.client = client;
+    this.exporter = exporter;
+    this.syncPromise = null;
+    this.cachedEntries = null;
+  }
+
+  /**
+   * Brings the index up to date; concurrent calls share the same run
+   * @param {Function} onProgress - Called with (done, total) as stale conversations are indexed
+   * @returns {Promise<number>} Number of conversations (re)indexed
+   */
+  sync(onProgress = () => {}) {
+    if (!this.syncPromise) {
+      this.syncPromise = this.runSync(onProgress).finally(() => {
+        this.syncPromise = null;
+        this.cachedEntries = null;
+      });
+    }
+
+    return this.syncPromise;
+  }
+
+  /**
+   * Whether a sync is currently running
+   * @returns {boolean} True while indexing
+   */
+  isSyncing() {
+    return this.syncPromise !== null;
+  }
+
+  /**
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<number>} Number of conversations (re)indexed
+   * @private
+   */
+  async runSync(onProgress) {
+    const summaries = [
+      ...await this.listConversations(false),
+      ...await this.listConversations(true)
+    ];
+    const indexedVersions = await SearchIndexStorage.getIndexedVersions();
+
+    // Drop conversations that no longer exist (or were deleted)
+    const currentIds = new Set(summaries.map(summary => summary.id));
+    const removedIds = Array.from(indexedVersions.keys()).filter(id => !currentIds.has(id));
+    await SearchIndexStorage.removeEntries(removedIds);
+
+    const staleSummaries = summaries.filter(summary => indexedVersions.get(summary.id) !== summary.update_time);
+    let done = 0;
+    onProgress(done, staleSummaries.length);
+
+    for (const summary of staleSummaries) {
+      try {
+        await this.indexConversation(summary);
+      } catch (error) {
+        console.error(`Failed to index conversation ${summary.id}:`, error);
+      }
+      onProgress(++done, staleSummaries.length);
+    }
+
+    return staleSummaries.length;
+  }
+
+  /**
+   * @param {boolean} archived - Whether to list archived conversations
+   * @returns {Promise<Array<Object>>} Raw summaries with is_archived set
+   * @private
+   */
+  async listConversations(archived) {
+    const fetcher = new ConversationListFetcher(this.client, archived);
+    const items = await fetcher.fetchPaginatedData(Infinity, LIST_PAGE_SIZE);
+    return items.map(item => ({ ...item, is_archived: archived }));
+  }
+
+  /**
+   * Fetches a conversation body and stores its current branch text
+   * @param {Object} summary - Raw conversation summary from the list endpoint
+   * @private
+   */
+  async indexConversation(summary) {
+    const conversation = await this.exporter.fetchConversation(summary.id);
+    const messages = this.exporter.getCurrentBranch(conversation);
+    const text = messages.map(message => message.text).join('\n\n');
+
+    await SearchIndexStorage.putEntry({
+      id: summary.id,
+      title: summary.title || '',
+      create_time: summary.create_time,
+      update_time: summary.update_time,
+      is_archived: summary.is_archived,
+      default_model_slug: conversation.default_model_slug || summary.default_model_slug || null,
+      message_count: messages.length,
+      text
+    });
+  }
+
+  /**
+   * Gets what the index knows about conversations beyond the list endpoint
+   * @returns {Promise<Map<string, {model: string|null, messageCount: number|null}>>} Details by conversation ID
+   */
+  async getDetails() {
+    if (!this.cachedEntries) {
+      this.cachedEntries = await SearchIndexStorage.getEntries();
+    }
+    
+    return new Map(this.cachedEntries.map(entry => [entry.id, {
+      model: entry.default_model_slug || null,
+      messageCount: entry.message_count ?? null
+    }]));
+  }
+
+  /**
+   * Searches indexed message text and titles
+   * Every word of the query must appear; title hits and exact phrase hits rank higher
+   * @param {string} query - Search query
+   * @param {number} limit - Maximum number of results
+   * @returns {Promise<Array<{entry: Object, score: number, snippet: string}>>} Ranked results
+   */
+  async search(query, limit = 200) {
+    const phrase = query.toLowerCase().trim();
+    const terms = phrase.split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+
+    if (!this.cachedEntries) {
+      this.cachedEntries = await SearchIndexStorage.getEntries();
+    }
+
+    const results = [];
+
+    for (const entry of this.cachedEntries) {
+      const title = entry.title.toLowerCase();
+      const text = entry.text.toLowerCase();
+      let score = 0;
+      let matchesAll = true;
+
+      for (const term of terms) {
+        const titleHits = this.countOccurrences(title, term);
+        const textHits = this.countOccurrences(text, term);
+        if (titleHits === 0 && textHits === 0) {
+          matchesAll = false;
+          break;
+        }
+        score += titleHits * 10 + Math.min(textHits, 20);
+      }
+
+      if (!matchesAll) continue;
+
+      if (terms.length > 1 && (title.includes(phrase) || text.includes(phrase))) {
+        score += 15;
+      }
+
+      results.push({ entry, score, snippet: this.getSnippet(entry.text, text, terms, phrase) });
+    }
+
+    results.sort((a, b) => b.score - a.score || new Date(b.entry.update_time) - new Date(a.entry.update_time));
+    return results.slice(0, limit);
+  }
+
+  /**
+   * @param {string} text - Lowercased text
+   * @param {string} term - Lowercased term
+   * @returns {number} Number of non-overlapping occurrences
+   * @private
+   */
+  countOccurrences(text, term) {
+    let count = 0;
+    let index = text.indexOf(term);
+    while (index !== -1) {
+      count++;
+      index = text.indexOf(term, index + term.length);
+    }
+    return count;
+  }
+
+  /**
+   * Extracts the passage around the first hit (the phrase if present, otherwise the earliest term)
+   * @param {string} text - Original message text
+   * @param {string} lowerText - Lowercased message text
+   * @param {Array<string>} terms - Lowercased query terms
+   * @param {string} phrase - Lowercased full query
+   * @returns {string} Snippet (plain text)
+   * @private
+   */
+  getSnippet(text, lowerText, terms, phrase) {
+    let position = lowerText.indexOf(phrase);
+
+    if (position === -1) {
+      const positions = terms
+        .map(term => lowerText.indexOf(term))
+        .filter(index => index !== -1);
+      position = positions.length > 0 ? Math.min(...positions) : 0;
+    }
+
+    const start = Math.max(0, position - SNIPPET_CONTEXT_BEFORE);
+    const end = Math.min(text.length, position + SNIPPET_CONTEXT_AFTER);
+    const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+  }
+}
@@ -0,0 +1,175 @@
+// ============================================================================
+// Conversation Filter
+// ============================================================================
+
+const NEGATION_PREFIX = '-';
+const RANGE_SEPARATOR = '..';
+
+/**
+ * How the positive filters combine
+ */
+export const FILTER_MODES = {
+  ANY: 'inclusive', // A conversation matching any filter is shown
+  ALL: 'exclusive'  // A conversation must match every filter
+};
+
+/**
+ * Fields a date range filter can apply to, mapped to the conversation property they read
+ */
+export const DATE_RANGE_FIELDS = {
+  created: 'date',
+  modified: 'updateTime'
+};
+
+/**
+ * Evaluates the filters selected in the filter dropdown
+ *
+ * Filters are strings:
+ *   new, updated, other                  activity within the configured windows
+ *   tag:<name>                           has a local tag
+ *   created:<from>..<to>, modified:...   date range (YYYY-MM-DD, either end may be empty, both inclusive)
+ * A leading "-" negates a filter. Positive filters are combined by the mode (any/all),
+ * negated ones always exclude what they match.
+ */
+export class ConversationFilter {
+  /**
+   * @param {Array<string>} filters - Active filters
+   * @param {string} mode - One of FILTER_MODES
+   * @param {Function} getTags - Returns the local tags of a conversation ID
+   */
+  constructor(filters = [], mode = FILTER_MODES.ANY, getTags = () => []) {
+    this.mode = mode;
+    this.getTags = getTags;
+    this.includes = [];
+    this.excludes = [];
+
+    for (const filter of filters) {
+      const test = this.createTest(ConversationFilter.getBase(filter));
+      if (!test) continue;
+
+      if (ConversationFilter.isNegated(filter)) {
+        this.excludes.push(test);
+      } else {
+        this.includes.push(test);
+      }
+    }
+  }
+
+  /**
+   * Whether no filter applies
+   * @returns {boolean} True if every conversation matches
+   */
+  isEmpty() {
+    return this.includes.length === 0 && this.excludes.length === 0;
+  }
+
+  /**
+   * Tests a conversation against the filters
+   * @param {Object} conversation - Conversation with id, date, updateTime, isNew and isRecentlyModified
+   * @returns {boolean} True if the conversation passes
+   */
+  matches(conversation) {
+    if (this.excludes.some(test => test(conversation))) {
+      return false;
+    }
+    if (this.includes.length === 0) {
+      return true;
+    }
+
+    return this.mode === FILTER_MODES.ALL
+      ? this.includes.every(test => test(conversation))
+      : this.includes.some(test => test(conversation));
+  }
+
+  // ==========================================================================
+  // Filter strings
+  // ==========================================================================
+
+  /**
+   * @param {string} filter - Filter string
+   * @returns {boolean} True if the filter excludes what it matches
+   */
+  static isNegated(filter) {
+    return filter.startsWith(NEGATION_PREFIX);
+  }
+
+  /**
+   * @param {string} filter - Filter string
+   * @returns {string} The filter without its negation
+   */
+  static getBase(filter) {
+    return ConversationFilter.isNegated(filter) ? filter.slice(NEGATION_PREFIX.length) : filter;
+  }
+
+  /**
+   * @param {string} filter - Filter string (not negated)
+   * @returns {string} The negated filter
+   */
+  static negate(filter) {
+    return `${NEGATION_PREFIX}${filter}`;
+  }
+
+  /**
+   * Builds a date range filter
+   * @param {string} field - A key of DATE_RANGE_FIELDS
+   * @param {string} from - First day (YYYY-MM-DD) or empty for no lower bound
+   * @param {string} to - Last day (YYYY-MM-DD) or empty for no upper bound
+   * @returns {string} Filter string
+   */
+  static createDateRange(field, from, to) {
+    return `${field}:${from || ''}${RANGE_SEPARATOR}${to || ''}`;
+  }
+
+  /**
+   * @param {string} filter - Filter string (not negated)
+   * @returns {{field: string, from: string, to: string}|null} The range, null if the filter is not a date range
+   */
+  static parseDateRange(filter) {
+    const match = /^(\w+):([\d-]*)\.\.([\d-]*)$/.exec(filter);
+    if (!match || !DATE_RANGE_FIELDS[match[1]]) return null;
+    return { field: match[1], from: match[2], to: match[3] };
+  }
+
+  /**
+   * @param {string} filter - Filter string (not negated)
+   * @returns {Function|null} Test for a conversation, null for unknown filters
+   * @private
+   */
+  createTest(filter) {
+    switch (filter) {
+      case 'new':
+        return conversation => conversation.isNew;
+      case 'updated':
+        return conversation => conversation.isRecentlyModified;
+      case 'other':
+        return conversation => !conversation.isNew && !conversation.isRecentlyModified;
+    }
+
+    if (filter.startsWith('tag:')) {
+      const tag = filter.slice('tag:'.length);
+      return conversation => this.getTags(conversation.id).includes(tag);
+    }
+
+    const range = ConversationFilter.parseDateRange(filter);
+    if (range) {
+      const property = DATE_RANGE_FIELDS[range.field];
+      const start = range.from ? this.parseDay(range.from) : null;
+      const end = range.to ? this.parseDay(range.to, 1) : null;
+      return conversation => (!start || conversation[property] >= start) && (!end || conversation[property] < end);
+    }
+
+    console.warn('Ignoring unknown filter:', filter);
+    return null;
+  }
+
+  /**
+   * @param {string} value - Date as YYYY-MM-DD
+   * @param {number} offsetDays - Days to add
+   * @returns {Date} Local midnight of the day
+   * @private
+   */
+  parseDay(value, offsetDays = 0) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day + offsetDays);
+  }
+}
@@ -0,0 +1,97 @@
+// ============================================================================
+// Conversation Sort
+// ============================================================================
+
+export const SORT_DIRECTIONS = {
+  ASC: 'asc',
+  DESC: 'desc'
+};
+
+/**
+ * Sort keys: how to read the value of a conversation and the direction the key is usually wanted in
+ * Values may be null when unknown (message count and model come from the content index); those sort last
+ */
+export const SORT_KEYS = {
+  created: { getValue: conversation => conversation.date.getTime(), defaultDirection: SORT_DIRECTIONS.DESC },
+  modified: { getValue: conversation => conversation.updateTime.getTime(), defaultDirection: SORT_DIRECTIONS.DESC },
+  name: { getValue: conversation => conversation.title, defaultDirection: SORT_DIRECTIONS.ASC },
+  messages: { getValue: conversation => conversation.messageCount, defaultDirection: SORT_DIRECTIONS.DESC },
+  model: { getValue: conversation => conversation.model, defaultDirection: SORT_DIRECTIONS.ASC },
+  titleLength: { getValue: conversation => conversation.title.length, defaultDirection: SORT_DIRECTIONS.ASC },
+  sinceUpdate: { getValue: conversation => Date.now() - conversation.updateTime.getTime(), defaultDirection: SORT_DIRECTIONS.DESC }
+};
+
+// Tie-breakers used when none is chosen
+const DEFAULT_TIE_BREAKERS = {
+  created: 'name',
+  modified: 'name',
+  name: 'created',
+  messages: 'modified',
+  model: 'modified',
+  titleLength: 'name',
+  sinceUpdate: 'name'
+};
+
+/**
+ * Builds the comparators for a sort key, a direction and a secondary tie-breaker
+ * The tie-breaker sorts in its own default direction; the conversation ID settles any remaining tie
+ * so the order is stable across fetches
+ */
+export class ConversationSort {
+  /**
+   * @param {string} sortBy - A key of SORT_KEYS
+   * @param {string} direction - One of SORT_DIRECTIONS
+   * @param {string|null} tieBreaker - A key of SORT_KEYS, null for the default of the sort key
+   */
+  constructor(sortBy = 'created', direction = null, tieBreaker = null) {
+    this.sortBy = SORT_KEYS[sortBy] ? sortBy : 'created';
+    this.direction = direction || ConversationSort.getDefaultDirection(this.sortBy);
+    this.tieBreaker = tieBreaker && SORT_KEYS[tieBreaker] ? tieBreaker : DEFAULT_TIE_BREAKERS[this.sortBy];
+  }
+
+  /**
+   * @param {string} sortBy - A key of SORT_KEYS
+   * @returns {string} The direction the key is usually wanted in
+   */
+  static getDefaultDirection(sortBy) {
+    return SORT_KEYS[sortBy]?.defaultDirection || SORT_DIRECTIONS.DESC;
+  }
+
+  /**
+   * @returns {Array<Function>} Comparators to apply in order until one is not 0
+   */
+  getComparators() {
+    const comparators = [this.createComparator(this.sortBy, this.direction)];
+
+    if (this.tieBreaker !== this.sortBy) {
+      comparators.push(this.createComparator(this.tieBreaker, ConversationSort.getDefaultDirection(this.tieBreaker)));
+    }
+    comparators.push((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+    return comparators;
+  }
+
+  /**
+   * @param {string} key - A key of SORT_KEYS
+   * @param {string} direction - One of SORT_DIRECTIONS
+   * @returns {Function} Comparator
+   * @private
+   */
+  createComparator(key, direction) {
+    const { getValue } = SORT_KEYS[key];
+    const sign = direction === SORT_DIRECTIONS.DESC ? -1 : 1;
+
+    return (a, b) => {
+      const valueA = getValue(a);
+      const valueB = getValue(b);
+
+      // Unknown values go last whatever the direction
+      if (valueA == null || valueB == null) {
+        return (valueA == null) - (valueB == null);
+      }
+
+      const comparison = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+      return sign * comparison;
+    };
+  }
+}
@@ -0,0 +1,142 @@
+// ============================================================================
+// Conversation List Sync
+// ============================================================================
+
+const SYNC_PAGE_SIZE = 100;
+
+/**
+ * Brings a cached conversation list up to date with as few requests as possible
+ * The list endpoint returns the most recently updated conversations first, so paging
+ * can stop at the first conversation whose update_time is unchanged. Deletions and
+ * moves to/from the archive don't touch update_time; they show up as a count that
+ * disagrees with the API's total, which falls back to a full download.
+ */
+export class ConversationSync {
+  /**
+   * @param {ChatGPTClient} client - Client used to list conversations
+   * @param {boolean} archived - Whether to sync the archived list instead of the default feed
+   */
+  constructor(client, archived = false) {
+    this.client = client;
+    this.archived = archived;
+  }
+
+  /**
+   * Syncs a cached list (or downloads the whole list if there is none)
+   * @param {Array<Object>|null} cachedSummaries - Cached raw summaries, most recently updated first
+   * @param {AbortSignal|null} signal - Cancellation signal
+   * @returns {Promise<{summaries: Array<Object>, changed: boolean}>} Up-to-date summaries and whether they differ from the cache
+   */
+  async sync(cachedSummaries, signal = null) {
+    if (cachedSummaries) {
+      const { summaries, total } = await this.syncIncremental(cachedSummaries, signal);
+      if (total === null || summaries.length === total) {
+        return { summaries, changed: !this.isSameList(cachedSummaries, summaries) };
+      }
+      console.log(`🔄 Cached list has ${summaries.length} conversations, API reports ${total}: full sync`);
+    }
+    
+    const summaries = await this.fetchAll(signal);
+    return { summaries, changed: !cachedSummaries || !this.isSameList(cachedSummaries, summaries) };
+  }
+
+  /**
+   * Fetches the conversations updated since the cache was written and merges them in
+   * @param {Array<Object>} cachedSummaries - Cached raw summaries
+   * @param {AbortSignal|null} signal - Cancellation signal
+   * @returns {Promise<{summaries: Array<Object>, total: number|null}>} Merged summaries and the API's total
+   * @private
+   */
+  async syncIncremental(cachedSummaries, signal) {
+    const cachedVersions = new Map(cachedSummaries.map(summary => [summary.id, summary.update_time]));
+    const updatedSummaries = [];
+    let total = null;
+    let offset = 0;
+    
+    paging: while (true) {
+      const page = await this.listPage(offset, signal);
+      const items = page.items || [];
+      total = page.total ?? null;
+      
+      for (const item of items) {
+        if (this.isSameTime(cachedVersions.get(item.id), item.update_time)) {
+          break paging;
+        }
+        updatedSummaries.push(item);
+      }
+      
+      if (items.length < SYNC_PAGE_SIZE) break;
+      offset += SYNC_PAGE_SIZE;
+    }
+    
+    const updatedIds = new Set(updatedSummaries.map(summary => summary.id));
+    return {
+      summaries: [...updatedSummaries, ...cachedSummaries.filter(summary => !updatedIds.has(summary.id))],
+      total
+    };
+  }
+
+  /**
+   * @param {AbortSignal|null} signal - Cancellation signal
+   * @returns {Promise<Array<Object>>} Every summary of the list, most recently updated first
+   * @private
+   */
+  async fetchAll(signal) {
+    const summaries = [];
+    const seenIds = new Set();
+    let offset = 0;
+    
+    while (true) {
+      const page = await this.listPage(offset, signal);
+      const items = page.items || [];
+      
+      // Conversations updated while paging shift the offsets; skip the ones seen twice
+      for (const item of items) {
+        if (!seenIds.has(item.id)) {
+          seenIds.add(item.id);
+          summaries.push(item);
+        }
+      }
+      
+      if (items.length < SYNC_PAGE_SIZE) break;
+      offset += SYNC_PAGE_SIZE;
+    }
+    
+    return summaries;
+  }
+
+  /**
+   * @param {number} offset - Offset for pagination
+   * @param {AbortSignal|null} signal - Cancellation signal
+   * @returns {Promise<Object>} Page of the list endpoint
+   * @private
+   */
+  listPage(offset, signal) {
+    return this.client.listConversations({ offset, limit: SYNC_PAGE_SIZE, archived: this.archived }, signal);
+  }
+
+  /**
+   * Compares timestamps by value (the API and locally rebuilt summaries may format them differently)
+   * @param {string|undefined} a - Timestamp
+   * @param {string|undefined} b - Timestamp
+   * @returns {boolean} True if both are set and equal
+   * @private
+   */
+  isSameTime(a, b) {
+    return a !== undefined && b !== undefined && (a === b || new Date(a).getTime() === new Date(b).getTime());
+  }
+
+  /**
+   * @param {Array<Object>} a - Summaries
+   * @param {Array<Object>} b - Summaries
+   * @returns {boolean} True if both lists hold the same conversations and versions in the same order
+   * @private
+   */
+  isSameList(a, b) {
+    return a.length === b.length && a.every((summary, index) =>
+      summary.id === b[index].id &&
+      summary.title === b[index].title &&
+      this.isSameTime(summary.update_time, b[index].update_time)
+    );
+  }
+}
@@ -0,0 +1,185 @@
+// ============================================================================
+// Duplicate Finder
+// ============================================================================
+
+import { ConversationExporter } from './exporter.js';
+import { chatGPTClient, BulkActionExecutor } from '../../../js/utils/index.js';
+
+// Default titles say nothing about the content, conversations carrying them are only grouped by message
+const GENERIC_TITLES = new Set(['', 'new chat', 'untitled conversation', 'untitled']);
+// Words shorter than this are ignored when comparing messages
+const MIN_WORD_LENGTH = 2;
+
+/**
+ * Groups conversations that look like duplicates
+ * Conversations with the same normalized title always group together; optionally the first user
+ * message of each conversation is downloaded and near-identical openings (word set similarity)
+ * group together as well. Groups are transitive: A~B and B~C put A, B and C in one cluster.
+ */
+export class DuplicateFinder {
+  /**
+   * @param {ChatGPTClient} client - Client used to download conversations
+   * @param {ConversationExporter} exporter - Used to read the current branch of a conversation
+   * @param {BulkActionExecutor} executor - Runs the downloads with bounded concurrency and retries
+   */
+  constructor(client = chatGPTClient, exporter = new ConversationExporter(client), executor = new BulkActionExecutor({ concurrency: 3 })) {
+    this.client = client;
+    this.exporter = exporter;
+    this.executor = executor;
+    this.firstMessages = new Map(); // Conversation ID to { updateTime, words } so rescans skip unchanged ones
+  }
+
+  /**
+   * Finds clusters of duplicate conversations
+   * @param {Array<Object>} conversations - Conversations with id, title and updateTime
+   * @param {Object} options - Search options
+   * @param {boolean} options.compareMessages - Also group by similarity of the first user message
+   * @param {number} options.threshold - Minimum similarity (0-1) of two first messages
+   * @param {Function} options.onProgress - Called with (done, total) while messages download
+   * @param {AbortSignal|null} options.signal - Cancels the downloads
+   * @returns {Promise<Array<{conversations: Array<Object>, reason: string}>>} Clusters of two or more
+   *   conversations, largest first; reason is "title" or "message"
+   */
+  async find(conversations, { compareMessages = false, threshold = 0.8, onProgress = () => {}, signal = null } = {}) {
+    const parents = new Map(conversations.map(conversation => [conversation.id, conversation.id]));
+    const getRoot = id => {
+      while (parents.get(id) !== id) {
+        parents.set(id, parents.get(parents.get(id)));
+        id = parents.get(id);
+      }
+      return id;
+    };
+    const union = (a, b) => parents.set(getRoot(a), getRoot(b));
+    const titleMatches = new Set();
+
+    const byTitle = new Map();
+    for (const conversation of conversations) {
+      const title = this.normalizeTitle(conversation.title);
+      if (GENERIC_TITLES.has(title)) continue;
+
+      if (byTitle.has(title)) {
+        union(conversation.id, byTitle.get(title));
+        titleMatches.add(conversation.id).add(byTitle.get(title));
+      } else {
+        byTitle.set(title, conversation.id);
+      }
+    }
+
+    if (compareMessages) {
+      await this.loadFirstMessages(conversations, onProgress, signal);
+      signal?.throwIfAborted();
+      this.forEachSimilarPair(conversations, threshold, union);
+    }
+
+    const clusters = new Map();
+    for (const conversation of conversations) {
+      const root = getRoot(conversation.id);
+      if (!clusters.has(root)) clusters.set(root, []);
+      clusters.get(root).push(conversation);
+    }
+
+    return Array.from(clusters.values())
+      .filter(cluster => cluster.length > 1)
+      .map(cluster => ({
+        conversations: cluster.sort((a, b) => b.date - a.date),
+        reason: cluster.every(conversation => titleMatches.has(conversation.id)) ? 'title' : 'message'
+      }))
+      .sort((a, b) => b.conversations.length - a.conversations.length);
+  }
+
+  /**
+   * Normalizes a title for comparison: case, accents, punctuation and spacing are ignored
+   * @param {string} title - Conversation title
+   * @returns {string} Normalized title
+   */
+  normalizeTitle(title) {
+    return (title || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '') // Accents split off by NFKD
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  /**
+   * Downloads the first user message of the conversations not known yet (or updated since)
+   * @param {Array<Object>} conversations - Conversations to read
+   * @param {Function} onProgress - Called with (done, total)
+   * @param {AbortSignal|null} signal - Cancels the downloads
+   * @private
+   */
+  async loadFirstMessages(conversations, onProgress, signal) {
+    const missing = conversations.filter(conversation => {
+      const known = this.firstMessages.get(conversation.id);
+      return !known || known.updateTime !== conversation.updateTime.getTime();
+    });
+    onProgress(0, missing.length);
+
+    const results = await this.executor.run(missing, async (conversation, taskSignal) => {
+      const data = await this.client.getConversation(conversation.id, taskSignal);
+      const firstMessage = this.exporter.getCurrentBranch(data).find(message => message.role === 'user');
+      this.firstMessages.set(conversation.id, {
+        updateTime: conversation.updateTime.getTime(),
+        words: this.getWords(firstMessage?.text || '')
+      });
+    }, { onProgress: done => onProgress(done, missing.length), signal });
+
+    const failed = results.filter(result => result.status === 'failed');
+    if (failed.length > 0) {
+      console.warn(`Could not read the first message of ${failed.length} conversation(s), they are grouped by title only`);
+    }
+  }
+
+  /**
+   * Calls back for every pair of conversations whose first messages are similar enough
+   * Word sets are compared by Jaccard similarity; sorting by size lets the loop stop early,
+   * since two sets whose sizes differ by more than the threshold allows cannot be similar
+   * @param {Array<Object>} conversations - Conversations with downloaded first messages
+   * @param {number} threshold - Minimum similarity (0-1)
+   * @param {Function} onPair - Called with the two conversation IDs
+   * @private
+   */
+  forEachSimilarPair(conversations, threshold, onPair) {
+    const entries = conversations
+      .map(conversation => ({ id: conversation.id, words: this.firstMessages.get(conversation.id)?.words }))
+      .filter(entry => entry.words && entry.words.size > 0)
+      .sort((a, b) => a.words.size - b.words.size);
+
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        if (entries[i].words.size < threshold * entries[j].words.size) break;
+
+        if (this.getSimilarity(entries[i].words, entries[j].words) >= threshold) {
+          onPair(entries[i].id, entries[j].id);
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {string} text - Message text
+   * @returns {Set<string>} Distinct normalized words
+   * @private
+   */
+  getWords(text) {
+    return new Set(
+      this.normalizeTitle(text)
+        .split(' ')
+        .filter(word => word.length >= MIN_WORD_LENGTH)
+    );
+  }
+
+  /**
+   * @param {Set<string>} a - Word set
+   * @param {Set<string>} b - Word set
+   * @returns {number} Jaccard similarity (shared words over all words)
+   * @private
+   */
+  getSimilarity(a, b) {
+    let shared = 0;
+    for (const word of a) {
+      if (b.has(word)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+  }
+}
@@ -0,0 +1,277 @@
+// ============================================================================
+// Conversation Exporter
+// ============================================================================
+
+import { chatGPTClient } from '../../../js/utils/index.js';
+import { ZipArchive } from './zip.js';
+
+export const EXPORT_FORMATS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  html: { extension: 'html', mimeType: 'text/html' }
+};
+
+/**
+ * Fetches full conversations and converts them to downloadable files
+ * Only the currently selected branch of each conversation is exported (except for raw JSON)
+ */
+export class ConversationExporter {
+  /**
+   * @param {ChatGPTClient} client - Client used to fetch conversations
+   */
+  constructor(client = chatGPTClient) {
+    this.client = client;
+  }
+
+  /**
+   * Exports conversations and triggers a download
+   * A single conversation is downloaded as-is, several are bundled into a zip
+   * @param {Array<string>} conversationIds - Conversations to export
+   * @param {string} format - Export format (markdown, json, html)
+   * @param {Function} onProgress - Called with (done, total) after each conversation is fetched
+   * @returns {Promise<number>} Number of exported conversations
+   */
+  async exportConversations(conversationIds, format, onProgress = () => {}) {
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const files = [];
+
+    for (const id of conversationIds) {
+      const conversation = await this.fetchConversation(id);
+      files.push({
+        name: this.getUniqueFilename(files, this.sanitizeFilename(conversation.title), extension),
+        content: this.formatConversation(conversation, format)
+      });
+      onProgress(files.length, conversationIds.length);
+    }
+
+    if (files.length === 1) {
+      this.download(new Blob([files[0].content], { type: mimeType }), files[0].name);
+    } else {
+      const archive = new ZipArchive();
+      files.forEach(file => archive.addFile(file.name, file.content));
+      const stamp = new Date().toISOString().slice(0, 10);
+      this.download(archive.toBlob(), `chatgpt-conversations-${stamp}.zip`);
+    }
+
+    return files.length;
+  }
+
+  /**
+   * Fetches a conversation including its full message tree
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Raw conversation data
+   */
+  async fetchConversation(conversationId) {
+    return await this.client.getConversation(conversationId);
+  }
+
+  /**
+   * Converts a conversation to the requested format
+   * @param {Object} conversation - Raw conversation data
+   * @param {string} format - Export format (markdown, json, html)
+   * @returns {string} File content
+   */
+  formatConversation(conversation, format) {
+    switch (format) {
+      case 'markdown':
+        return this.toMarkdown(conversation);
+      case 'html':
+        return this.toHTML(conversation);
+      case 'json':
+      default:
+        return JSON.stringify(conversation, null, 2);
+    }
+  }
+
+  /**
+   * Walks from the current node up to the root and returns the visible messages in order
+   * @param {Object} conversation - Raw conversation data
+   * @returns {Array<{role: string, text: string, createTime: number|null}>} Linear list of messages
+   */
+  getCurrentBranch(conversation) {
+    const mapping = conversation.mapping || {};
+    const messages = [];
+    let nodeId = conversation.current_node;
+
+    while (nodeId && mapping[nodeId]) {
+      const node = mapping[nodeId];
+      const message = node.message;
+      if (message && !message.metadata?.is_visually_hidden_from_conversation) {
+        const role = message.author?.role;
+        const text = this.getMessageText(message);
+        if (role !== 'system' && text.trim()) {
+          messages.push({ role, text, createTime: message.create_time || null });
+        }
+      }
+      nodeId = node.parent;
+    }
+
+    return messages.reverse();
+  }
+
+  /**
+   * Extracts the text of a message, replacing non-text parts with placeholders
+   * @param {Object} message - Raw message
+   * @returns {string} Message text
+   * @private
+   */
+  getMessageText(message) {
+    const content = message.content || {};
+
+    if (Array.isArray(content.parts)) {
+      return content.parts
+        .map(part => typeof part === 'string' ? part : '[attachment]')
+        .join('\n\n');
+    }
+
+    if (typeof content.text === 'string') {
+      return content.content_type === 'code' ? '```\n' + content.text + '\n```' : content.text;
+    }
+
+    return '';
+  }
+
+  /**
+   * @param {Object} conversation - Raw conversation data
+   * @returns {string} Markdown document
+   * @private
+   */
+  toMarkdown(conversation) {
+    const lines = [`# ${conversation.title || 'Untitled Conversation'}`, ''];
+
+    if (conversation.create_time) {
+      lines.push(`_Created: ${this.formatTimestamp(conversation.create_time)}_`, '');
+    }
+
+    this.getCurrentBranch(conversation).forEach(message => {
+      lines.push(`## ${this.getRoleLabel(message.role)}`, '', message.text, '');
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @param {Object} conversation - Raw conversation data
+   * @returns {string} Standalone HTML document
+   * @private
+   */
+  toHTML(conversation) {
+    const title = this.escapeHtml(conversation.title || 'Untitled Conversation');
+    const messages = this.getCurrentBranch(conversation).map(message => `
+    <section class="message ${this.escapeHtml(message.role)}">
+      <h2>${this.getRoleLabel(message.role)}</h2>
+      <div class="content">${this.escapeHtml(message.text)}</div>
+    </section>`).join('');
+    const created = conversation.create_time
+      ? `<p class="meta">Created: ${this.formatTimestamp(conversation.create_time)}</p>`
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 800px; margin: 40px auto; padding: 0 16px; color: #1f2937; }
+    .meta { color: #6b7280; font-size: 13px; }
+    .message { border-radius: 8px; padding: 12px 16px; margin: 12px 0; background: #f9fafb; }
+    .message.user { background: #eef2ff; }
+    .message h2 { font-size: 13px; margin: 0 0 8px; color: #6b7280; text-transform: uppercase; }
+    .content { white-space: pre-wrap; line-height: 1.5; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  ${created}${messages}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * @param {string} role - Message author role
+   * @returns {string} Display label for the role
+   * @private
+   */
+  getRoleLabel(role) {
+    switch (role) {
+      case 'user':
+        return 'User';
+      case 'assistant':
+        return 'ChatGPT';
+      case 'tool':
+        return 'Tool';
+      default:
+        return role || 'Unknown';
+    }
+  }
+
+  /**
+   * @param {number} timestamp - Unix timestamp in seconds (as returned by the API)
+   * @returns {string} Localized date string
+   * @private
+   */
+  formatTimestamp(timestamp) {
+    return new Date(timestamp * 1000).toLocaleString();
+  }
+
+  /**
+   * @param {string} text - Text to escape
+   * @returns {string} HTML-safe text
+   * @private
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Removes characters that are not allowed in file names
+   * @param {string} title - Conversation title
+   * @returns {string} Safe file name without extension
+   * @private
+   */
+  sanitizeFilename(title) {
+    const name = (title || 'Untitled Conversation')
+      .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 100);
+    return name || 'conversation';
+  }
+
+  /**
+   * Appends a counter when several conversations share a title
+   * @param {Array<{name: string}>} files - Files collected so far
+   * @param {string} baseName - File name without extension
+   * @param {string} extension - File extension
+   * @returns {string} Unique file name
+   * @private
+   */
+  getUniqueFilename(files, baseName, extension) {
+    let name = `${baseName}.${extension}`;
+    let counter = 2;
+    while (files.some(file => file.name === name)) {
+      name = `${baseName} (${counter++}).${extension}`;
+    }
+    return name;
+  }
+
+  /**
+   * Triggers a browser download for the given blob
+   * @param {Blob} blob - File content
+   * @param {string} filename - Download file name
+   * @private
+   */
+  download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
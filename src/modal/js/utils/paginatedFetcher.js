@@ -4,14 +4,16 @@
  */
 export class PaginatedDataFetcher {
   /**
-   * @param {string} baseUrl - Base API endpoint URL
-   * @param {Object} authentication - Headers for authentication (e.g., { 'Authorization': 'Bearer token' })
+   * @param {string} baseUrl - API endpoint path, relative to the client's base URL (e.g., "/conversations")
+   * @param {ChatGPTClient} client - Client sending the authenticated requests
    * @param {Function} getIdFunction - Function to extract unique ID from items (e.g., item => item.id)
+   * @param {Object} queryParams - Extra query parameters sent with every request (e.g., { is_archived: true })
    */
-  constructor(baseUrl, authentication = {}, getIdFunction = item => item.id) {
+  constructor(baseUrl, client = null, getIdFunction = item => item.id, queryParams = {}) {
     this.baseUrl = baseUrl;
-    this.authentication = authentication;
+    this.client = client;
     this.getIdFunction = getIdFunction;
+    this.queryParams = queryParams;
     this.seenItems = new Set();
     this.hasMore = true;
   }
@@ -22,46 +24,73 @@ export class PaginatedDataFetcher {
    * @param {number|null} apiLimit - Limit per API request (defaults to targetCount if null)
    * @param {Set} filters - Set of filter functions to apply
    * @param {Array} sortFunctions - Array of comparison functions for sorting
+   * @param {AbortSignal|null} signal - Stops paging and cancels the in-flight request when aborted
+   * @param {Function|null} onPage - Called with (page, loadedItems) as each page arrives, for progressive display
    * @returns {Promise<Array>} Array of fetched and processed items
+   * @throws {DOMException} AbortError if the signal is aborted
    */
-  async fetchPaginatedData(targetCount = 100, apiLimit = null, filters = new Set(), sortFunctions = []) {
+  async fetchPaginatedData(targetCount = 100, apiLimit = null, filters = new Set(), sortFunctions = [], signal = null, onPage = null) {
     const fetchLimit = apiLimit || targetCount;
     
     if (sortFunctions.length > 0) {
-      return await this.fetchAllAndSort(targetCount, filters, sortFunctions, fetchLimit);
+      return await this.fetchAllAndSort(targetCount, filters, sortFunctions, fetchLimit, signal, onPage);
     }
     
-    return await this.fetchIncremental(targetCount, filters, fetchLimit);
+    return await this.fetchIncremental(targetCount, filters, fetchLimit, signal, onPage);
   }
 
   /**
-   * Fetch all data and sort it (used when sorting is required)
-   * @param {number} targetCount - Number of items to retrieve
-   * @param {Set} filters - Set of filter functions to apply
-   * @param {Array} sortFunctions - Array of comparison functions for sorting
+   * Yields pages as they arrive, until the last page
+   * Breaking out of the loop stops paging
    * @param {number} fetchLimit - Limit per API request
-   * @returns {Promise<Array>} Array of fetched and processed items
+   * @param {AbortSignal|null} signal - Cancellation signal
+   * @yields {{items: Array, loaded: number, total: number|null, isLastPage: boolean}} Transformed items of
+   *   the page, number of items fetched so far and the API's total (null if it doesn't report one)
    */
-  async fetchAllAndSort(targetCount, filters, sortFunctions, fetchLimit) {    
-    const allItems = [];
+  async *fetchPages(fetchLimit, signal = null) {
     let offset = 0;
+    let loaded = 0;
     
     while (true) {
-      const response = await this.makeRequest(offset, fetchLimit);
+      signal?.throwIfAborted();
+      const response = await this.makeRequest(offset, fetchLimit, signal);
       const items = (response.items || []).map(item => this.transformItem(item));
       
       if (items.length === 0) {
         this.hasMore = false;
-        break;
+        return;
       }
       
-      allItems.push(...items);
       offset += fetchLimit;
+      loaded += items.length;
       
-      if (items.length < fetchLimit) {
+      const isLastPage = this.isLastPage(response, items, fetchLimit);
+      if (isLastPage) {
         this.hasMore = false;
-        break;
       }
+      
+      yield { items, loaded, total: response.total ?? null, isLastPage };
+      
+      if (isLastPage) return;
+    }
+  }
+
+  /**
+   * Fetch all data and sort it (used when sorting is required)
+   * @param {number} targetCount - Number of items to retrieve
+   * @param {Set} filters - Set of filter functions to apply
+   * @param {Array} sortFunctions - Array of comparison functions for sorting
+   * @param {number} fetchLimit - Limit per API request
+   * @param {AbortSignal|null} signal - Cancellation signal
+   * @param {Function|null} onPage - Called with (page, allItemsSoFar) after each page
+   * @returns {Promise<Array>} Array of fetched and processed items
+   */
+  async fetchAllAndSort(targetCount, filters, sortFunctions, fetchLimit, signal = null, onPage = null) {    
+    const allItems = [];
+    
+    for await (const page of this.fetchPages(fetchLimit, signal)) {
+      allItems.push(...page.items);
+      onPage?.(page, allItems);
     }
     
     const sortedItems = this.sortItemsGeneric(allItems, sortFunctions);
@@ -73,61 +102,71 @@ export class PaginatedDataFetcher {
    * @param {number} targetCount - Number of items to retrieve
    * @param {Set} filters - Set of filter functions to apply
    * @param {number} fetchLimit - Limit per API request
+   * @param {AbortSignal|null} signal - Cancellation signal
+   * @param {Function|null} onPage - Called with (page, newItemsSoFar) after each page
    * @returns {Promise<Array>} Array of fetched and processed items
    */
-  async fetchIncremental(targetCount, filters, fetchLimit) {
+  async fetchIncremental(targetCount, filters, fetchLimit, signal = null, onPage = null) {
     const newItems = [];
-    let offset = 0;
+    if (targetCount <= 0) return newItems;
     
-    while (newItems.length < targetCount) {
-      const response = await this.makeRequest(offset, fetchLimit);
-      const items = (response.items || []).map(item => this.transformItem(item));
-      
-      if (items.length === 0) {
-        this.hasMore = false;
-        break;
-      }
-      
-      const filteredItems = this.parseAndFilterItemsGeneric(items, targetCount - newItems.length, filters);
+    for await (const page of this.fetchPages(fetchLimit, signal)) {
+      const filteredItems = this.parseAndFilterItemsGeneric(page.items, targetCount - newItems.length, filters);
       newItems.push(...filteredItems);
+      onPage?.(page, newItems);
       
-      offset += fetchLimit;
-      
-      if (items.length < fetchLimit) {
-        this.hasMore = false;
-        break;
-      }
+      if (newItems.length >= targetCount) break;
     }
     
     return newItems;
   }
 
+  /**
+   * Gets the items that the final sort would pick from a partial download, without marking them as seen
+   * @param {Array} items - Items fetched so far
+   * @param {number} count - Number of items to return
+   * @param {Set} filters - Set of filter functions to apply
+   * @param {Array} sortFunctions - Array of comparison functions
+   * @returns {Array} Best unseen items so far
+   */
+  previewItems(items, count, filters, sortFunctions) {
+    return this.sortItemsGeneric([...items], sortFunctions)
+      .filter(item => !this.seenItems.has(this.getIdFunction(item)) && this.passesFiltersGeneric(item, filters))
+      .slice(0, count);
+  }
+
   /**
    * Make a request to the API
    * @param {number} offset - Offset for pagination
    * @param {number} limit - Limit for pagination
+   * @param {AbortSignal|null} signal - Cancels the request
    * @returns {Promise<Object>} API response data
    */
-  async makeRequest(offset, limit) {
-    const accessToken = await this.getAccessToken();
-    const url = `${this.baseUrl}?offset=${offset}&limit=${limit}`;
-    const headers = {
-      'Content-Type': 'application/json',
-      'Authorization': 'Bearer ' + accessToken,
-      ...this.authentication
-    };
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: headers
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Failed to fetch data: ${response.status} - ${errorText}`);
-    }
-    
-    return await response.json();
+  async makeRequest(offset, limit, signal = null) {
+    return await this.client.request(this.buildUrl(offset, limit), { signal });
+  }
+
+  /**
+   * Whether a response is the last page of results
+   * Override this method in subclasses for cursor-based APIs
+   * @param {Object} response - API response data
+   * @param {Array} items - Transformed items of the page
+   * @param {number} fetchLimit - Limit per API request
+   * @returns {boolean} True if there are no more pages
+   */
+  isLastPage(response, items, fetchLimit) {
+    return items.length < fetchLimit;
+  }
+
+  /**
+   * Build the request URL for a page
+   * @param {number} offset - Offset for pagination
+   * @param {number} limit - Limit for pagination
+   * @returns {string} Request URL including pagination and extra query parameters
+   */
+  buildUrl(offset, limit) {
+    const params = new URLSearchParams({ offset, limit, ...this.queryParams });
+    return `${this.baseUrl}?${params.toString()}`;
   }
 
   /**
@@ -209,15 +248,6 @@ export class PaginatedDataFetcher {
     return item;
   }
 
-  /**
-   * Get access token for API requests
-   * Override this method in subclasses for specific authentication
-   * @returns {Promise<string>} Access token
-   */
-  async getAccessToken() {
-    throw new Error('getAccessToken must be implemented in subclass');
-  }
-
   /**
    * Clear the seen items set (useful for resetting state)
    */
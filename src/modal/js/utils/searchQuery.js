@@ -0,0 +1,452 @@
+// ============================================================================
+// Search Query
+// ============================================================================
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DURATION_UNITS = {
+  h: HOUR_MS,
+  d: DAY_MS,
+  w: 7 * DAY_MS,
+  m: 30 * DAY_MS,
+  y: 365 * DAY_MS
+};
+
+const IS_VALUES = {
+  archived: conversation => conversation.status === 'archived',
+  active: conversation => conversation.status === 'active',
+  deleted: conversation => conversation.status === 'deleted',
+  new: conversation => conversation.isNew,
+  updated: conversation => conversation.isRecentlyModified
+};
+
+/**
+ * Raised when the search box contains an invalid query
+ */
+export class QueryParseError extends Error {
+  /**
+   * @param {string} message - What is wrong with the query
+   * @param {number} position - Character offset of the problem in the query
+   */
+  constructor(message, position) {
+    super(message);
+    this.name = 'QueryParseError';
+    this.position = position;
+  }
+}
+
+/**
+ * A parsed search box query
+ *
+ * Syntax (terms separated by spaces must all match):
+ *   word, "exact phrase"      title or ID contains the text
+ *   title:"foo bar", id:abc   title / ID contains the text
+ *   -term                     negates any term or group
+ *   a OR b, (a OR b) c        alternatives, parentheses group terms
+ *   before:2024-06-01         created before the date; after: created on or after it
+ *   created:<7d, updated:>30d age compared to a duration (h, d, w, m, y) or a date
+ *   is:archived|active|deleted|new|updated
+ *   tag:x                     has the local tag (case insensitive)
+ *   model:gpt-4o              model contains the text (only known for conversations that report it)
+ */
+export class SearchQuery {
+  /**
+   * @param {Object|null} root - Root node of the parsed expression (null matches everything)
+   * @param {string} source - The query as typed
+   */
+  constructor(root = null, source = '') {
+    this.root = root;
+    this.source = source;
+  }
+
+  /**
+   * Parses a query typed in the search box
+   * @param {string} input - The query
+   * @param {Date} now - Reference time for relative durations
+   * @returns {SearchQuery} The parsed query
+   * @throws {QueryParseError} If the query is malformed
+   */
+  static parse(input, now = new Date()) {
+    const parser = new QueryParser(input, now);
+    return new SearchQuery(parser.parse(), input);
+  }
+
+  /**
+   * Whether the query has no terms
+   * @returns {boolean} True if every conversation matches
+   */
+  isEmpty() {
+    return this.root === null;
+  }
+
+  /**
+   * Tests a conversation against the query
+   * @param {Object} conversation - Conversation with id, title, date, updateTime, status, isNew, isRecentlyModified and model
+   * @param {Object} context - Lookups that are not part of the conversation
+   * @param {Function} context.getTags - Returns the tag names of a conversation ID
+   * @param {boolean} context.textMatched - Treat free-text terms as matched (they were matched elsewhere, e.g. by a content search)
+   * @returns {boolean} True if the conversation matches
+   */
+  matches(conversation, context = {}) {
+    return this.root === null || this.evaluate(this.root, conversation, context);
+  }
+
+  /**
+   * Text to highlight in titles: free-text terms and title: values that are not negated
+   * @returns {Array<string>} Terms (not lowercased)
+   */
+  getHighlightTerms() {
+    return this.collectText(this.root, false, node => node.type === 'text' || node.field === 'title');
+  }
+
+  /**
+   * Free-text terms that are not negated, for searches that run outside the loaded list
+   * @returns {Array<string>} Terms (not lowercased)
+   */
+  getTextTerms() {
+    return this.collectText(this.root, false, node => node.type === 'text');
+  }
+
+  /**
+   * @param {Object} node - Expression node
+   * @param {Object} conversation - The conversation
+   * @param {Object} context - See matches()
+   * @returns {boolean} Whether the node matches
+   * @private
+   */
+  evaluate(node, conversation, context) {
+    switch (node.type) {
+      case 'and':
+        return node.children.every(child => this.evaluate(child, conversation, context));
+      case 'or':
+        return node.children.some(child => this.evaluate(child, conversation, context));
+      case 'not':
+        return !this.evaluate(node.child, conversation, context);
+      case 'text':
+        if (context.textMatched) return true;
+        return conversation.title.toLowerCase().includes(node.lowerValue) ||
+               conversation.id.toLowerCase().includes(node.lowerValue);
+      default:
+        return node.test(conversation, context);
+    }
+  }
+
+  /**
+   * @param {Object|null} node - Expression node
+   * @param {boolean} negated - Whether the node sits under a negation
+   * @param {Function} accept - Picks the leaf nodes to collect
+   * @returns {Array<string>} Values of the accepted leaves outside negations
+   * @private
+   */
+  collectText(node, negated, accept) {
+    if (!node) return [];
+
+    switch (node.type) {
+      case 'and':
+      case 'or':
+        return node.children.flatMap(child => this.collectText(child, negated, accept));
+      case 'not':
+        return this.collectText(node.child, !negated, accept);
+      default:
+        return !negated && accept(node) ? [node.value] : [];
+    }
+  }
+}
+
+/**
+ * Recursive descent parser turning the query text into an expression tree
+ * @private
+ */
+class QueryParser {
+  /**
+   * @param {string} input - The query
+   * @param {Date} now - Reference time for relative durations
+   */
+  constructor(input, now) {
+    this.input = input;
+    this.now = now;
+    this.tokens = this.tokenize(input);
+    this.index = 0;
+  }
+
+  /**
+   * @returns {Object|null} Root node, null for an empty query
+   */
+  parse() {
+    if (this.tokens.length === 0) return null;
+
+    const root = this.parseOr();
+    const token = this.peek();
+    if (token) {
+      throw new QueryParseError('Unexpected ")"', token.position);
+    }
+    return root;
+  }
+
+  // ==========================================================================
+  // Tokenizer
+  // ==========================================================================
+
+  /**
+   * @param {string} input - The query
+   * @returns {Array<Object>} Tokens: lparen (possibly negated), rparen, or, term
+   * @private
+   */
+  tokenize(input) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < input.length) {
+      const char = input[position];
+
+      if (/\s/.test(char)) {
+        position++;
+        continue;
+      }
+
+      if (char === ')') {
+        tokens.push({ type: 'rparen', position });
+        position++;
+        continue;
+      }
+
+      const start = position;
+      const negated = char === '-' && position + 1 < input.length && !/[\s)]/.test(input[position + 1]);
+      if (negated) position++;
+
+      if (input[position] === '(') {
+        tokens.push({ type: 'lparen', negated, position: start });
+        position++;
+        continue;
+      }
+
+      let field = null;
+      const fieldMatch = /^([a-zA-Z]+):/.exec(input.slice(position));
+      if (fieldMatch) {
+        field = fieldMatch[1].toLowerCase();
+        position += fieldMatch[0].length;
+      }
+
+      const valueStart = position;
+      let value;
+      let quoted = false;
+
+      if (input[position] === '"') {
+        const end = input.indexOf('"', position + 1);
+        if (end === -1) {
+          throw new QueryParseError('Missing closing quote', position);
+        }
+        value = input.slice(position + 1, end);
+        quoted = true;
+        position = end + 1;
+      } else {
+        while (position < input.length && !/[\s()]/.test(input[position])) {
+          position++;
+        }
+        value = input.slice(valueStart, position);
+      }
+
+      if (!negated && !field && !quoted && value === 'OR') {
+        tokens.push({ type: 'or', position: start });
+      } else {
+        tokens.push({ type: 'term', negated, field, value, quoted, position: start, valuePosition: valueStart });
+      }
+    }
+
+    return tokens;
+  }
+
+  // ==========================================================================
+  // Grammar
+  // ==========================================================================
+
+  /**
+   * or := and ("OR" and)*
+   * @returns {Object} Expression node
+   * @private
+   */
+  parseOr() {
+    const children = [this.parseAnd()];
+
+    while (this.peek()?.type === 'or') {
+      this.index++;
+      children.push(this.parseAnd());
+    }
+
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  /**
+   * and := unary+
+   * @returns {Object} Expression node
+   * @private
+   */
+  parseAnd() {
+    const children = [];
+
+    while (this.peek() && this.peek().type !== 'or' && this.peek().type !== 'rparen') {
+      children.push(this.parseUnary());
+    }
+
+    if (children.length === 0) {
+      const token = this.peek() || this.tokens[this.tokens.length - 1];
+      const message = this.tokens.some(candidate => candidate.type === 'or')
+        ? 'OR needs a term on both sides'
+        : 'Empty group';
+      throw new QueryParseError(message, token.position);
+    }
+
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  /**
+   * unary := "-"? ("(" or ")" | term)
+   * @returns {Object} Expression node
+   * @private
+   */
+  parseUnary() {
+    const token = this.tokens[this.index++];
+
+    if (token.type === 'lparen') {
+      const group = this.parseOr();
+      if (this.peek()?.type !== 'rparen') {
+        throw new QueryParseError('Missing closing parenthesis', token.position);
+      }
+      this.index++;
+      return token.negated ? { type: 'not', child: group } : group;
+    }
+
+    const node = this.createTermNode(token);
+    return token.negated ? { type: 'not', child: node } : node;
+  }
+
+  /**
+   * @returns {Object|undefined} The next token
+   * @private
+   */
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  // ==========================================================================
+  // Terms
+  // ==========================================================================
+
+  /**
+   * Builds the leaf node of a term, validating field values
+   * @param {Object} token - Term token
+   * @returns {Object} Leaf node; field nodes carry a test(conversation, context) function
+   * @private
+   */
+  createTermNode(token) {
+    const { field, value, valuePosition } = token;
+
+    if (!field) {
+      return { type: 'text', value, lowerValue: value.toLowerCase() };
+    }
+
+    if (value === '') {
+      throw new QueryParseError(`Missing value after "${field}:"`, valuePosition);
+    }
+
+    const lowerValue = value.toLowerCase();
+    const node = { type: 'field', field, value };
+
+    switch (field) {
+      case 'title':
+        node.test = conversation => conversation.title.toLowerCase().includes(lowerValue);
+        return node;
+      case 'id':
+        node.test = conversation => conversation.id.toLowerCase().includes(lowerValue);
+        return node;
+      case 'tag':
+        node.test = (conversation, context) => (context.getTags?.(conversation.id) || [])
+          .some(tag => tag.toLowerCase() === lowerValue);
+        return node;
+      case 'model':
+        node.test = conversation => (conversation.model || '').toLowerCase().includes(lowerValue);
+        return node;
+      case 'is': {
+        const test = IS_VALUES[lowerValue];
+        if (!test) {
+          throw new QueryParseError(`Unknown value "is:${value}", use ${Object.keys(IS_VALUES).join(', ')}`, valuePosition);
+        }
+        node.test = test;
+        return node;
+      }
+      case 'before': {
+        const start = this.parseDate(value, valuePosition);
+        node.test = conversation => conversation.date < start;
+        return node;
+      }
+      case 'after': {
+        const start = this.parseDate(value, valuePosition);
+        node.test = conversation => conversation.date >= start;
+        return node;
+      }
+      case 'created':
+      case 'updated': {
+        const inRange = this.parseComparison(value, valuePosition);
+        node.test = field === 'created'
+          ? conversation => inRange(conversation.date)
+          : conversation => inRange(conversation.updateTime);
+        return node;
+      }
+      default:
+        throw new QueryParseError(`Unknown filter "${field}:"`, token.position + (token.negated ? 1 : 0));
+    }
+  }
+
+  /**
+   * Parses a created:/updated: value: a comparator (<, <=, >, >=, none) followed by a
+   * duration (age, e.g. 7d: "<" means newer than) or a YYYY-MM-DD date ("<" means before the day)
+   * @param {string} value - The field value
+   * @param {number} position - Offset of the value in the query
+   * @returns {Function} Tests a Date
+   * @private
+   */
+  parseComparison(value, position) {
+    const [, operator, operand] = /^(<=|>=|<|>)?(.*)$/.exec(value);
+    if (!operand) {
+      throw new QueryParseError(`Missing date or duration after "${operator}"`, position + operator.length);
+    }
+
+    const durationMatch = /^(\d+)([hdwmy])$/i.exec(operand);
+    if (durationMatch) {
+      const cutoff = this.now.getTime() - Number(durationMatch[1]) * DURATION_UNITS[durationMatch[2].toLowerCase()];
+      // A bare duration means "within the last ..."
+      return operator?.startsWith('>')
+        ? date => date.getTime() < cutoff
+        : date => date.getTime() >= cutoff;
+    }
+
+    const start = this.parseDate(operand, position + (operator?.length || 0), 'YYYY-MM-DD or a duration like 7d');
+    const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+
+    switch (operator) {
+      case '<': return date => date < start;
+      case '<=': return date => date < end;
+      case '>': return date => date >= end;
+      case '>=': return date => date >= start;
+      default: return date => date >= start && date < end;
+    }
+  }
+
+  /**
+   * @param {string} value - Date as YYYY-MM-DD
+   * @param {number} position - Offset of the value in the query
+   * @param {string} expected - Accepted formats, for the error message
+   * @returns {Date} Local midnight of the day
+   * @private
+   */
+  parseDate(value, position, expected = 'YYYY-MM-DD') {
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+    const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+
+    if (!date || date.getMonth() !== Number(match[2]) - 1 || date.getDate() !== Number(match[3])) {
+      throw new QueryParseError(`Invalid date "${value}", use ${expected}`, position);
+    }
+    return date;
+  }
+}
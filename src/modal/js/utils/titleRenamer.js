@@ -0,0 +1,70 @@
+// ============================================================================
+// Title Renamer
+// ============================================================================
+
+/**
+ * Computes new conversation titles for bulk rename
+ * Supports find/replace (plain text or regex), prefix/suffix and the placeholders
+ * {date} (creation date, YYYY-MM-DD) and {index} (1-based position in the selection)
+ */
+export class TitleRenamer {
+  /**
+   * @param {Object} options - Rename options
+   * @param {string} options.find - Text or pattern to find (empty skips find/replace)
+   * @param {string} options.replace - Replacement (regex mode supports $1 style groups)
+   * @param {boolean} options.useRegex - Whether find is a regular expression
+   * @param {string} options.prefix - Text added before the title
+   * @param {string} options.suffix - Text added after the title
+   * @throws {SyntaxError} If useRegex is set and find is not a valid regular expression
+   */
+  constructor({ find = '', replace = '', useRegex = false, prefix = '', suffix = '' } = {}) {
+    this.find = find;
+    this.replace = replace;
+    this.prefix = prefix;
+    this.suffix = suffix;
+    this.pattern = find && useRegex ? new RegExp(find, 'g') : null;
+  }
+
+  /**
+   * Computes the new title of a conversation
+   * @param {{title: string, date: Date}} conversation - The conversation to rename
+   * @param {number} index - 1-based position of the conversation in the selection
+   * @returns {string} New title (the current one if the result would be empty)
+   */
+  rename(conversation, index) {
+    const expand = template => this.expandPlaceholders(template, conversation, index);
+    let title = conversation.title;
+
+    if (this.pattern) {
+      title = title.replace(this.pattern, expand(this.replace));
+    } else if (this.find) {
+      title = title.split(this.find).join(expand(this.replace));
+    }
+
+    title = `${expand(this.prefix)}${title}${expand(this.suffix)}`.trim();
+    return title || conversation.title;
+  }
+
+  /**
+   * @param {string} template - Text containing placeholders
+   * @param {{date: Date}} conversation - The conversation being renamed
+   * @param {number} index - 1-based position of the conversation in the selection
+   * @returns {string} Text with placeholders replaced
+   * @private
+   */
+  expandPlaceholders(template, conversation, index) {
+    return template
+      .replace(/\{date\}/g, this.formatDate(conversation.date))
+      .replace(/\{index\}/g, String(index));
+  }
+
+  /**
+   * @param {Date} date - Date to format
+   * @returns {string} Local date as YYYY-MM-DD
+   * @private
+   */
+  formatDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
@@ -0,0 +1,269 @@
+// ============================================================================
+// Virtual List
+// ============================================================================
+
+// Height assumed for rows that have not been rendered yet, until one has been measured
+const DEFAULT_ROW_HEIGHT = 72;
+// Rows rendered above and below the visible ones, so fast scrolling doesn't show gaps
+const OVERSCAN_ROWS = 8;
+
+/**
+ * Renders only the rows of a long list that are in (or near) the viewport of a scroll container
+ * Rows can have different heights: each row is measured once rendered and rows not rendered yet
+ * count as the average measured height, spacers above and below stand in for the rest.
+ * While scrolling, rows that stay in the window keep their elements (and focus); the window is
+ * only rebuilt when the items change. Listeners belong on the container (event delegation).
+ */
+export class VirtualList {
+  /**
+   * @param {HTMLElement} container - Scrolling element the list fills
+   * @param {Function} getKey - Returns the unique key of an item (set as data-id on its row)
+   * @param {Function} renderRow - Returns the HTML of an item's row, a single element
+   */
+  constructor(container, getKey, renderRow) {
+    this.container = container;
+    this.getKey = getKey;
+    this.renderRow = renderRow;
+    this.items = [];
+    this.heights = new Map(); // Measured row heights keyed by item key
+    this.measuredTotal = 0; // Sum of the measured heights, for the average
+    this.start = 0; // Window of rendered items: [start, end)
+    this.end = 0;
+    this.scheduledFrame = null;
+
+    this.topSpacer = this.createElement('virtual-list-spacer');
+    this.rowsElement = this.createElement('virtual-list-rows');
+    this.bottomSpacer = this.createElement('virtual-list-spacer');
+    this.footerElement = this.createElement('virtual-list-footer');
+
+    this.container.addEventListener('scroll', () => this.scheduleRender(), { passive: true });
+    // Also covers the container being shown after rendering while hidden
+    new ResizeObserver(() => this.scheduleRender()).observe(this.container);
+  }
+
+  /**
+   * Replaces the items and rebuilds the rendered window, keeping the scroll position
+   * @param {Array} items - Items in display order
+   * @param {string} footerHTML - HTML shown after the last row (e.g., a "Load More" button)
+   */
+  setItems(items, footerHTML = '') {
+    this.items = items;
+    this.footerElement.innerHTML = footerHTML;
+
+    // Other content (empty or loading state) may have replaced the list in the meantime
+    if (this.rowsElement.parentNode !== this.container) {
+      this.container.replaceChildren(this.topSpacer, this.rowsElement, this.bottomSpacer, this.footerElement);
+    }
+
+    this.rowsElement.replaceChildren();
+    this.start = 0;
+    this.end = 0;
+    this.render();
+  }
+
+  /**
+   * Re-renders the rows of some items, if they are in the rendered window
+   * @param {Array<string>} keys - Keys of the items whose row changed
+   */
+  updateRows(keys) {
+    const keySet = new Set(keys);
+    for (let index = this.start; index < this.end; index++) {
+      const key = this.getKey(this.items[index]);
+      if (!keySet.has(key)) continue;
+
+      const row = this.getRowElement(key);
+      const [newRow] = this.createRows([this.items[index]]);
+      if (row && newRow) {
+        row.replaceWith(newRow);
+      }
+    }
+    this.measureRows();
+    this.updateSpacers();
+  }
+
+  /**
+   * @param {string} key - Item key
+   * @returns {HTMLElement|null} The item's row, null if it is not rendered
+   */
+  getRowElement(key) {
+    return this.rowsElement.querySelector(`:scope > [data-id="${CSS.escape(key)}"]`);
+  }
+
+  /**
+   * Scrolls just enough to show an item's row, and renders it
+   * @param {string} key - Item key
+   * @returns {HTMLElement|null} The item's row, null if the item is not in the list
+   */
+  scrollToKey(key) {
+    const index = this.items.findIndex(item => this.getKey(item) === key);
+    if (index === -1) return null;
+
+    const top = this.getOffset(index);
+    const bottom = top + this.getHeight(this.items[index]);
+    const viewTop = this.container.scrollTop;
+    const viewBottom = viewTop + this.container.clientHeight;
+
+    if (top < viewTop) {
+      this.container.scrollTop = top;
+    } else if (bottom > viewBottom) {
+      this.container.scrollTop = bottom - this.container.clientHeight;
+    }
+
+    this.render();
+    const row = this.getRowElement(key);
+    row?.scrollIntoView({ block: 'nearest' }); // Corrects estimated heights once it is measured
+    return row;
+  }
+
+  /**
+   * @private
+   */
+  scheduleRender() {
+    if (this.scheduledFrame !== null || this.rowsElement.parentNode !== this.container) return;
+
+    this.scheduledFrame = requestAnimationFrame(() => {
+      this.scheduledFrame = null;
+      this.render();
+    });
+  }
+
+  /**
+   * Renders the rows in the viewport plus the overscan, reusing rows already rendered
+   * @private
+   */
+  render() {
+    const { start, end } = this.getVisibleRange();
+
+    if (start >= this.end || end <= this.start) {
+      // No overlap with the current window, start over
+      this.rowsElement.replaceChildren(...this.createRows(this.items.slice(start, end)));
+    } else {
+      const rows = this.rowsElement.children;
+      for (let index = this.start; index < start; index++) rows[0].remove();
+      for (let index = end; index < this.end; index++) rows[rows.length - 1].remove();
+      if (start < this.start) {
+        this.rowsElement.prepend(...this.createRows(this.items.slice(start, this.start)));
+      }
+      if (end > this.end) {
+        this.rowsElement.append(...this.createRows(this.items.slice(this.end, end)));
+      }
+    }
+
+    this.start = start;
+    this.end = end;
+    this.measureRows();
+    this.updateSpacers();
+  }
+
+  /**
+   * @returns {{start: number, end: number}} Items to render, overscan included
+   * @private
+   */
+  getVisibleRange() {
+    const viewTop = this.container.scrollTop;
+    const viewBottom = viewTop + this.container.clientHeight;
+    let offset = 0;
+    let start = this.items.length;
+    let end = this.items.length;
+
+    for (let index = 0; index < this.items.length; index++) {
+      const height = this.getHeight(this.items[index]);
+      if (start === this.items.length && offset + height > viewTop) {
+        start = index;
+      }
+      if (offset >= viewBottom) {
+        end = index;
+        break;
+      }
+      offset += height;
+    }
+
+    return {
+      start: Math.max(0, Math.min(start, end) - OVERSCAN_ROWS),
+      end: Math.min(this.items.length, end + OVERSCAN_ROWS)
+    };
+  }
+
+  /**
+   * Records the height of every rendered row
+   * @private
+   */
+  measureRows() {
+    Array.from(this.rowsElement.children).forEach((row, position) => {
+      const item = this.items[this.start + position];
+      if (!item || row.offsetHeight === 0) return;
+
+      const key = this.getKey(item);
+      this.measuredTotal += row.offsetHeight - (this.heights.get(key) ?? 0);
+      this.heights.set(key, row.offsetHeight);
+    });
+  }
+
+  /**
+   * @private
+   */
+  updateSpacers() {
+    let top = 0;
+    let bottom = 0;
+    this.items.forEach((item, index) => {
+      if (index < this.start) {
+        top += this.getHeight(item);
+      } else if (index >= this.end) {
+        bottom += this.getHeight(item);
+      }
+    });
+    this.topSpacer.style.height = `${top}px`;
+    this.bottomSpacer.style.height = `${bottom}px`;
+  }
+
+  /**
+   * @param {number} index - Item index
+   * @returns {number} Distance from the top of the list to the item's row
+   * @private
+   */
+  getOffset(index) {
+    let offset = 0;
+    for (let position = 0; position < index; position++) {
+      offset += this.getHeight(this.items[position]);
+    }
+    return offset;
+  }
+
+  /**
+   * @param {*} item - List item
+   * @returns {number} Measured height of the item's row, or the average one
+   * @private
+   */
+  getHeight(item) {
+    return this.heights.get(this.getKey(item)) ?? this.getEstimatedHeight();
+  }
+
+  /**
+   * @private
+   */
+  getEstimatedHeight() {
+    return this.heights.size === 0 ? DEFAULT_ROW_HEIGHT : this.measuredTotal / this.heights.size;
+  }
+
+  /**
+   * @param {Array} items - Items to render
+   * @returns {Array<Element>} Their rows
+   * @private
+   */
+  createRows(items) {
+    const template = document.createElement('template');
+    template.innerHTML = items.map(item => this.renderRow(item)).join('');
+    return Array.from(template.content.children);
+  }
+
+  /**
+   * @param {string} className - Class of the element
+   * @returns {HTMLElement} A new div
+   * @private
+   */
+  createElement(className) {
+    const element = document.createElement('div');
+    element.className = className;
+    return element;
+  }
+}
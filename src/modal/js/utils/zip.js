@@ -0,0 +1,121 @@
+// ============================================================================
+// Zip Archive Utility
+// ============================================================================
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let value = i;
+    for (let bit = 0; bit < 8; bit++) {
+      value = value & 1 ? 0xEDB88320 ^ (value >>> 1) : value >>> 1;
+    }
+    table[i] = value >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Builds uncompressed (stored) zip archives in the browser
+ * Enough for bundling exported text files without pulling in a compression library
+ */
+export class ZipArchive {
+  constructor() {
+    this.files = [];
+  }
+
+  /**
+   * Adds a file to the archive
+   * @param {string} name - Path of the file inside the archive
+   * @param {string} content - Text content of the file (stored as UTF-8)
+   */
+  addFile(name, content) {
+    const encoder = new TextEncoder();
+    this.files.push({
+      name: encoder.encode(name),
+      data: encoder.encode(content)
+    });
+  }
+
+  /**
+   * Generates the archive
+   * @returns {Blob} Zip file blob
+   */
+  toBlob() {
+    const { time, date } = ZipArchive.getDosDateTime(new Date());
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of this.files) {
+      const crc = ZipArchive.crc32(file.data);
+
+      const localHeader = new DataView(new ArrayBuffer(30));
+      localHeader.setUint32(0, 0x04034b50, true);
+      localHeader.setUint16(4, 20, true);
+      localHeader.setUint16(6, 0x0800, true); // UTF-8 file names
+      localHeader.setUint16(8, 0, true); // Stored, no compression
+      localHeader.setUint16(10, time, true);
+      localHeader.setUint16(12, date, true);
+      localHeader.setUint32(14, crc, true);
+      localHeader.setUint32(18, file.data.length, true);
+      localHeader.setUint32(22, file.data.length, true);
+      localHeader.setUint16(26, file.name.length, true);
+      localHeader.setUint16(28, 0, true);
+
+      const centralHeader = new DataView(new ArrayBuffer(46));
+      centralHeader.setUint32(0, 0x02014b50, true);
+      centralHeader.setUint16(4, 20, true);
+      centralHeader.setUint16(6, 20, true);
+      centralHeader.setUint16(8, 0x0800, true);
+      centralHeader.setUint16(10, 0, true);
+      centralHeader.setUint16(12, time, true);
+      centralHeader.setUint16(14, date, true);
+      centralHeader.setUint32(16, crc, true);
+      centralHeader.setUint32(20, file.data.length, true);
+      centralHeader.setUint32(24, file.data.length, true);
+      centralHeader.setUint16(28, file.name.length, true);
+      centralHeader.setUint32(42, offset, true);
+
+      localParts.push(localHeader, file.name, file.data);
+      centralParts.push(centralHeader, file.name);
+      offset += 30 + file.name.length + file.data.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, this.files.length, true);
+    end.setUint16(10, this.files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+  }
+
+  /**
+   * Computes the CRC-32 checksum of the given bytes
+   * @param {Uint8Array} data - Bytes to checksum
+   * @returns {number} Unsigned CRC-32
+   * @private
+   */
+  static crc32(data) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+      crc = CRC32_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Converts a date to the MS-DOS time/date fields used by zip headers
+   * @param {Date} value - Date to convert
+   * @returns {{time: number, date: number}} DOS time and date
+   * @private
+   */
+  static getDosDateTime(value) {
+    return {
+      time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+      date: ((value.getFullYear() - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+  }
+}
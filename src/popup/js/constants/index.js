@@ -39,7 +39,13 @@ export const DEFAULT_SETTINGS = {
   batchSize: BATCH_SIZE_CONFIG.DEFAULT,
   isCustomBatchSize: false,
   preventDelete: true,
-  preventArchive: true
+  preventArchive: true,
+  undoWindow: 10,
+  recycleBinRetentionDays: 30,
+  newWindowHours: 24,
+  updatedWindowHours: 24,
+  retentionRules: [],
+  keyboardShortcuts: {}
 };
 
 // Storage keys
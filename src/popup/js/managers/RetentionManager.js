@@ -0,0 +1,332 @@
+// ============================================================================
+// Retention Manager
+// ============================================================================
+
+import { RETENTION_MESSAGES } from '../../../js/constants/index.js';
+import { RetentionRule, CsvExporter } from '../../../js/utils/index.js';
+import { ToastManager } from './ToastManager.js';
+import { StorageManager } from './StorageManager.js';
+
+// Rules live in chrome.storage.sync, whose items are limited to 8 KB
+const MAX_RETENTION_RULES = 20;
+
+export class RetentionManager {
+  static rules = [];
+  static onChange = null; // Called with the updated pending changes
+
+  // Shows the rules of the settings form (pending changes included)
+  static loadRules(rules) {
+    this.rules = (rules || []).map(rule => ({ ...rule }));
+    this.hideError();
+    this.renderRules();
+    this.loadLatestReport();
+  }
+
+  static setupEventListeners(onChange) {
+    this.onChange = onChange;
+
+    const addButton = document.getElementById('retention-add-btn');
+    if (addButton) {
+      addButton.addEventListener('click', () => this.addRule());
+    }
+
+    const runButton = document.getElementById('retention-run-btn');
+    if (runButton) {
+      runButton.addEventListener('click', () => this.runNow(runButton));
+    }
+
+    const ruleList = document.getElementById('retention-rule-list');
+    if (ruleList) {
+      ruleList.addEventListener('change', (e) => {
+        const ruleId = e.target.closest('[data-rule-id]')?.dataset.ruleId;
+        if (ruleId && e.target.matches('[data-rule-toggle]')) {
+          this.updateRules(this.rules.map(rule => rule.id === ruleId ? { ...rule, enabled: e.target.checked } : rule));
+        }
+      });
+      ruleList.addEventListener('click', (e) => {
+        const ruleId = e.target.closest('[data-rule-id]')?.dataset.ruleId;
+        if (ruleId && e.target.closest('[data-rule-remove]')) {
+          this.updateRules(this.rules.filter(rule => rule.id !== ruleId));
+        }
+      });
+    }
+  }
+
+  static async addRule() {
+    if (this.rules.length >= MAX_RETENTION_RULES) {
+      this.showError(`At most ${MAX_RETENTION_RULES} rules can be kept`);
+      return;
+    }
+
+    const rule = { id: crypto.randomUUID(), enabled: true };
+    document.querySelectorAll('[data-rule-field]').forEach(input => {
+      rule[input.dataset.ruleField] = input.type === 'number' ? Number(input.value) : input.value.trim();
+    });
+
+    const error = RetentionRule.validate(rule);
+    if (error) {
+      this.showError(error);
+      return;
+    }
+
+    this.hideError();
+    await this.updateRules([...this.rules, rule]);
+  }
+
+  // Tracks the rules as a pending change, saved with the rest of the settings
+  static async updateRules(rules) {
+    this.rules = rules;
+    this.renderRules();
+
+    try {
+      const updatedChanges = await StorageManager.updatePendingChanges('retentionRules', rules);
+      this.onChange?.(updatedChanges);
+    } catch (error) {
+      console.error('Error updating retention rules:', error);
+    }
+  }
+
+  static renderRules() {
+    const ruleList = document.getElementById('retention-rule-list');
+    if (!ruleList) return;
+
+    ruleList.replaceChildren(...this.rules.map(rule => {
+      const row = document.createElement('div');
+      row.className = 'retention-rule';
+      row.dataset.ruleId = rule.id;
+
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = rule.enabled;
+      toggle.dataset.ruleToggle = '';
+      toggle.title = 'Enabled';
+
+      const description = document.createElement('span');
+      description.className = 'retention-rule-description';
+      description.textContent = RetentionRule.describe(rule);
+
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'retention-rule-remove';
+      removeButton.dataset.ruleRemove = '';
+      removeButton.title = 'Remove rule';
+      removeButton.textContent = '×';
+
+      row.append(toggle, description, removeButton);
+      return row;
+    }));
+
+    if (this.rules.length === 0) {
+      const empty = document.createElement('span');
+      empty.className = 'retention-empty';
+      empty.textContent = 'No rules yet';
+      ruleList.append(empty);
+    }
+  }
+
+  // Previews what the saved rules would do; the run starts from the preview
+  static async runNow(runButton) {
+    const pendingChanges = await StorageManager.getPendingChanges();
+    if (pendingChanges.retentionRules !== undefined) {
+      ToastManager.showWarning('Save your rule changes before running them');
+      return;
+    }
+
+    runButton.disabled = true;
+    runButton.textContent = 'Checking...';
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: RETENTION_MESSAGES.PREVIEW });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      if (!response.items) {
+        ToastManager.showInfo('No enabled rule to run');
+      } else if (response.items.length === 0) {
+        ToastManager.showInfo('No conversation matches the rules');
+      } else {
+        this.renderPreview(response.items);
+      }
+    } catch (error) {
+      console.error('Error previewing retention rules:', error);
+      ToastManager.showError('Failed to check the retention rules');
+    } finally {
+      runButton.disabled = false;
+      runButton.textContent = 'Run now';
+    }
+  }
+
+  // Lists every matched conversation; unchecked ones are left alone by the run
+  static renderPreview(items) {
+    const previewElement = document.getElementById('retention-preview');
+    if (!previewElement) return;
+
+    const excludedIds = new Set(items.filter(item => item.blocked).map(item => item.id));
+    const list = document.createElement('div');
+    list.className = 'retention-preview-list';
+
+    items.forEach(item => {
+      const row = document.createElement('label');
+      row.className = 'retention-preview-row';
+      row.title = item.rule;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !item.blocked;
+      checkbox.disabled = item.blocked;
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          excludedIds.delete(item.id);
+        } else {
+          excludedIds.add(item.id);
+        }
+        updateRunButton();
+      });
+
+      const title = document.createElement('span');
+      title.className = 'retention-preview-title';
+      title.textContent = item.title || item.id;
+
+      const details = document.createElement('span');
+      details.className = 'retention-preview-details';
+      details.textContent = [
+        item.blocked ? `${item.action} (blocked by settings)` : item.action,
+        `created ${new Date(item.create_time).toLocaleDateString()}`,
+        `modified ${new Date(item.update_time || item.create_time).toLocaleDateString()}`,
+        item.tags.length > 0 ? item.tags.map(tag => `#${tag}`).join(' ') : ''
+      ].filter(Boolean).join(' · ');
+
+      row.append(checkbox, title, details);
+      list.append(row);
+    });
+
+    const exportButton = this.createButton('Export CSV', () => {
+      const stamp = new Date().toISOString().slice(0, 10);
+      CsvExporter.download([
+        { header: 'Title', getValue: item => item.title },
+        { header: 'Action', getValue: item => item.action },
+        { header: 'Rule', getValue: item => item.rule },
+        { header: 'Created', getValue: item => item.create_time },
+        { header: 'Modified', getValue: item => item.update_time },
+        { header: 'Tags', getValue: item => item.tags.join(', ') },
+        { header: 'ID', getValue: item => item.id },
+        { header: 'Included', getValue: item => excludedIds.has(item.id) ? 'no' : 'yes' }
+      ], items, `chatgpt-retention-preview-${stamp}.csv`);
+    });
+    const cancelButton = this.createButton('Cancel', () => previewElement.replaceChildren());
+    const runButton = this.createButton('', async () => {
+      const conversationIds = items.map(item => item.id).filter(id => !excludedIds.has(id));
+      previewElement.replaceChildren();
+      await this.runRules(conversationIds);
+    });
+
+    const updateRunButton = () => {
+      const count = items.length - excludedIds.size;
+      runButton.disabled = count === 0;
+      runButton.textContent = `Run on ${count}`;
+    };
+
+    const actions = document.createElement('div');
+    actions.className = 'retention-preview-actions';
+    actions.append(exportButton, cancelButton, runButton);
+
+    const summary = document.createElement('div');
+    summary.className = 'retention-report-title';
+    summary.textContent = `${items.length} conversation(s) match the rules`;
+
+    previewElement.replaceChildren(summary, list, actions);
+    updateRunButton();
+  }
+
+  static async runRules(conversationIds) {
+    const runButton = document.getElementById('retention-run-btn');
+    if (runButton) {
+      runButton.disabled = true;
+      runButton.textContent = 'Running...';
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: RETENTION_MESSAGES.RUN, conversationIds });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      this.renderReport(response.report);
+    } catch (error) {
+      console.error('Error running retention rules:', error);
+      ToastManager.showError('Failed to run retention rules');
+    } finally {
+      if (runButton) {
+        runButton.disabled = false;
+        runButton.textContent = 'Run now';
+      }
+    }
+  }
+
+  static createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'retention-btn';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  static async loadLatestReport() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: RETENTION_MESSAGES.GET_REPORTS });
+      this.renderReport(response?.reports?.[0] || null);
+    } catch (error) {
+      console.error('Error loading retention reports:', error);
+    }
+  }
+
+  // Shows the per-rule counts of a run
+  static renderReport(report) {
+    const reportElement = document.getElementById('retention-report');
+    if (!reportElement) return;
+
+    if (!report) {
+      reportElement.replaceChildren();
+      return;
+    }
+
+    const title = document.createElement('div');
+    title.className = 'retention-report-title';
+    title.textContent = `Last run: ${new Date(report.finishedAt).toLocaleString()} (${report.trigger})`;
+
+    const lines = report.error
+      ? [`Failed: ${report.error}`]
+      : report.rules.map(rule => {
+          const counts = [
+            `${rule.matched} matched`,
+            `${rule.succeeded} done`,
+            rule.failed > 0 ? `${rule.failed} failed` : '',
+            rule.blocked > 0 ? `${rule.blocked} blocked by settings` : ''
+          ].filter(Boolean).join(', ');
+          return `${rule.description}: ${counts}`;
+        });
+
+    reportElement.replaceChildren(title, ...lines.map(line => {
+      const element = document.createElement('div');
+      element.className = 'retention-report-line';
+      element.textContent = line;
+      return element;
+    }));
+  }
+
+  static showError(message) {
+    const errorElement = document.getElementById('retention-rule-error');
+    if (errorElement) {
+      errorElement.textContent = message;
+      errorElement.style.display = 'block';
+    }
+  }
+
+  static hideError() {
+    const errorElement = document.getElementById('retention-rule-error');
+    if (errorElement) {
+      errorElement.style.display = 'none';
+    }
+  }
+}
@@ -8,6 +8,8 @@ import { ToastManager } from './ToastManager.js';
 import { ThemeManager } from './ThemeManager.js';
 import { StorageManager } from './StorageManager.js';
 import { NavigationManager } from './NavigationManager.js';
+import { RetentionManager } from './RetentionManager.js';
+import { ShortcutsManager } from './ShortcutsManager.js';
 
 export class SettingsManager {
   static state = null;
@@ -85,6 +87,32 @@ export class SettingsManager {
         }
       });
 
+      // Highlight selected undo window button
+      const undoButtons = document.querySelectorAll('[data-undo]');
+      const currentUndoWindow = currentSettings.undoWindow ?? DEFAULT_SETTINGS.undoWindow;
+      undoButtons.forEach(btn => {
+        if (parseInt(btn.dataset.undo) === currentUndoWindow) {
+          btn.classList.add('active');
+        } else {
+          btn.classList.remove('active');
+        }
+      });
+
+      // Highlight selected recycle bin retention button
+      const retentionButtons = document.querySelectorAll('[data-retention]');
+      const currentRetention = currentSettings.recycleBinRetentionDays ?? DEFAULT_SETTINGS.recycleBinRetentionDays;
+      retentionButtons.forEach(btn => {
+        if (parseInt(btn.dataset.retention) === currentRetention) {
+          btn.classList.add('active');
+        } else {
+          btn.classList.remove('active');
+        }
+      });
+
+      // Highlight selected activity window buttons
+      this.highlightActivityWindowButtons('[data-new-window]', 'newWindow', currentSettings.newWindowHours ?? DEFAULT_SETTINGS.newWindowHours);
+      this.highlightActivityWindowButtons('[data-updated-window]', 'updatedWindow', currentSettings.updatedWindowHours ?? DEFAULT_SETTINGS.updatedWindowHours);
+
       // Set prevent toggles
       if (elements.preventDelete) {
         elements.preventDelete.checked = currentSettings.preventDelete !== false; // Default to true
@@ -131,6 +159,30 @@ export class SettingsManager {
           }
         }
         
+        if (existingPendingChanges.undoWindow !== undefined) {
+          // Update undo window button active state
+          const undoButtons = document.querySelectorAll('[data-undo]');
+          undoButtons.forEach(btn => btn.classList.remove('active'));
+          const activeUndoBtn = document.querySelector(`[data-undo="${existingPendingChanges.undoWindow}"]`);
+          if (activeUndoBtn) activeUndoBtn.classList.add('active');
+        }
+        
+        if (existingPendingChanges.recycleBinRetentionDays !== undefined) {
+          // Update retention button active state
+          const retentionButtons = document.querySelectorAll('[data-retention]');
+          retentionButtons.forEach(btn => btn.classList.remove('active'));
+          const activeRetentionBtn = document.querySelector(`[data-retention="${existingPendingChanges.recycleBinRetentionDays}"]`);
+          if (activeRetentionBtn) activeRetentionBtn.classList.add('active');
+        }
+        
+        if (existingPendingChanges.newWindowHours !== undefined) {
+          this.highlightActivityWindowButtons('[data-new-window]', 'newWindow', existingPendingChanges.newWindowHours);
+        }
+        
+        if (existingPendingChanges.updatedWindowHours !== undefined) {
+          this.highlightActivityWindowButtons('[data-updated-window]', 'updatedWindow', existingPendingChanges.updatedWindowHours);
+        }
+        
         if (existingPendingChanges.preventDelete !== undefined) {
           if (elements.preventDelete) {
             elements.preventDelete.checked = existingPendingChanges.preventDelete;
@@ -144,6 +196,12 @@ export class SettingsManager {
         }
       }
 
+      // Show the retention rules, including unsaved edits
+      RetentionManager.loadRules(existingPendingChanges.retentionRules ?? currentSettings.retentionRules ?? DEFAULT_SETTINGS.retentionRules);
+
+      // Show the keyboard shortcuts, including unsaved edits
+      ShortcutsManager.loadShortcuts(existingPendingChanges.keyboardShortcuts ?? currentSettings.keyboardShortcuts ?? DEFAULT_SETTINGS.keyboardShortcuts);
+
       // Update save button state
       this.updateSaveButtonState();
       
@@ -213,6 +271,13 @@ export class SettingsManager {
     }
   }
 
+  // Helper method to mark the activity window button matching a number of hours
+  static highlightActivityWindowButtons(selector, dataKey, hours) {
+    document.querySelectorAll(selector).forEach(btn => {
+      btn.classList.toggle('active', parseInt(btn.dataset[dataKey]) === hours);
+    });
+  }
+
   static showSaveSuccess() {
     ToastManager.settingsSaved();
   }
@@ -409,6 +474,75 @@ export class SettingsManager {
       });
     }
 
+    // Undo window buttons
+    const undoButtons = document.querySelectorAll('[data-undo]');
+    undoButtons.forEach(button => {
+      button.addEventListener('click', async (e) => {
+        const undoWindow = parseInt(e.target.dataset.undo);
+        
+        // Update pending changes - this will automatically add/remove based on comparison with stored values
+        const updatedChanges = await StorageManager.updatePendingChanges('undoWindow', undoWindow);
+        
+        // Sync state with updated pending changes
+        this.state.pendingChanges = updatedChanges;
+        
+        // Update active state
+        undoButtons.forEach(btn => btn.classList.remove('active'));
+        e.target.classList.add('active');
+        
+        // Update save button state
+        this.updateSaveButtonState();
+      });
+    });
+
+    // Recycle bin retention buttons
+    const retentionButtons = document.querySelectorAll('[data-retention]');
+    retentionButtons.forEach(button => {
+      button.addEventListener('click', async (e) => {
+        const retentionDays = parseInt(e.target.dataset.retention);
+        
+        // Update pending changes - this will automatically add/remove based on comparison with stored values
+        const updatedChanges = await StorageManager.updatePendingChanges('recycleBinRetentionDays', retentionDays);
+        
+        // Sync state with updated pending changes
+        this.state.pendingChanges = updatedChanges;
+        
+        // Update active state
+        retentionButtons.forEach(btn => btn.classList.remove('active'));
+        e.target.classList.add('active');
+        
+        // Update save button state
+        this.updateSaveButtonState();
+      });
+    });
+
+    // "New" and "Updated" activity window buttons
+    const activityWindows = [
+      { selector: '[data-new-window]', dataKey: 'newWindow', setting: 'newWindowHours' },
+      { selector: '[data-updated-window]', dataKey: 'updatedWindow', setting: 'updatedWindowHours' }
+    ];
+    activityWindows.forEach(({ selector, dataKey, setting }) => {
+      const windowButtons = document.querySelectorAll(selector);
+      windowButtons.forEach(button => {
+        button.addEventListener('click', async (e) => {
+          const hours = parseInt(e.target.dataset[dataKey]);
+          
+          // Update pending changes - this will automatically add/remove based on comparison with stored values
+          const updatedChanges = await StorageManager.updatePendingChanges(setting, hours);
+          
+          // Sync state with updated pending changes
+          this.state.pendingChanges = updatedChanges;
+          
+          // Update active state
+          windowButtons.forEach(btn => btn.classList.remove('active'));
+          e.target.classList.add('active');
+          
+          // Update save button state
+          this.updateSaveButtonState();
+        });
+      });
+    });
+
     // Prevent delete toggle
     if (elements.preventDelete) {
       elements.preventDelete.addEventListener('change', async (e) => {
@@ -437,6 +571,24 @@ export class SettingsManager {
       });
     }
 
+    // Retention rules (edited in their own list, saved with the other settings)
+    RetentionManager.setupEventListeners((updatedChanges) => {
+      // Sync state with updated pending changes
+      this.state.pendingChanges = updatedChanges;
+      
+      // Update save button state
+      this.updateSaveButtonState();
+    });
+
+    // Keyboard shortcuts (edited in their own list, saved with the other settings)
+    ShortcutsManager.setupEventListeners((updatedChanges) => {
+      // Sync state with updated pending changes
+      this.state.pendingChanges = updatedChanges;
+      
+      // Update save button state
+      this.updateSaveButtonState();
+    });
+
     // Save button
     if (elements.saveSettingsBtn) {
       elements.saveSettingsBtn.addEventListener('click', async (e) => {
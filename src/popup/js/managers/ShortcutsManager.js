@@ -0,0 +1,108 @@
+// ============================================================================
+// Shortcuts Manager
+// ============================================================================
+
+import { KEYBOARD_SHORTCUTS } from '../../../js/constants/index.js';
+import { KeyboardShortcuts } from '../../../js/utils/index.js';
+import { StorageManager } from './StorageManager.js';
+
+export class ShortcutsManager {
+  static bindings = {};
+  static onChange = null; // Called with the updated pending changes
+
+  // Shows the keys of the settings form (pending changes included)
+  static loadShortcuts(overrides) {
+    this.bindings = KeyboardShortcuts.getBindings(overrides);
+    this.hideError();
+    this.renderShortcuts();
+  }
+
+  static setupEventListeners(onChange) {
+    this.onChange = onChange;
+
+    const shortcutList = document.getElementById('shortcut-list');
+    if (shortcutList) {
+      shortcutList.addEventListener('change', (e) => {
+        const action = e.target.dataset.shortcut;
+        if (action) {
+          this.updateKeys(action, e.target);
+        }
+      });
+    }
+
+    const resetButton = document.getElementById('shortcuts-reset-btn');
+    if (resetButton) {
+      resetButton.addEventListener('click', () => {
+        this.loadShortcuts({});
+        this.savePendingChanges();
+      });
+    }
+  }
+
+  // Invalid keys stay in the field with an error and are not saved
+  static updateKeys(action, input) {
+    const keys = KeyboardShortcuts.parseKeys(input.value);
+    const bindings = { ...this.bindings, [action]: keys };
+
+    const error = KeyboardShortcuts.validate(bindings);
+    if (error) {
+      this.showError(error);
+      return;
+    }
+
+    this.hideError();
+    this.bindings = bindings;
+    input.value = KeyboardShortcuts.formatKeys(keys);
+    this.savePendingChanges();
+  }
+
+  // Tracks the changed keys as a pending change, saved with the rest of the settings
+  static async savePendingChanges() {
+    try {
+      const updatedChanges = await StorageManager.updatePendingChanges('keyboardShortcuts', KeyboardShortcuts.getOverrides(this.bindings));
+      this.onChange?.(updatedChanges);
+    } catch (error) {
+      console.error('Error updating keyboard shortcuts:', error);
+    }
+  }
+
+  static renderShortcuts() {
+    const shortcutList = document.getElementById('shortcut-list');
+    if (!shortcutList) return;
+
+    shortcutList.replaceChildren(...Object.entries(KEYBOARD_SHORTCUTS).map(([action, shortcut]) => {
+      const row = document.createElement('label');
+      row.className = 'shortcut-row';
+
+      const label = document.createElement('span');
+      label.className = 'shortcut-label';
+      label.textContent = shortcut.label;
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'retention-input shortcut-input';
+      input.dataset.shortcut = action;
+      input.value = KeyboardShortcuts.formatKeys(this.bindings[action]);
+      input.placeholder = 'Not set';
+      input.autocomplete = 'off';
+
+      row.append(label, input);
+      return row;
+    }));
+  }
+
+  static showError(message) {
+    const errorElement = document.getElementById('shortcut-error');
+    if (errorElement) {
+      errorElement.textContent = message;
+      errorElement.style.display = 'block';
+    }
+  }
+
+  static hideError() {
+    const errorElement = document.getElementById('shortcut-error');
+    if (errorElement) {
+      errorElement.style.display = 'none';
+    }
+  }
+}
@@ -205,6 +205,14 @@ export class StorageManager {
     }
   }
 
+  // Compare setting values; lists (e.g., retention rules) are compared by content
+  static isSameValue(a, b) {
+    if (typeof a === 'object' && a !== null) {
+      return JSON.stringify(a) === JSON.stringify(b);
+    }
+    return a === b;
+  }
+
   // Update pending changes based on setting comparison
   static async updatePendingChanges(settingKey, newValue) {
     try {
@@ -219,7 +227,7 @@ export class StorageManager {
       console.log('Current changes:', currentChanges);
       
       // Check if the new value is different from the current stored value
-      if (currentValues[settingKey] !== newValue) {
+      if (!this.isSameValue(currentValues[settingKey], newValue)) {
         // Value changed, add to pending changes
         currentChanges[settingKey] = newValue;
         console.log('Setting added to pending changes:', currentValues[settingKey], settingKey, newValue);
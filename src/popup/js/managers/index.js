@@ -8,3 +8,5 @@ export { NavigationManager } from './NavigationManager.js';
 export { SettingsManager } from './SettingsManager.js';
 export { ToastManager } from './ToastManager.js';
 export { StorageManager } from './StorageManager.js';
+export { RetentionManager } from './RetentionManager.js';
+export { ShortcutsManager } from './ShortcutsManager.js';
@@ -174,6 +174,12 @@ function setupEventListeners() {
     });
   }
 
+  if (elements.auditLogBtn) {
+    elements.auditLogBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('src/audit/audit.html') });
+    });
+  }
+
   // Settings events
   if (elements.saveSettingsBtn) {
     elements.saveSettingsBtn.addEventListener('click', () => {
@@ -3,6 +3,7 @@
 // ============================================================================
 
 import { CHATGPT_URLS } from '../constants/index.js';
+import { chatGPTClient } from '../../../js/utils/index.js';
 
 export async function getCurrentTab() {
   const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -22,24 +23,17 @@ export async function checkChatGPTStatus() {
   }
 
   try {
-    const response = await fetch('https://chatgpt.com/api/auth/session', {
-      method: 'GET',
-      credentials: 'include'
-    });
+    const sessionData = await chatGPTClient.getSession();
     
-    if (response.ok) {
-      const sessionData = await response.json();
-      
-      if (sessionData.user && sessionData.accessToken) {
-        return {
-          isLoggedIn: true,
-          tab,
-          userInfo: {
-            email: sessionData.user.email,
-            planType: sessionData.account?.planType || 'free'
-          }
-        };
-      }
+    if (sessionData.user && sessionData.accessToken) {
+      return {
+        isLoggedIn: true,
+        tab,
+        userInfo: {
+          email: sessionData.user.email,
+          planType: sessionData.account?.planType || 'free'
+        }
+      };
     }
   } catch (error) {}
   
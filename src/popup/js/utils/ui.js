@@ -35,6 +35,7 @@ export function getElements() {
     saveSettingsBtn: document.getElementById('save-settings-btn'),
     openChatgptBtn: document.getElementById('open-chatgpt-btn'),
     openManagerBtn: document.getElementById('open-manager-btn'),
+    auditLogBtn: document.getElementById('audit-log-btn'),
     batchInput: document.getElementById('custom-batch-input'),
     preventDelete: document.getElementById('prevent-delete'),
     preventArchive: document.getElementById('prevent-archive'),